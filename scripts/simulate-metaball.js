@@ -0,0 +1,215 @@
+/**
+ * simulate-metaball.js - Metaball 无头平衡性模拟
+ *
+ * 用法：
+ *   npm run simulate -- [选项]
+ *
+ * 选项和示例见下方 USAGE（或运行 npm run simulate -- --help）
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { basename } from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+  runSimulation,
+  resultsToCSV,
+  growthCurvesToCSV,
+  getInputSourceNames,
+} from '../src/games/metaball/headless/HeadlessRunner.js';
+import { parseRecording } from '../src/games/metaball/input/InputRecorder.js';
+import {
+  DIFFICULTY_PRESETS,
+  DIFFICULTY_CURVES,
+  validateConfigOverrides,
+} from '../src/games/metaball/core/GameConfig.js';
+
+const FORMATS = ['json', 'csv', 'curve-csv'];
+
+const USAGE = `用法：npm run simulate -- [选项]
+
+选项：
+  --ticks <n>       每局最大模拟步数（默认 18000，即 60Hz 下 5 分钟）
+  --runs <n>        每组配置运行局数（默认 5）
+  --seed <n>        起始种子，第 i 局使用 seed + i（默认 1）
+  --difficulty <p>  难度预设：BABY | EASY | NORMAL | HARD（默认 NORMAL）
+  --curve <name>    难度曲线：LINEAR | GENTLE | STEEP | TIMED（默认使用预设自带曲线）
+  --no-adaptive     关闭自适应难度（难度导演）
+  --input <name>    输入源：scripted | random | replay | bot（默认 scripted；bot 模拟熟练玩家）
+  --replay <file>   回放文件（--input replay 时使用，难度取自录制）
+  --config <file>   配置覆盖 JSON，可重复指定以对比多组调参
+  --no-baseline     不运行默认配置作为对照组（需要至少一个 --config）
+  --sample <n>      成长曲线采样间隔（步，默认 60）
+  --format <fmt>    json | csv | curve-csv（默认 json）
+  --out <file>      输出文件（默认标准输出）
+  --help            显示本帮助
+
+  --ticks / --runs / --seed / --sample 必须是正整数。
+
+示例：
+  npm run simulate -- --runs 20 --input random --config faster-enemies.json --format csv
+  npm run simulate -- --runs 10 --input bot --difficulty HARD   # 熟练玩家在困难难度下能存活多久`;
+
+let values;
+try {
+  ({ values } = parseArgs({
+    options: {
+      ticks: { type: 'string', default: '18000' },
+      runs: { type: 'string', default: '5' },
+      seed: { type: 'string', default: '1' },
+      difficulty: { type: 'string', default: 'NORMAL' },
+      curve: { type: 'string' },
+      'no-adaptive': { type: 'boolean', default: false },
+      input: { type: 'string', default: 'scripted' },
+      replay: { type: 'string' },
+      config: { type: 'string', multiple: true, default: [] },
+      'no-baseline': { type: 'boolean', default: false },
+      sample: { type: 'string', default: '60' },
+      format: { type: 'string', default: 'json' },
+      out: { type: 'string' },
+      help: { type: 'boolean', default: false },
+    },
+  }));
+} catch (error) {
+  console.error(`${error.message}\nRun with --help for usage.`);
+  process.exit(1);
+}
+
+if (values.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+
+/**
+ * 读取正整数选项，不合法时报错退出
+ *
+ * @param {string} name - 选项名
+ * @returns {number}
+ */
+function readPositiveInteger(name) {
+  const value = Number(values[name]);
+  if (!Number.isInteger(value) || value <= 0) {
+    console.error(`--${name} must be a positive integer, got "${values[name]}"`);
+    process.exit(1);
+  }
+  return value;
+}
+
+/**
+ * 读取并解析 JSON 类文件，读取或解析失败时报错退出
+ *
+ * @param {string} option - 选项名（用于错误信息）
+ * @param {string} file - 文件路径
+ * @param {Function} parse - 解析函数 (text) => value
+ * @returns {*} 解析结果
+ */
+function readFileOption(option, file, parse) {
+  try {
+    return parse(readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.error(`invalid --${option} ${file}: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * 解析配置覆盖文件（无头模拟允许覆盖 CHUNK / SIMULATION）
+ *
+ * @param {string} text - 文件内容
+ * @returns {Object} 覆盖值
+ */
+function parseOverrides(text) {
+  const overrides = JSON.parse(text);
+  validateConfigOverrides(overrides, { structural: true });
+  return overrides;
+}
+
+const maxTicks = readPositiveInteger('ticks');
+const runCount = readPositiveInteger('runs');
+const baseSeed = readPositiveInteger('seed');
+const sampleInterval = readPositiveInteger('sample');
+
+if (!FORMATS.includes(values.format)) {
+  console.error(`Unknown format "${values.format}". Available: ${FORMATS.join(', ')}`);
+  process.exit(1);
+}
+
+if (!getInputSourceNames().includes(values.input)) {
+  console.error(`Unknown input source "${values.input}". Available: ${getInputSourceNames().join(', ')}`);
+  process.exit(1);
+}
+
+if (!DIFFICULTY_PRESETS[values.difficulty]) {
+  console.error(`Unknown difficulty "${values.difficulty}". Available: ${Object.keys(DIFFICULTY_PRESETS).join(', ')}`);
+  process.exit(1);
+}
+if (values.curve && !DIFFICULTY_CURVES[values.curve]) {
+  console.error(`Unknown curve "${values.curve}". Available: ${Object.keys(DIFFICULTY_CURVES).join(', ')}`);
+  process.exit(1);
+}
+
+const inputOptions = {};
+if (values.input === 'replay') {
+  if (!values.replay) {
+    console.error('--input replay requires --replay <file>');
+    process.exit(1);
+  }
+  inputOptions.recording = readFileOption('replay', values.replay, parseRecording);
+}
+
+// 配置组：默认配置 + 每个 --config 文件
+const configs = [];
+if (!values['no-baseline']) {
+  configs.push({ label: 'default', overrides: null });
+}
+for (const file of values.config) {
+  configs.push({ label: basename(file, '.json'), overrides: readFileOption('config', file, parseOverrides) });
+}
+if (configs.length === 0) {
+  console.error('--no-baseline requires at least one --config <file>');
+  process.exit(1);
+}
+
+const runs = values.input === 'replay' ? 1 : runCount;
+const difficulty = values.input === 'replay'
+  ? inputOptions.recording.difficulty
+  : { preset: values.difficulty, curve: values.curve ?? null, adaptive: !values['no-adaptive'] };
+const results = [];
+
+for (const { label, overrides } of configs) {
+  for (let i = 0; i < runs; i++) {
+    const seed = values.input === 'replay' ? inputOptions.recording.seed : baseSeed + i;
+    const result = runSimulation({
+      maxTicks,
+      seed,
+      difficulty,
+      input: values.input,
+      inputOptions,
+      config: overrides,
+      sampleInterval,
+    });
+
+    results.push({ label, ...result });
+    console.error(
+      `[${label}] seed=${result.seed} ${result.difficulty.preset} ${result.survived ? 'survived' : `died (${result.causeOfDeath})`} ` +
+      `t=${result.survivalTime}s score=${result.score} maxR=${result.maxRadius}`
+    );
+  }
+}
+
+let output;
+switch (values.format) {
+  case 'csv':
+    output = resultsToCSV(results);
+    break;
+  case 'curve-csv':
+    output = growthCurvesToCSV(results);
+    break;
+  case 'json':
+    output = JSON.stringify(results, null, 2);
+}
+
+if (values.out) {
+  writeFileSync(values.out, output + '\n');
+} else {
+  process.stdout.write(output + '\n');
+}
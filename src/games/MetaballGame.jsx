@@ -8,40 +8,190 @@
  * 2. 连接游戏引擎和渲染系统
  * 3. 管理游戏循环生命周期
  * 4. 渲染游戏 UI
+ * 5. 跟踪画布尺寸、设备像素比和全屏状态，同步给渲染器和输入
+ * 6. 把里程碑、引力激活事件转成提示横幅，结束时展示本局总结
+ * 7. 调试模式（?debug 参数或 ` 键）：帧时间、模拟步各阶段耗时和世界叠加层，
+ *    以及实时调参面板（MetaballTuningPanel）
+ * 8. 菜单中选择难度预设和难度曲线，最高分记录随难度保存
+ * 9. 演示模式：菜单背后由机器人玩家在独立的引擎中自动游玩
  *
  * 不负责：
  * - 游戏逻辑（由 GameEngine 处理）
- * - WebGL 渲染细节（由 WebGLRenderer 处理）
+ * - 渲染细节（由 WebGLRenderer / Canvas2DRenderer 处理）
  * - 物理计算（由 PhysicsSystem 处理）
  */
 
 import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import {
   GameEngine,
   GameState,
+  DeathCause,
   CANVAS,
+  RENDERING,
+  DIFFICULTY_PRESETS,
+  DIFFICULTY_CURVES,
+  DEFAULT_DIFFICULTY,
+  ENEMY_PERSONALITIES,
+  INPUT,
+  getDifficultyLabel,
+  loadHighScores,
+  recordHighScore,
+  normalizeViewport,
+  normalizeWorldSeed,
+  saveGame,
+  loadGame,
+  hasSavedGame,
+  clearSavedGame,
+  BotPlayer,
+  getConfigOverrides,
+  setConfigOverrides,
 } from './metaball/index.js';
-import { WebGLRenderer } from './metaball/rendering/WebGLRenderer.js';
+import { createRenderer } from './metaball/rendering/RendererFactory.js';
 import { OverlayRenderer } from './metaball/rendering/OverlayRenderer.js';
-import { InputManager, GameAction } from './metaball/input/InputManager.js';
+import { ResolutionScaler } from './metaball/rendering/ResolutionScaler.js';
+import { ToastQueue, ToastKind } from './metaball/rendering/ToastQueue.js';
+import { FrameStats } from './metaball/rendering/FrameStats.js';
+import { InputManager, GameAction, isTextInputTarget } from './metaball/input/InputManager.js';
+import { InputRecorder, startReplay, serializeRecording } from './metaball/input/InputRecorder.js';
+import MetaballTuningPanel from './MetaballTuningPanel.jsx';
+
+// 死亡原因说明
+const DEATH_CAUSE_TEXT = {
+  [DeathCause.ENEMY]: '被更大的敌人吞噬',
+  [DeathCause.BLACK_HOLE]: '被黑洞吞噬',
+  [DeathCause.UNKNOWN]: '消散在宇宙中',
+};
+
+/**
+ * 格式化时长为 m:ss
+ *
+ * @param {number} seconds - 秒
+ * @returns {string}
+ */
+function formatDuration(seconds) {
+  const total = Math.floor(seconds);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
 
 export default function MetaballGame() {
   // ============================================================
   // Refs - 持久化对象引用
   // ============================================================
+  const containerRef = useRef(null);
   const canvasRef = useRef(null);
   const overlayCanvasRef = useRef(null);
   const engineRef = useRef(null);
-  const webglRendererRef = useRef(null);
+  const rendererRef = useRef(null);
   const overlayRendererRef = useRef(null);
   const inputManagerRef = useRef(null);
+  const recorderRef = useRef(null);
+  const lastRecordingRef = useRef(null);
+  // 观看回放前玩家自己的配置覆盖值（回放会写入录制的配置，结束或开始新对局时恢复）
+  const playerConfigRef = useRef(null);
+  // 视口（CSS 像素）、当前应用的设备像素比、动态分辨率
+  const viewportRef = useRef(null);
+  const pixelRatioRef = useRef(1);
+  const scalerRef = useRef(null);
+  if (!scalerRef.current) {
+    scalerRef.current = new ResolutionScaler();
+  }
+  // 事件提示横幅
+  const toastsRef = useRef(null);
+  if (!toastsRef.current) {
+    toastsRef.current = new ToastQueue();
+  }
 
   // ============================================================
   // State - React 状态
   // ============================================================
   const [gameState, setGameState] = useState('menu');
   const [score, setScore] = useState(0);
-  const [highScore, setHighScore] = useState(0);
+  // 本局总结（死亡时由引擎事件填入）
+  const [runSummary, setRunSummary] = useState(null);
+
+  // 难度选择 { preset, curve, adaptive }（curve 为 null 时使用预设自带曲线）与最高分记录
+  const [difficulty, setDifficulty] = useState(DEFAULT_DIFFICULTY);
+  const [highScores, setHighScores] = useState(() => loadHighScores());
+  const highScore = highScores.find(entry => entry.difficulty.preset === difficulty.preset)?.score ?? 0;
+
+  // 世界种子（?seed= 参数指定时固定世界，否则每局随机）
+  const [searchParams] = useSearchParams();
+  const urlSeed = normalizeWorldSeed(searchParams.get('seed'));
+
+  // 调试模式（?debug 参数开启，游戏中可用按键切换）
+  const [showDebug, setShowDebug] = useState(() => searchParams.has('debug'));
+  const [showTuning, setShowTuning] = useState(false);
+  const [worldSeed, setWorldSeed] = useState(null);
+  const [linkCopied, setLinkCopied] = useState(false);
+
+  // 设置（暂停菜单中可调整）
+  const [showSettings, setShowSettings] = useState(false);
+  const [showGravityField, setShowGravityField] = useState(true);
+  const [autoPause, setAutoPause] = useState(true);
+
+  // 回放
+  const [isReplaying, setIsReplaying] = useState(false);
+  const [hasReplay, setHasReplay] = useState(false);
+
+  // 存档（暂停/切到后台时自动保存）
+  const [hasSave, setHasSave] = useState(() => hasSavedGame());
+
+  // 全屏
+  const [isFullscreen, setIsFullscreen] = useState(false);
+  const canFullscreen = typeof document !== 'undefined' && !!document.fullscreenEnabled;
+
+  // 手柄（连接时显示手柄操作提示）
+  const [gamepadConnected, setGamepadConnected] = useState(false);
+
+  // 游戏画布的版本（WebGL 上下文无法恢复时换一块新画布重建渲染器）
+  const [canvasKey, setCanvasKey] = useState(0);
+
+  // ============================================================
+  // 视口同步
+  // ============================================================
+  const applyViewport = useCallback(() => {
+    const viewport = viewportRef.current;
+    if (!viewport) return;
+
+    const { width, height } = viewport;
+    const pixelRatio = Math.min(window.devicePixelRatio || 1, CANVAS.MAX_PIXEL_RATIO);
+    pixelRatioRef.current = pixelRatio;
+
+    // 游戏画布叠加动态分辨率；覆盖层只按设备像素比，保证文字清晰
+    if (rendererRef.current) {
+      rendererRef.current.resize(width, height, pixelRatio * scalerRef.current.scale);
+    }
+    if (overlayRendererRef.current) {
+      overlayRendererRef.current.resize(width, height, pixelRatio);
+    }
+    if (inputManagerRef.current) {
+      inputManagerRef.current.setViewport(width, height);
+    }
+  }, []);
+
+  // ============================================================
+  // 回放前的配置
+  // ============================================================
+  const restorePlayerConfig = useCallback(() => {
+    const overrides = playerConfigRef.current;
+    if (!overrides) return;
+
+    playerConfigRef.current = null;
+    setConfigOverrides(overrides);
+  }, []);
+
+  // ============================================================
+  // 渲染器故障
+  // ============================================================
+  // 上下文恢复后重建失败：旧画布已绑定失效的上下文，丢弃渲染器并换新画布，挂载后重建
+  const handleRendererFailure = useCallback((renderer) => {
+    if (rendererRef.current !== renderer) return;
+
+    renderer.dispose();
+    rendererRef.current = null;
+    setCanvasKey(key => key + 1);
+  }, []);
 
   // ============================================================
   // 初始化游戏系统
@@ -60,17 +210,57 @@ export default function MetaballGame() {
         setScore(score);
       });
 
-      engineRef.current.on('playerDeath', ({ highScore }) => {
-        setHighScore(h => Math.max(h, highScore));
+      engineRef.current.on('milestone', ({ icon, title, message }) => {
+        toastsRef.current.push({ kind: ToastKind.MILESTONE, icon, title, message });
+      });
+
+      engineRef.current.on('gravityActivated', () => {
+        toastsRef.current.push({
+          kind: ToastKind.GRAVITY,
+          icon: '🌀',
+          title: '引力激活',
+          message: '附近的小天体会被你吸引过来',
+        });
+      });
+
+      engineRef.current.on('playerDeath', ({ score, seed, difficulty, cause, time, milestones }) => {
+        // 已结束的对局不再提供"继续"
+        clearSavedGame();
+        setHasSave(false);
+
+        // 保存本局录制和成绩（回放结束时不覆盖、不计分）
+        const recorder = recorderRef.current;
+        let rank = 0;
+        if (recorder && engineRef.current.inputState === recorder) {
+          lastRecordingRef.current = recorder.getRecording();
+          setHasReplay(true);
+          rank = recordHighScore({ score, difficulty, seed, time });
+          setHighScores(loadHighScores());
+        }
+
+        setRunSummary({ cause, time, milestones, difficulty, rank });
+
+        // 回放结束：换回玩家自己的配置
+        restorePlayerConfig();
       });
 
+      // 手柄震动（只在玩家操作时，回放不震动）
+      const rumble = (effect) => {
+        const recorder = recorderRef.current;
+        if (inputManagerRef.current && recorder && engineRef.current.inputState === recorder) {
+          inputManagerRef.current.rumble(effect);
+        }
+      };
+      engineRef.current.on('playerAbsorb', () => rumble(INPUT.GAMEPAD.RUMBLE.ABSORB));
+      engineRef.current.on('playerDamage', () => rumble(INPUT.GAMEPAD.RUMBLE.DAMAGE));
+
     }
 
-    // 初始化 WebGL 渲染器
-    if (!webglRendererRef.current && canvasRef.current) {
-      webglRendererRef.current = new WebGLRenderer(canvasRef.current);
-      if (!webglRendererRef.current.initialize()) {
-        console.error('Failed to initialize WebGL renderer');
+    // 初始化渲染器（不支持 WebGL 时回退到 Canvas2D）
+    if (!rendererRef.current && canvasRef.current) {
+      rendererRef.current = createRenderer(canvasRef.current, { onContextFailure: handleRendererFailure });
+      if (!rendererRef.current) {
+        console.error('Failed to initialize renderer');
         return false;
       }
     }
@@ -85,13 +275,22 @@ export default function MetaballGame() {
       inputManagerRef.current = new InputManager();
     }
 
+    applyViewport();
+
     return true;
-  }, []);
+  }, [applyViewport, restorePlayerConfig, handleRendererFailure]);
+
+  // 新画布挂载后重建渲染器（在游戏循环和演示模式之前，它们随画布版本重启并取用新渲染器）
+  useEffect(() => {
+    if (canvasKey > 0) {
+      initializeSystems();
+    }
+  }, [canvasKey, initializeSystems]);
 
   // ============================================================
   // 开始游戏
   // ============================================================
-  const startGame = useCallback(() => {
+  const launchGame = useCallback((seed) => {
     if (!initializeSystems()) {
       return;
     }
@@ -99,16 +298,157 @@ export default function MetaballGame() {
     const engine = engineRef.current;
     const inputManager = inputManagerRef.current;
 
-    // 连接输入管理器到引擎
-    engine.setInputManager(inputManager);
+    // 连接输入管理器到引擎（经录制器包装，每个模拟步采样一次）
+    const recorder = new InputRecorder(inputManager);
+    recorderRef.current = recorder;
+    engine.setInputManager(recorder);
 
-    // 初始化游戏
-    engine.initialize();
-    engine.lastTime = performance.now();
+    // 初始化游戏（新对局覆盖旧存档；回放中途开始新对局时先换回玩家的配置）
+    clearSavedGame();
+    setHasSave(false);
+    restorePlayerConfig();
+    engine.initialize(seed, difficulty);
+    recorder.start(engine.seed, engine.difficulty);
+    toastsRef.current.clear();
 
     setScore(0);
+    setShowSettings(false);
+    setIsReplaying(false);
+    setWorldSeed(engine.seed);
+    setLinkCopied(false);
+  }, [initializeSystems, restorePlayerConfig, difficulty]);
+
+  const startGame = useCallback(() => {
+    launchGame(urlSeed);
+  }, [launchGame, urlSeed]);
+
+  const restartSameWorld = useCallback(() => {
+    launchGame(worldSeed);
+  }, [launchGame, worldSeed]);
+
+  // ============================================================
+  // 分享世界种子
+  // ============================================================
+  const copySeedLink = useCallback(() => {
+    if (worldSeed === null) return;
+
+    const url = new URL(window.location.href);
+    url.searchParams.set('seed', String(worldSeed));
+
+    navigator.clipboard.writeText(url.toString()).then(
+      () => setLinkCopied(true),
+      () => console.warn('Failed to copy seed link')
+    );
+  }, [worldSeed]);
+
+  // ============================================================
+  // 回放
+  // ============================================================
+  const watchReplay = useCallback(() => {
+    const recording = lastRecordingRef.current;
+    if (!recording || !initializeSystems()) return;
+
+    // 回放会改写配置，先记下玩家自己的（连续观看时保留最早的那份）
+    if (!playerConfigRef.current) {
+      playerConfigRef.current = getConfigOverrides();
+    }
+    startReplay(engineRef.current, recording);
+    toastsRef.current.clear();
+
+    setDifficulty(engineRef.current.difficulty);
+    setWorldSeed(recording.seed);
+    setScore(0);
+    setShowSettings(false);
+    setIsReplaying(true);
+  }, [initializeSystems]);
+
+  const exportReplay = useCallback(() => {
+    const recording = lastRecordingRef.current;
+    if (!recording) return;
+
+    const blob = new Blob([serializeRecording(recording)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `metaball-replay-${Date.now()}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }, []);
+
+  // ============================================================
+  // 存档 / 继续
+  // ============================================================
+  const persistGame = useCallback(() => {
+    const engine = engineRef.current;
+    const recorder = recorderRef.current;
+    if (!engine || (engine.state !== GameState.PLAYING && engine.state !== GameState.PAUSED)) return;
+
+    // 回放不是玩家自己的对局，不保存
+    if (!recorder || engine.inputState !== recorder) return;
+
+    if (saveGame(engine, { recording: recorder.getRecording() })) {
+      setHasSave(true);
+    }
+  }, []);
+
+  const continueGame = useCallback(() => {
+    const save = loadGame();
+    if (!save) {
+      setHasSave(false);
+      return;
+    }
+    if (!initializeSystems()) return;
+
+    // 先恢复存档时的调参（取代回放前记下的配置），之后的调整由录制器记录
+    playerConfigRef.current = null;
+    setConfigOverrides(save.config);
+
+    const engine = engineRef.current;
+    const recorder = new InputRecorder(inputManagerRef.current);
+    recorderRef.current = recorder;
+    engine.setInputManager(recorder);
+
+    // 延续存档中的录制，保证"观看回放"仍从第一步开始
+    if (save.recording) {
+      recorder.resume(save.recording);
+    } else {
+      recorder.start(save.engine.seed, save.engine.difficulty);
+    }
+
+    engine.restore(save.engine);
+    toastsRef.current.clear();
+
+    setDifficulty(engine.difficulty);
+    setScore(engine.score);
+    setShowSettings(false);
+    setIsReplaying(false);
+    setWorldSeed(engine.seed);
+    setLinkCopied(false);
   }, [initializeSystems]);
 
+  // ============================================================
+  // 暂停 / 恢复
+  // ============================================================
+  const pauseGame = useCallback(() => {
+    const engine = engineRef.current;
+    if (!engine || !engine.pause()) return;
+
+    persistGame();
+
+    // 失焦期间 keyup 事件会丢失，清空输入避免恢复后按键"卡住"
+    if (inputManagerRef.current) {
+      inputManagerRef.current.reset();
+    }
+  }, [persistGame]);
+
+  const resumeGame = useCallback(() => {
+    const engine = engineRef.current;
+    if (!engine) return;
+
+    setShowSettings(false);
+    engine.resume();
+  }, []);
+
   // ============================================================
   // 游戏循环
   // ============================================================
@@ -116,23 +456,52 @@ export default function MetaballGame() {
     if (gameState !== 'playing') return;
 
     const engine = engineRef.current;
-    const webglRenderer = webglRendererRef.current;
+    const renderer = rendererRef.current;
     const overlayRenderer = overlayRendererRef.current;
 
-    if (!engine || !webglRenderer || !overlayRenderer) return;
+    if (!engine || !renderer || !overlayRenderer) return;
 
     let animationId;
 
+    const scaler = scalerRef.current;
+    const toasts = toastsRef.current;
+
+    // 帧率和帧时间统计
+    const frameStats = new FrameStats();
+    const rendererName = renderer.getInfo().renderer;
+    let lastFrameTime = null;
+
+    // 只在调试模式下给模拟步计时
+    engine.setProfiling(showDebug);
+
     const gameLoop = (currentTime) => {
       // 更新游戏逻辑
       const result = engine.update(currentTime);
 
+      // 动态分辨率调整，或窗口移到像素比不同的显示器上时，重设画布尺寸
+      const frameMs = lastFrameTime === null ? 0 : currentTime - lastFrameTime;
+      frameStats.sample(currentTime, frameMs);
+      const scaleChanged = lastFrameTime !== null && scaler.sample(frameMs);
+      const pixelRatio = Math.min(window.devicePixelRatio || 1, CANVAS.MAX_PIXEL_RATIO);
+      if (scaleChanged || pixelRatio !== pixelRatioRef.current) {
+        applyViewport();
+      }
+      lastFrameTime = currentTime;
+
+      // 提示只在游戏进行时计时（暂停时循环停止，提示随之冻结）
+      if (engine.state === GameState.PLAYING) {
+        toasts.advance(frameMs);
+      }
+
       if (result.updated && engine.state === GameState.PLAYING) {
-        // 获取渲染状态
-        const renderState = engine.getRenderState();
+        // 获取渲染状态（超出渲染器上限的可见实体按优先级剔除）
+        const renderState = engine.getRenderState(
+          renderer.getMaxBalls(),
+          viewportRef.current || undefined
+        );
 
-        // WebGL 渲染
-        webglRenderer.render(renderState);
+        // 游戏画面渲染
+        renderer.render(renderState);
 
         // 覆盖层渲染
         overlayRenderer.render({
@@ -140,7 +509,18 @@ export default function MetaballGame() {
           camera: { x: renderState.cameraX, y: renderState.cameraY },
           zoom: renderState.zoom,
           entities: renderState.entities,
-          showDebug: false,
+          showDebug,
+          debugInfo: showDebug ? {
+            fps: frameStats.fps,
+            frameStats,
+            visibleCount: renderState.visibleCount,
+            culledCount: renderState.culledCount,
+            resolutionScale: scaler.scale,
+            renderer: rendererName,
+            engine: engine.getDebugInfo(renderState.viewport),
+          } : null,
+          showGravityField,
+          toast: toasts.getVisible(),
         });
       }
 
@@ -152,7 +532,102 @@ export default function MetaballGame() {
     return () => {
       cancelAnimationFrame(animationId);
     };
-  }, [gameState]);
+  }, [gameState, showGravityField, showDebug, applyViewport, canvasKey]);
+
+  // ============================================================
+  // 演示模式（菜单背后由机器人自动游玩）
+  // ============================================================
+  // 使用独立的引擎：不触发界面事件，不影响存档、录制和最高分
+  useEffect(() => {
+    if (gameState !== 'menu' || !initializeSystems()) return;
+
+    const renderer = rendererRef.current;
+    const overlayRenderer = overlayRendererRef.current;
+    if (!renderer || !overlayRenderer) return;
+
+    const demo = new GameEngine();
+    const bot = new BotPlayer(demo);
+    demo.setInputManager(bot);
+    overlayRenderer.clear();
+
+    let animationId;
+
+    const demoLoop = (currentTime) => {
+      const viewport = viewportRef.current;
+      if (viewport) {
+        bot.setViewport(viewport.width, viewport.height);
+      }
+
+      // 机器人死亡后换一个世界重新开始
+      if (demo.state !== GameState.PLAYING) {
+        demo.initialize(null, difficulty);
+      }
+
+      const result = demo.update(currentTime);
+      if (result.updated) {
+        renderer.render(demo.getRenderState(renderer.getMaxBalls(), viewport || undefined));
+      }
+
+      animationId = requestAnimationFrame(demoLoop);
+    };
+
+    animationId = requestAnimationFrame(demoLoop);
+
+    return () => {
+      cancelAnimationFrame(animationId);
+    };
+  }, [gameState, difficulty, initializeSystems, canvasKey]);
+
+  // ============================================================
+  // 画布尺寸跟随容器
+  // ============================================================
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const observer = new ResizeObserver((entries) => {
+      const { width, height } = entries[0].contentRect;
+      if (width === 0 || height === 0) return;
+      viewportRef.current = normalizeViewport(width, height);
+      applyViewport();
+    });
+    observer.observe(container);
+
+    return () => observer.disconnect();
+  }, [applyViewport]);
+
+  // ============================================================
+  // 调参
+  // ============================================================
+  // 配置由各系统直接读取，只有渲染器缓存了少数参数，需要手动同步
+  const handleConfigChange = useCallback(() => {
+    const renderer = rendererRef.current;
+    if (renderer) {
+      renderer.setThreshold(RENDERING.METABALL_THRESHOLD);
+      renderer.setGridSize(RENDERING.GRID_SIZE);
+    }
+  }, []);
+
+  // ============================================================
+  // 全屏
+  // ============================================================
+  const toggleFullscreen = useCallback(() => {
+    if (!canFullscreen) return;
+
+    const request = document.fullscreenElement
+      ? document.exitFullscreen()
+      : containerRef.current.requestFullscreen();
+    request.catch(() => console.warn('Fullscreen request failed'));
+  }, [canFullscreen]);
+
+  useEffect(() => {
+    const handleFullscreenChange = () => {
+      setIsFullscreen(document.fullscreenElement === containerRef.current);
+    };
+
+    document.addEventListener('fullscreenchange', handleFullscreenChange);
+    return () => document.removeEventListener('fullscreenchange', handleFullscreenChange);
+  }, []);
 
   // ============================================================
   // 输入事件处理
@@ -168,45 +643,126 @@ export default function MetaballGame() {
 
     im.attach(overlay);
 
+    // 开始 / 暂停 / 重来（键盘快捷键和手柄按钮共用）
+    const handleControl = (action) => {
+      if (action === GameAction.PAUSE) {
+        if (gameState === 'playing') pauseGame();
+        else if (gameState === 'paused') resumeGame();
+        return true;
+      }
+      if (action === GameAction.START) {
+        if (gameState === 'paused') resumeGame();
+        else if (gameState !== 'playing') startGame();
+        return true;
+      }
+      if (action === GameAction.RESTART && (gameState === 'playing' || gameState === 'paused')) {
+        startGame();
+        return true;
+      }
+      return false;
+    };
+
     // 处理游戏控制快捷键
     const handleKeyDown = (e) => {
-      if (e.code === 'Space' && gameState !== 'playing') {
-        startGame();
+      if (e.repeat || isTextInputTarget(e.target)) return;
+
+      for (const action of [GameAction.PAUSE, GameAction.START, GameAction.RESTART]) {
+        if (im.matchesAction(e.code, action) && handleControl(action)) return;
       }
-      if (e.code === 'KeyR' && gameState === 'playing') {
-        startGame();
+      if (im.matchesAction(e.code, GameAction.FULLSCREEN)) {
+        toggleFullscreen();
+        return;
       }
+      if (im.matchesAction(e.code, GameAction.DEBUG)) {
+        setShowDebug(d => !d);
+      }
+    };
+
+    // 手柄按钮
+    const handleActionPressed = ({ action }) => {
+      handleControl(action);
+    };
+
+    // 手柄热插拔：对局中断开时暂停，避免失去控制
+    const handleGamepadChange = ({ connected }) => {
+      setGamepadConnected(im.hasGamepad());
+      if (!connected && gameState === 'playing') pauseGame();
     };
 
     window.addEventListener('keydown', handleKeyDown);
+    im.on('actionPressed', handleActionPressed);
+    im.on('gamepadChange', handleGamepadChange);
+    setGamepadConnected(im.hasGamepad());
 
     return () => {
       im.detach(overlay);
       window.removeEventListener('keydown', handleKeyDown);
+      im.off('actionPressed', handleActionPressed);
+      im.off('gamepadChange', handleGamepadChange);
     };
-  }, [gameState, startGame]);
+  }, [gameState, startGame, pauseGame, resumeGame, toggleFullscreen]);
+
+  // ============================================================
+  // 切到后台时保存（与自动暂停设置无关）
+  // ============================================================
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      if (document.hidden) persistGame();
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('pagehide', persistGame);
+
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('pagehide', persistGame);
+    };
+  }, [persistGame]);
+
+  // ============================================================
+  // 自动暂停（切换标签页 / 窗口失焦）
+  // ============================================================
+  useEffect(() => {
+    if (!autoPause) return;
+
+    const handleVisibilityChange = () => {
+      if (document.hidden) pauseGame();
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('blur', pauseGame);
+
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('blur', pauseGame);
+    };
+  }, [autoPause, pauseGame]);
 
   // ============================================================
   // 清理资源
   // ============================================================
   useEffect(() => {
     return () => {
-      if (webglRendererRef.current) {
-        webglRendererRef.current.dispose();
+      // 离开页面（如返回首页）时保存进行中的对局；回放中离开时换回玩家的配置
+      persistGame();
+      restorePlayerConfig();
+
+      if (rendererRef.current) {
+        rendererRef.current.dispose();
       }
       if (inputManagerRef.current) {
         inputManagerRef.current.reset();
       }
     };
-  }, []);
+  }, [persistGame, restorePlayerConfig]);
 
   // ============================================================
   // 渲染 UI
   // ============================================================
   return (
-    <div className="min-h-screen bg-gray-900 flex flex-col items-center justify-center p-4 select-none" style={{ WebkitUserSelect: 'none', WebkitTouchCallout: 'none' }}>
+    <div className="h-screen bg-gray-900 flex flex-col items-center p-2 sm:p-4 select-none" style={{ height: '100dvh', WebkitUserSelect: 'none', WebkitTouchCallout: 'none' }}>
       {/* 标题和分数 */}
-      <div className="mb-3 text-center">
+      <div className="mb-2 text-center shrink-0">
         <h1 className="text-2xl font-bold text-transparent bg-clip-text bg-gradient-to-r from-cyan-400 to-purple-500 mb-1">
           Metaball
         </h1>
@@ -221,55 +777,163 @@ export default function MetaballGame() {
         </div>
       </div>
 
-      {/* 游戏画布容器 */}
-      <div className="relative" style={{ width: CANVAS.SIZE, height: CANVAS.SIZE }}>
-        {/* WebGL 画布 */}
+      {/* 游戏画布容器（填满剩余空间，尺寸变化由 ResizeObserver 同步到画布） */}
+      <div
+        ref={containerRef}
+        className={`relative w-full flex-1 min-h-0 bg-gray-900 overflow-hidden ${
+          isFullscreen ? '' : 'rounded-lg shadow-2xl border border-gray-700'
+        }`}
+      >
+        {/* 游戏画布（WebGL 或 Canvas2D） */}
         <canvas
+          key={canvasKey}
           ref={canvasRef}
-          width={CANVAS.SIZE}
-          height={CANVAS.SIZE}
-          className="rounded-lg shadow-2xl border border-gray-700 absolute inset-0"
+          className="absolute inset-0 w-full h-full"
         />
         {/* 覆盖层画布 */}
         <canvas
           ref={overlayCanvasRef}
-          width={CANVAS.SIZE}
-          height={CANVAS.SIZE}
-          className="rounded-lg touch-none relative"
+          className="absolute inset-0 w-full h-full touch-none"
         />
 
-        {/* 重新开始按钮 */}
-        {gameState === 'playing' && (
-          <button
-            onClick={startGame}
-            className="absolute top-3 right-3 px-3 py-1.5 bg-gray-800/80 hover:bg-gray-700 text-gray-300 text-xs rounded-lg transition backdrop-blur flex items-center gap-1"
-            title="重新开始 (R)"
-          >
-            <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path
-                strokeLinecap="round"
-                strokeLinejoin="round"
-                strokeWidth={2}
-                d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"
-              />
-            </svg>
-            重来
-          </button>
+        {/* 回放标识 */}
+        {isReplaying && (gameState === 'playing' || gameState === 'paused') && (
+          <div className="absolute top-3 left-3 px-3 py-1.5 bg-red-600/80 text-white text-xs font-bold rounded-lg backdrop-blur">
+            ▶ 回放中
+          </div>
         )}
 
+        {/* 暂停 / 重新开始按钮 */}
+        {gameState === 'playing' && (
+          <div className="absolute top-3 right-3 flex gap-2">
+            <button
+              onClick={pauseGame}
+              className="px-3 py-1.5 bg-gray-800/80 hover:bg-gray-700 text-gray-300 text-xs rounded-lg transition backdrop-blur flex items-center gap-1"
+              title="暂停 (Esc / P)"
+            >
+              <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 9v6m4-6v6" />
+              </svg>
+              暂停
+            </button>
+            <button
+              onClick={startGame}
+              className="px-3 py-1.5 bg-gray-800/80 hover:bg-gray-700 text-gray-300 text-xs rounded-lg transition backdrop-blur flex items-center gap-1"
+              title="重新开始 (R)"
+            >
+              <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"
+                />
+              </svg>
+              重来
+            </button>
+            {showDebug && (
+              <button
+                onClick={() => setShowTuning(t => !t)}
+                className="px-3 py-1.5 bg-gray-800/80 hover:bg-gray-700 text-gray-300 text-xs rounded-lg transition backdrop-blur"
+                title="实时调整游戏参数"
+              >
+                调参
+              </button>
+            )}
+            {canFullscreen && (
+              <button
+                onClick={toggleFullscreen}
+                className="px-3 py-1.5 bg-gray-800/80 hover:bg-gray-700 text-gray-300 text-xs rounded-lg transition backdrop-blur"
+                title={isFullscreen ? '退出全屏 (F)' : '全屏 (F)'}
+              >
+                {isFullscreen ? '退出全屏' : '全屏'}
+              </button>
+            )}
+          </div>
+        )}
 
+        {/* 暂停界面 */}
+        {gameState === 'paused' && (
+          <div className="absolute inset-0 bg-black/70 flex flex-col items-center justify-center p-6 overflow-y-auto">
+            <h2 className="text-3xl font-bold text-white mb-1">暂停</h2>
+            <p className="text-gray-400 text-sm mb-4">得分: {score}</p>
 
+            {showSettings ? (
+              <div className="bg-gray-800/60 rounded-lg p-4 mb-4 text-sm text-gray-300 space-y-3 w-56">
+                <p className="text-cyan-300 font-bold">⚙️ 设置</p>
+                <label className="flex items-center justify-between gap-3 cursor-pointer">
+                  <span>显示引力场</span>
+                  <input
+                    type="checkbox"
+                    checked={showGravityField}
+                    onChange={(e) => setShowGravityField(e.target.checked)}
+                    className="accent-cyan-500"
+                  />
+                </label>
+                <label className="flex items-center justify-between gap-3 cursor-pointer">
+                  <span>调试信息</span>
+                  <input
+                    type="checkbox"
+                    checked={showDebug}
+                    onChange={(e) => setShowDebug(e.target.checked)}
+                    className="accent-cyan-500"
+                  />
+                </label>
+                <label className="flex items-center justify-between gap-3 cursor-pointer">
+                  <span>离开时自动暂停</span>
+                  <input
+                    type="checkbox"
+                    checked={autoPause}
+                    onChange={(e) => setAutoPause(e.target.checked)}
+                    className="accent-cyan-500"
+                  />
+                </label>
+                <button
+                  onClick={() => setShowSettings(false)}
+                  className="w-full px-4 py-1.5 bg-gray-700 hover:bg-gray-600 text-gray-200 text-xs rounded-lg transition"
+                >
+                  返回
+                </button>
+              </div>
+            ) : (
+              <div className="flex flex-col gap-2 w-40">
+                <button
+                  onClick={resumeGame}
+                  className="px-6 py-2 bg-cyan-600 hover:bg-cyan-500 text-white font-bold rounded-lg transition"
+                >
+                  继续
+                </button>
+                <button
+                  onClick={startGame}
+                  className="px-6 py-2 bg-gray-700 hover:bg-gray-600 text-gray-200 rounded-lg transition"
+                >
+                  重来
+                </button>
+                <button
+                  onClick={() => setShowSettings(true)}
+                  className="px-6 py-2 bg-gray-700 hover:bg-gray-600 text-gray-200 rounded-lg transition"
+                >
+                  设置
+                </button>
+              </div>
+            )}
 
+            <div className="text-gray-500 text-xs mt-4">
+              Esc / P 继续 | R 重来 | F 全屏
+            </div>
+          </div>
+        )}
 
         {/* 菜单界面 */}
         {gameState === 'menu' && (
-          <div className="absolute inset-0 bg-black/80 rounded-lg flex flex-col items-center justify-center p-6">
+          <div className="absolute inset-0 bg-black/60 flex flex-col items-center justify-center p-6 overflow-y-auto">
             <h2 className="text-3xl font-bold text-white mb-2">Metaball</h2>
             <p className="text-cyan-400 text-sm mb-3 font-mono">探索质量与引力的奥秘</p>
 
             <div className="text-gray-300 text-sm mb-4 space-y-2 text-center">
               <p>🌍 吃掉绿色小球让自己变大</p>
-              <p>⚠️ 躲避红色敌人和紫色黑洞</p>
+              <p>⚠️ 躲避比你大的敌人和紫色黑洞</p>
+              <p>🎨 敌人的颜色就是它的性格：红色霸王追你，黄色胆小鬼会逃，品红伏击者埋伏，青色食草者只顾吃</p>
               <p className="text-yellow-400">✨ 变大后你会产生自己的引力！</p>
             </div>
 
@@ -280,37 +944,175 @@ export default function MetaballGame() {
             </div>
 
             <div className="text-gray-500 text-xs mb-3">
-              WASD / 方向键移动 | R 重来
+              WASD / 方向键移动 | Esc 暂停 | R 重来 | F 全屏
+              {gamepadConnected && (
+                <p className="text-cyan-400 mt-1">🎮 手柄：左摇杆 / 十字键移动 | A 开始 | Start 暂停 | Y 重来</p>
+              )}
+            </div>
+            {/* 难度选择 */}
+            <div className="mb-3 text-xs text-gray-300 text-center">
+              <div className="flex justify-center gap-1 mb-1">
+                {Object.entries(DIFFICULTY_PRESETS).map(([name, preset]) => (
+                  <button
+                    key={name}
+                    onClick={() => setDifficulty(d => ({ ...d, preset: name }))}
+                    className={`px-3 py-1 rounded transition ${
+                      difficulty.preset === name
+                        ? 'bg-cyan-600 text-white font-bold'
+                        : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+                    }`}
+                  >
+                    {preset.LABEL}
+                  </button>
+                ))}
+              </div>
+              <p className="text-gray-400 mb-1">{DIFFICULTY_PRESETS[difficulty.preset].DESCRIPTION}</p>
+              <label className="inline-flex items-center gap-2">
+                <span>难度曲线</span>
+                <select
+                  value={difficulty.curve ?? ''}
+                  onChange={(e) => setDifficulty(d => ({ ...d, curve: e.target.value || null }))}
+                  className="bg-gray-800 rounded px-1"
+                >
+                  <option value="">预设默认（{DIFFICULTY_CURVES[DIFFICULTY_PRESETS[difficulty.preset].CURVE].LABEL}）</option>
+                  {Object.entries(DIFFICULTY_CURVES).map(([name, curve]) => (
+                    <option key={name} value={name}>{curve.LABEL}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex items-center justify-center gap-2 mt-1 cursor-pointer" title="根据你的表现自动调整敌人数量和速度">
+                <input
+                  type="checkbox"
+                  checked={difficulty.adaptive}
+                  onChange={(e) => setDifficulty(d => ({ ...d, adaptive: e.target.checked }))}
+                  className="accent-cyan-500"
+                />
+                <span>自适应难度</span>
+              </label>
+            </div>
+
+            {/* 最高分 */}
+            {highScores.length > 0 && (
+              <div className="bg-gray-800/60 rounded-lg p-2 mb-3 text-xs text-gray-400 w-56">
+                <p className="text-yellow-300 font-bold mb-1">🏆 最高分</p>
+                {highScores.slice(0, 5).map((entry, index) => (
+                  <div key={`${entry.recordedAt}-${index}`} className="flex justify-between gap-2 font-mono">
+                    <span>{index + 1}. {entry.score}</span>
+                    <span className="truncate">{getDifficultyLabel(entry.difficulty)}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {urlSeed !== null && (
+              <p className="text-gray-400 text-xs mb-3 font-mono">世界种子: {urlSeed}</p>
+            )}
+            <div className="flex gap-2">
+              {hasSave && (
+                <button
+                  onClick={continueGame}
+                  className="px-6 py-2 bg-purple-600 hover:bg-purple-500 text-white font-bold rounded-lg transition"
+                >
+                  继续
+                </button>
+              )}
+              <button
+                onClick={startGame}
+                className="px-6 py-2 bg-cyan-600 hover:bg-cyan-500 text-white font-bold rounded-lg transition"
+              >
+                开始探索
+              </button>
             </div>
-            <button
-              onClick={startGame}
-              className="px-6 py-2 bg-cyan-600 hover:bg-cyan-500 text-white font-bold rounded-lg transition"
-            >
-              开始探索
-            </button>
           </div>
         )}
 
         {/* 游戏结束界面 */}
         {gameState === 'gameover' && (
-          <div className="absolute inset-0 bg-black/80 rounded-lg flex flex-col items-center justify-center">
+          <div className="absolute inset-0 bg-black/80 flex flex-col items-center justify-center p-6 overflow-y-auto">
             <h2 className="text-3xl font-bold text-red-500 mb-3">Game Over</h2>
             <p className="text-xl text-white mb-1">得分: {score}</p>
-            {score >= highScore && score > 0 && (
+            {runSummary?.rank === 1 && (
               <p className="text-yellow-400 mb-3">新纪录!</p>
             )}
+            {runSummary?.rank > 1 && (
+              <p className="text-yellow-400 mb-3">排行榜第 {runSummary.rank} 名</p>
+            )}
+            {runSummary && (
+              <div className="mb-4 text-sm text-gray-300 text-center">
+                <p className="mb-2">
+                  {getDifficultyLabel(runSummary.difficulty)} · 存活 {formatDuration(runSummary.time)} · {DEATH_CAUSE_TEXT[runSummary.cause] || DEATH_CAUSE_TEXT[DeathCause.UNKNOWN]}
+                </p>
+                {runSummary.milestones.length > 0 ? (
+                  <div className="flex flex-wrap justify-center gap-2">
+                    {runSummary.milestones.map(milestone => (
+                      <span
+                        key={milestone.radius}
+                        className="px-2 py-1 bg-gray-800 text-yellow-300 rounded"
+                        title={milestone.message}
+                      >
+                        {milestone.icon} {milestone.title}
+                      </span>
+                    ))}
+                  </div>
+                ) : (
+                  <p className="text-gray-500">本局未达成里程碑</p>
+                )}
+              </div>
+            )}
             <button
               onClick={startGame}
               className="px-6 py-2 bg-red-600 hover:bg-red-500 text-white font-bold rounded-lg transition"
             >
               再来
             </button>
+            {worldSeed !== null && (
+              <div className="flex items-center gap-2 mt-3 text-xs text-gray-400">
+                <span className="font-mono">世界种子: {worldSeed}</span>
+                <button
+                  onClick={restartSameWorld}
+                  className="px-2 py-1 bg-gray-700 hover:bg-gray-600 text-gray-200 rounded transition"
+                >
+                  再玩这个世界
+                </button>
+                <button
+                  onClick={copySeedLink}
+                  className="px-2 py-1 bg-gray-700 hover:bg-gray-600 text-gray-200 rounded transition"
+                >
+                  {linkCopied ? '已复制' : '复制链接'}
+                </button>
+              </div>
+            )}
+            {hasReplay && (
+              <div className="flex gap-2 mt-3">
+                <button
+                  onClick={watchReplay}
+                  className="px-4 py-1.5 bg-gray-700 hover:bg-gray-600 text-gray-200 text-sm rounded-lg transition"
+                >
+                  观看回放
+                </button>
+                <button
+                  onClick={exportReplay}
+                  className="px-4 py-1.5 bg-gray-700 hover:bg-gray-600 text-gray-200 text-sm rounded-lg transition"
+                  title="下载回放文件，可附在问题反馈中"
+                >
+                  导出回放
+                </button>
+              </div>
+            )}
           </div>
         )}
+
+        {/* 调参面板（调试模式下，游戏进行和暂停时可用） */}
+        {showDebug && showTuning && (gameState === 'playing' || gameState === 'paused') && (
+          <MetaballTuningPanel
+            onChange={handleConfigChange}
+            onClose={() => setShowTuning(false)}
+          />
+        )}
       </div>
 
       {/* 图例 */}
-      <div className="mt-3 flex gap-4 text-xs">
+      <div className="mt-2 flex flex-wrap justify-center gap-x-4 gap-y-1 text-xs shrink-0">
         <span className="flex items-center gap-1">
           <span className="w-3 h-3 rounded-full" style={{ background: 'hsl(200, 70%, 50%)' }}></span>
           <span className="text-gray-400">你</span>
@@ -319,10 +1121,12 @@ export default function MetaballGame() {
           <span className="w-3 h-3 rounded-full" style={{ background: 'hsl(110, 70%, 50%)' }}></span>
           <span className="text-gray-400">食物</span>
         </span>
-        <span className="flex items-center gap-1">
-          <span className="w-3 h-3 rounded-full" style={{ background: 'hsl(350, 70%, 50%)' }}></span>
-          <span className="text-gray-400">敌人</span>
-        </span>
+        {Object.entries(ENEMY_PERSONALITIES).map(([key, personality]) => (
+          <span key={key} className="flex items-center gap-1" title={personality.DESCRIPTION}>
+            <span className="w-3 h-3 rounded-full" style={{ background: `hsl(${personality.HUE}, 70%, 50%)` }}></span>
+            <span className="text-gray-400">{personality.LABEL}</span>
+          </span>
+        ))}
         <span className="flex items-center gap-1">
           <span className="w-3 h-3 rounded-full" style={{ background: 'hsl(270, 70%, 40%)' }}></span>
           <span className="text-gray-400">黑洞</span>
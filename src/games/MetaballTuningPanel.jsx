@@ -0,0 +1,280 @@
+/**
+ * MetaballTuningPanel.jsx - 调参面板（开发者工具）
+ *
+ * 设计哲学：改完立刻能玩到 (Tune While Playing)
+ *
+ * 职责：
+ * 1. 列出 UI.TUNING_PANEL.SECTIONS 中的配置项，修改后原地写入 GameConfig，下一步模拟即生效
+ * 2. 预设：保存到本地、载入、删除、导出为 JSON 文件、从 JSON 文件导入
+ * 3. 标出与默认值不同的项，一键恢复默认
+ *
+ * 不负责：
+ * - 配置校验和差异计算（由 GameConfig / ConfigPresets 处理）
+ * - 同步渲染器缓存的参数（由 onChange 回调交给父组件）
+ */
+
+import React, { useState, useCallback, useMemo, useRef } from 'react';
+import {
+  GameConfig,
+  UI,
+  applyConfigOverrides,
+  getConfigOverrides,
+  resetConfig,
+  createPreset,
+  serializePreset,
+  parsePreset,
+  applyPreset,
+  loadPresets,
+  savePreset,
+  deletePreset,
+} from './metaball/index.js';
+
+/**
+ * 把配置段展开为 [路径, 值] 列表（嵌套对象用 . 连接）
+ *
+ * @param {Object} section - 配置段
+ * @param {string} prefix - 路径前缀
+ * @returns {Array} [[path, value], ...]
+ */
+function flattenSection(section, prefix) {
+  const entries = [];
+  for (const [key, value] of Object.entries(section)) {
+    const path = `${prefix}.${key}`;
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      entries.push(...flattenSection(value, path));
+    } else if (typeof value === 'number' || typeof value === 'boolean') {
+      entries.push([path, value]);
+    }
+  }
+  return entries;
+}
+
+/**
+ * 由路径和值构造覆盖值对象
+ *
+ * @param {string} path - 如 'PLAYER.GRAVITY.BASE_STRENGTH'
+ * @param {*} value - 值
+ * @returns {Object} 如 { PLAYER: { GRAVITY: { BASE_STRENGTH: value } } }
+ */
+function overridesFromPath(path, value) {
+  return path.split('.').reduceRight((nested, key) => ({ [key]: nested }), value);
+}
+
+/**
+ * 按默认值的量级选择输入步长
+ *
+ * @param {number} value - 默认值
+ * @returns {number}
+ */
+function stepFor(value) {
+  if (Number.isInteger(value) && Math.abs(value) >= 1) return 1;
+  const magnitude = Math.abs(value) > 0 ? Math.floor(Math.log10(Math.abs(value))) : -2;
+  return Math.pow(10, magnitude - 1);
+}
+
+export default function MetaballTuningPanel({ onChange, onClose }) {
+  // 整体改写配置（重置、载入、导入）后递增，让输入框按新值重新挂载；
+  // 单项编辑只递增 edits，输入框不重新挂载，不会打断输入
+  const [revision, setRevision] = useState(0);
+  const [edits, setEdits] = useState(0);
+  const [presets, setPresets] = useState(() => loadPresets());
+  const [presetName, setPresetName] = useState('');
+  const [selectedPreset, setSelectedPreset] = useState('');
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const changedPaths = useMemo(() => {
+    const paths = new Set();
+    const collect = (source, prefix) => {
+      for (const [key, value] of Object.entries(source)) {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (value !== null && typeof value === 'object') collect(value, path);
+        else paths.add(path);
+      }
+    };
+    collect(getConfigOverrides(), '');
+    return paths;
+  }, [revision, edits]);
+
+  const sections = UI.TUNING_PANEL.SECTIONS.map(name => ({
+    name,
+    entries: flattenSection(GameConfig[name], name)
+      .filter(([path]) => !UI.TUNING_PANEL.INIT_ONLY.includes(path)),
+  }));
+
+  const applyChange = useCallback((path, value) => {
+    try {
+      applyConfigOverrides(overridesFromPath(path, value));
+      setMessage(null);
+      setEdits(n => n + 1);
+      onChange();
+    } catch (error) {
+      setMessage({ error: true, text: error.message });
+    }
+  }, [onChange]);
+
+  // 整体改写配置后刷新输入框
+  const afterBulkChange = useCallback((text) => {
+    setRevision(r => r + 1);
+    setMessage(text ? { error: false, text } : null);
+    onChange();
+  }, [onChange]);
+
+  const handleReset = useCallback(() => {
+    resetConfig();
+    afterBulkChange('已恢复默认值');
+  }, [afterBulkChange]);
+
+  const handleSave = useCallback(() => {
+    const name = presetName.trim();
+    if (!name) {
+      setMessage({ error: true, text: '请输入预设名称' });
+      return;
+    }
+    if (savePreset(createPreset(name))) {
+      setPresets(loadPresets());
+      setSelectedPreset(name);
+      setMessage({ error: false, text: `已保存「${name}」` });
+    } else {
+      setMessage({ error: true, text: '本地存储不可用，请改用导出' });
+    }
+  }, [presetName]);
+
+  const handleLoad = useCallback(() => {
+    const preset = presets.find(p => p.name === selectedPreset);
+    if (!preset) return;
+    try {
+      applyPreset(preset);
+      setPresetName(preset.name);
+      afterBulkChange(`已载入「${preset.name}」`);
+    } catch (error) {
+      setMessage({ error: true, text: error.message });
+    }
+  }, [presets, selectedPreset, afterBulkChange]);
+
+  const handleDelete = useCallback(() => {
+    if (!selectedPreset) return;
+    deletePreset(selectedPreset);
+    setPresets(loadPresets());
+    setSelectedPreset('');
+  }, [selectedPreset]);
+
+  const handleExport = useCallback(() => {
+    const name = presetName.trim() || 'tuning';
+    const blob = new Blob([serializePreset(createPreset(name))], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `metaball-preset-${name}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }, [presetName]);
+
+  const handleImport = useCallback((e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    file.text().then((text) => {
+      const preset = parsePreset(text);
+      applyPreset(preset);
+      setPresetName(preset.name);
+      afterBulkChange(`已导入「${preset.name}」`);
+    }).catch((error) => {
+      setMessage({ error: true, text: `导入失败: ${error.message}` });
+    });
+  }, [afterBulkChange]);
+
+  const buttonClass = 'px-2 py-1 bg-gray-700 hover:bg-gray-600 text-gray-200 rounded transition disabled:opacity-40';
+
+  return (
+    <div className="absolute top-14 left-3 bottom-3 w-72 max-w-[calc(100%-1.5rem)] flex flex-col bg-gray-900/95 border border-gray-700 rounded-lg text-xs text-gray-300 backdrop-blur">
+      <div className="flex items-center justify-between px-3 py-2 border-b border-gray-700">
+        <span className="text-cyan-300 font-bold">🔧 参数调节</span>
+        <button onClick={onClose} className="text-gray-400 hover:text-white" title="关闭">✕</button>
+      </div>
+
+      {/* 预设 */}
+      <div className="px-3 py-2 space-y-2 border-b border-gray-700">
+        <div className="flex gap-1">
+          <select
+            value={selectedPreset}
+            onChange={(e) => setSelectedPreset(e.target.value)}
+            className="flex-1 min-w-0 bg-gray-800 rounded px-1"
+          >
+            <option value="">已保存的预设…</option>
+            {presets.map(p => (
+              <option key={p.name} value={p.name}>{p.name}</option>
+            ))}
+          </select>
+          <button onClick={handleLoad} disabled={!selectedPreset} className={buttonClass}>载入</button>
+          <button onClick={handleDelete} disabled={!selectedPreset} className={buttonClass}>删除</button>
+        </div>
+        <div className="flex gap-1">
+          <input
+            value={presetName}
+            onChange={(e) => setPresetName(e.target.value)}
+            placeholder="预设名称"
+            className="flex-1 min-w-0 bg-gray-800 rounded px-2"
+          />
+          <button onClick={handleSave} className={buttonClass}>保存</button>
+        </div>
+        <div className="flex gap-1">
+          <button onClick={handleExport} className={buttonClass}>导出 JSON</button>
+          <button onClick={() => fileInputRef.current.click()} className={buttonClass}>导入</button>
+          <button onClick={handleReset} disabled={changedPaths.size === 0} className={buttonClass}>恢复默认</button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleImport}
+            className="hidden"
+          />
+        </div>
+        {message && (
+          <p className={message.error ? 'text-red-400' : 'text-green-400'}>{message.text}</p>
+        )}
+      </div>
+
+      {/* 配置项 */}
+      <div className="flex-1 min-h-0 overflow-y-auto px-3 py-2 space-y-2">
+        {sections.map(({ name, entries }) => (
+          <details key={name} open={name === 'PLAYER'}>
+            <summary className="cursor-pointer text-gray-200 font-bold py-1">{name}</summary>
+            <div className="space-y-1 pl-1">
+              {entries.map(([path, value]) => {
+                const label = path.slice(name.length + 1);
+                const changed = changedPaths.has(path);
+                return (
+                  <label key={path} className="flex items-center justify-between gap-2" title={path}>
+                    <span className={`truncate font-mono ${changed ? 'text-yellow-300' : ''}`}>{label}</span>
+                    {typeof value === 'boolean' ? (
+                      <input
+                        type="checkbox"
+                        checked={value}
+                        onChange={(e) => applyChange(path, e.target.checked)}
+                        className="accent-cyan-500"
+                      />
+                    ) : (
+                      <input
+                        key={`${path}:${revision}`}
+                        type="number"
+                        defaultValue={value}
+                        step={stepFor(value)}
+                        onChange={(e) => {
+                          const next = e.target.valueAsNumber;
+                          if (Number.isFinite(next)) applyChange(path, next);
+                        }}
+                        className="w-20 bg-gray-800 rounded px-1 text-right font-mono"
+                      />
+                    )}
+                  </label>
+                );
+              })}
+            </div>
+          </details>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,235 @@
+/**
+ * BotPlayer.js - 机器人玩家
+ *
+ * 设计哲学：与真人使用同一个输入接口 (Same Interface as a Human)
+ *
+ * 核心职责：
+ * 1. 实现输入源协议（isActionActive / advanceTick / getViewport），引擎无法区分机器人和真人
+ * 2. 感知附近的食物、敌人和黑洞，像一个熟练玩家那样操作
+ * 3. 驱动菜单背后的演示模式，以及无头平衡性测试（衡量熟练玩家在某组配置下能存活多久）
+ *
+ * 决策方式：转向行为 (Steering Behaviors)
+ * - 吸引：能吃掉的食物和敌人，按面积 / 距离² 加权，合成一个前进方向
+ * - 排斥：比玩家大的敌人、黑洞的引力范围，越近越强，足以压过吸引；
+ *   敌人的躲避间距随它的半径和速度扩大，大而快的敌人更早躲开
+ * - 漫游：附近什么都没有时朝随机方向探索
+ * - 最后把转向向量量化为八方向按键，与键盘玩家的操作能力相同
+ *
+ * 设计决策：
+ * - 只读取引擎状态、不修改，决策只取决于世界状态和种子，录制与回放照常工作
+ * - 每 REACTION_TICKS 步才重新决策，模拟人的反应时间，也减少空间查询
+ * - 落在黑洞躲避范围内的食物不算目标，避免为了食物冲进黑洞
+ */
+
+import { BOT, PLAYER, ENEMY, BLACK_HOLE, PHYSICS } from '../core/GameConfig.js';
+import { seededRandom } from '../core/ChunkSystem.js';
+import { DEFAULT_VIEWPORT, normalizeViewport } from '../core/Viewport.js';
+import { GameAction } from '../input/InputManager.js';
+
+// 空间查询过滤函数
+const isNotPlayer = entity => !entity.isPlayer;
+
+/**
+ * 计算黑洞的躲避范围
+ *
+ * @param {Object} blackHole - 黑洞实体
+ * @returns {number}
+ */
+function getAvoidRadius(blackHole) {
+  return blackHole.r * BLACK_HOLE.PULL_RADIUS_MULTIPLIER * BOT.BLACK_HOLE_MARGIN;
+}
+
+/**
+ * 计算敌人的躲避间距（表面间距）
+ *
+ * 速度按引擎的限速截断：每步的推挤和拉扯留下的超速部分在下一步移动前就被限掉
+ *
+ * @param {Object} enemy - 比玩家大的敌人
+ * @returns {number}
+ */
+function getThreatRange(enemy) {
+  const speed = Math.min(Math.sqrt(enemy.vx * enemy.vx + enemy.vy * enemy.vy), ENEMY.MAX_SPEED);
+  return BOT.THREAT_RANGE + enemy.r * BOT.THREAT_RADIUS_FACTOR + speed * BOT.THREAT_LOOKAHEAD;
+}
+
+/**
+ * 机器人玩家
+ *
+ * 可以直接作为引擎的输入源，也可以被 InputRecorder 包装录制
+ */
+export class BotPlayer {
+  /**
+   * @param {GameEngine} engine - 游戏引擎（只读）
+   * @param {Object} options
+   * @param {number|null} options.seed - 漫游方向的随机种子
+   * @param {Object} options.viewport - 视口 { width, height }
+   */
+  constructor(engine, { seed = 1, viewport = DEFAULT_VIEWPORT } = {}) {
+    this.engine = engine;
+    this.seed = seed ?? 1;
+    this.viewport = viewport;
+    this.active = new Set();
+    // 最近一次决策的转向向量（调试用）
+    this.steering = { x: 0, y: 0 };
+  }
+
+  /**
+   * 模拟步开始时按反应间隔重新决策
+   *
+   * @param {number} tick - 当前步序号
+   */
+  advanceTick(tick) {
+    if ((tick - 1) % BOT.REACTION_TICKS !== 0) return;
+
+    const player = this.engine.entityManager.getPlayer();
+    if (!player) return;
+
+    this.steering = this.computeSteering(player, tick);
+    this.active = this.toActions(this.steering);
+  }
+
+  /**
+   * 计算转向向量
+   *
+   * @param {Object} player - 玩家实体
+   * @param {number} tick - 当前步序号
+   * @returns {Object} { x, y } 未归一化的转向向量
+   */
+  computeSteering(player, tick) {
+    const growth = Math.max(1, player.r / PLAYER.INITIAL_RADIUS);
+    const senseRadius = BOT.SENSE_RADIUS * Math.sqrt(growth) + player.r;
+    // 按身体而不是中心判断：中心在感知范围外的巨大敌人也要躲
+    const nearby = this.engine.entityManager.queryOverlapping(player.x, player.y, senseRadius, isNotPlayer);
+    const hazards = nearby.filter(entity => entity.isBlackHole);
+
+    let attractX = 0, attractY = 0;
+    let repelX = 0, repelY = 0;
+
+    for (const entity of nearby) {
+      const dx = entity.x - player.x;
+      const dy = entity.y - player.y;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+      if (dist === 0) continue;
+
+      const ux = dx / dist;
+      const uy = dy / dist;
+      const gap = Math.max(0, dist - entity.r - player.r);
+
+      if (entity.isBlackHole) {
+        const avoidRadius = getAvoidRadius(entity);
+        if (dist < avoidRadius) {
+          const weight = BOT.BLACK_HOLE_WEIGHT * (1 - dist / avoidRadius);
+          repelX -= ux * weight;
+          repelY -= uy * weight;
+        }
+      } else if (entity.isEnemy && entity.r > player.r) {
+        const threatRange = getThreatRange(entity);
+        if (gap < threatRange) {
+          const closeness = 1 - gap / threatRange;
+          const weight = BOT.THREAT_WEIGHT * closeness * closeness;
+          repelX -= ux * weight;
+          repelY -= uy * weight;
+        }
+      } else if (this.canEat(player, entity) && !this.isHazardous(entity, hazards)) {
+        const softened = gap + BOT.TARGET_SOFTENING;
+        const coefficient = entity.isEnemy ? BOT.PREY_WEIGHT : BOT.FOOD_WEIGHT;
+        const weight = coefficient * entity.r * entity.r / (softened * softened);
+        attractX += ux * weight;
+        attractY += uy * weight;
+      }
+    }
+
+    // 吸引只决定方向，排斥按强度叠加
+    const attraction = Math.sqrt(attractX * attractX + attractY * attractY);
+    if (attraction > 0) {
+      return { x: attractX / attraction + repelX, y: attractY / attraction + repelY };
+    }
+    if (repelX !== 0 || repelY !== 0) {
+      return { x: repelX, y: repelY };
+    }
+
+    const angle = seededRandom(this.seed * 7919 + Math.floor(tick / BOT.WANDER_TICKS) * 31) * Math.PI * 2;
+    return { x: Math.cos(angle), y: Math.sin(angle) };
+  }
+
+  /**
+   * 玩家能否吃掉实体（与 handleCollision 的规则一致）
+   *
+   * @param {Object} player - 玩家实体
+   * @param {Object} entity - 食物或敌人
+   * @returns {boolean}
+   */
+  canEat(player, entity) {
+    if (entity.isFood) return player.r >= entity.r;
+    return entity.isEnemy && player.r > entity.r * PHYSICS.ABSORPTION_THRESHOLD;
+  }
+
+  /**
+   * 实体是否在某个黑洞的躲避范围内
+   *
+   * @param {Object} entity - 实体
+   * @param {Array} hazards - 附近的黑洞
+   * @returns {boolean}
+   */
+  isHazardous(entity, hazards) {
+    for (const hole of hazards) {
+      const dx = entity.x - hole.x;
+      const dy = entity.y - hole.y;
+      const radius = getAvoidRadius(hole);
+      if (dx * dx + dy * dy < radius * radius) return true;
+    }
+    return false;
+  }
+
+  /**
+   * 把转向向量量化为八方向按键
+   *
+   * @param {Object} steering - 转向向量 { x, y }
+   * @returns {Set} 按下的动作
+   */
+  toActions({ x, y }) {
+    const actions = new Set();
+    const length = Math.sqrt(x * x + y * y);
+    if (length === 0) return actions;
+
+    const threshold = length * BOT.DIRECTION_THRESHOLD;
+    if (x < -threshold) actions.add(GameAction.MOVE_LEFT);
+    if (x > threshold) actions.add(GameAction.MOVE_RIGHT);
+    if (y < -threshold) actions.add(GameAction.MOVE_UP);
+    if (y > threshold) actions.add(GameAction.MOVE_DOWN);
+    return actions;
+  }
+
+  /**
+   * 检查动作是否激活
+   *
+   * @param {string} action - 动作名称
+   * @returns {boolean}
+   */
+  isActionActive(action) {
+    return this.active.has(action);
+  }
+
+  /**
+   * 设置视口尺寸（演示模式下跟随画布）
+   *
+   * @param {number} width - 宽度（CSS 像素）
+   * @param {number} height - 高度（CSS 像素）
+   */
+  setViewport(width, height) {
+    this.viewport = normalizeViewport(width, height);
+  }
+
+  /**
+   * 获取视口尺寸
+   *
+   * @returns {Object} { width, height }
+   */
+  getViewport() {
+    return this.viewport;
+  }
+}
+
+export default {
+  BotPlayer,
+};
@@ -1,21 +1,61 @@
 /**
  * EnemyAI.js - 敌人 AI 系统
  *
- * 设计哲学：行为树的简化版 (Simplified Behavior Tree)
- *
- * 当前实现：基础追逐 AI
- * - 检测玩家距离
- * - 在追逐范围内向玩家移动
- * - 大型敌人移动较慢但更持久
- *
- * 扩展方向：
- * - 添加巡逻行为
- * - 添加群体行为
- * - 添加躲避黑洞行为
- * - 添加领地意识
+ * 设计哲学：效用 AI (Utility AI)
+ *
+ * 当前实现：每个敌人一个效用决策器 + 行为执行
+ * - 考量：饥饿、威胁、机会（体型比）、领地、厌倦，均归一化到 [0, 1]
+ * - 打分：按性格权重把考量组合成各行为的得分，选择得分最高的行为
+ * - 漫游：空闲时缓慢漂移，巡逻时在所属分块内经过若干路径点，两者交替
+ * - 追逐：向玩家移动，大型敌人移动较慢但更持久
+ * - 逃跑：玩家大到能吃掉自己时远离玩家
+ * - 觅食：游向附近的食物
+ * - 埋伏：刹停不动，等猎物靠近再转为追逐
+ * - 群体：邻近敌人之间分离 / 对齐 / 聚合；追逐范围内足够多的小敌人组成狼群，散开包围比它们大的玩家
+ * - 避险：任何行为下都绕开附近的黑洞
+ *
+ * 设计决策：
+ * - 性格（霸王 / 胆小鬼 / 伏击者 / 食草者）只是一组权重，生成时决定并体现为颜色，
+ *   新增性格只需在 ENEMY_PERSONALITIES 中添加一项
+ * - 控制器在实体加入时创建、移除时销毁（EntityManager 生命周期钩子），
+ *   分块卸载后重新加载的敌人从空闲重新开始
+ * - 决策带迟滞：每隔 DECISION_INTERVAL 才重新打分，新行为要高出当前行为 SWITCH_MARGIN，
+ *   且当前行为至少保持 MIN_STATE_TIME；正在追逐 / 逃跑的敌人按更大的范围评估，不会在边界上来回抖动
+ * - 随机数由实体 ID 和控制器自己的计数器决定，随存档保存，回放与恢复存档后行为一致
+ * - 感知（邻居、狼群、黑洞、食物）由 EnemyAISystem 用空间哈希查询（按存储顺序返回）得到，
+ *   不做全体两两比较；狼群每步开始时统一判定，只取决于位置和体型，与控制器的更新顺序无关
  */
 
-import { ENEMY_AI, PLAYER, ENEMY } from '../core/GameConfig.js';
+import {
+  ENEMY_AI,
+  ENEMY_PERSONALITIES,
+  DEFAULT_ENEMY_PERSONALITY,
+  PLAYER,
+  PHYSICS,
+  CHUNK,
+  RENDERING,
+  BLACK_HOLE,
+} from '../core/GameConfig.js';
+import { seededRandom, chunkToWorld } from '../core/ChunkSystem.js';
+
+// 空间查询过滤函数
+const isFood = entity => entity.isFood;
+const isEnemy = entity => entity.isEnemy;
+
+// 没有感知数据时使用的默认值
+const NO_NEIGHBORS = [];
+const NO_SENSES = Object.freeze({ neighbors: NO_NEIGHBORS, pack: null, hazards: NO_NEIGHBORS, food: null });
+
+/**
+ * 计算当前的追逐范围（随玩家成长而扩大）
+ *
+ * @param {Object} player - 玩家实体
+ * @returns {number}
+ */
+export function getChaseRange(player) {
+  const difficultyScale = Math.max(1.0, player.r / PLAYER.INITIAL_RADIUS);
+  return ENEMY_AI.BASE_CHASE_RANGE * Math.sqrt(difficultyScale);
+}
 
 /**
  * 计算敌人向玩家追逐的加速度
@@ -28,27 +68,22 @@ import { ENEMY_AI, PLAYER, ENEMY } from '../core/GameConfig.js';
  * @param {Object} enemy - 敌人实体
  * @param {Object} player - 玩家实体
  * @param {number} dt - 时间增量
+ * @param {number} accelMultiplier - 追逐加速度倍率（来自难度预设）
+ * @param {number} rangeFactor - 追逐范围倍数（已在追逐的敌人使用 LOSE_RANGE_FACTOR）
  * @returns {Object} { ax, ay } 加速度向量，如果不追逐则返回 null
  */
-export function calculateChaseAcceleration(enemy, player, dt) {
+export function calculateChaseAcceleration(enemy, player, dt, accelMultiplier = 1, rangeFactor = 1) {
   const dx = player.x - enemy.x;
   const dy = player.y - enemy.y;
   const dist = Math.sqrt(dx * dx + dy * dy);
 
-  // 计算难度相关的追逐参数
-  const difficultyScale = Math.max(1.0, player.r / PLAYER.INITIAL_RADIUS);
-  const chaseRange = ENEMY_AI.BASE_CHASE_RANGE * Math.sqrt(difficultyScale);
-  const chaseAccel = ENEMY_AI.BASE_CHASE_ACCEL * (1 + (difficultyScale - 1) * ENEMY_AI.CHASE_SCALE_FACTOR);
+  const chaseRange = getChaseRange(player) * rangeFactor;
 
   if (dist > 0 && dist < chaseRange) {
-    const invDist = 1 / dist;
-
-    // 大型敌人移动较慢
-    const sizeFactor = Math.sqrt(PLAYER.INITIAL_RADIUS / Math.max(enemy.r, 10));
-
+    const accel = getChaseAccel(enemy, player, accelMultiplier) * dt / dist;
     return {
-      ax: dx * invDist * chaseAccel * sizeFactor * dt,
-      ay: dy * invDist * chaseAccel * sizeFactor * dt,
+      ax: dx * accel,
+      ay: dy * accel,
     };
   }
 
@@ -56,14 +91,32 @@ export function calculateChaseAcceleration(enemy, player, dt) {
 }
 
 /**
- * 更新敌人的 AI 行为
+ * 计算敌人的追逐加速度大小（每帧）
+ *
+ * 追逐强度随玩家成长而增加；大型敌人移动较慢（平衡性）
+ *
+ * @param {Object} enemy - 敌人实体
+ * @param {Object} player - 玩家实体
+ * @param {number} accelMultiplier - 追逐加速度倍率
+ * @returns {number}
+ */
+function getChaseAccel(enemy, player, accelMultiplier) {
+  const difficultyScale = Math.max(1.0, player.r / PLAYER.INITIAL_RADIUS);
+  const chaseAccel = ENEMY_AI.BASE_CHASE_ACCEL * (1 + (difficultyScale - 1) * ENEMY_AI.CHASE_SCALE_FACTOR) * accelMultiplier;
+  const sizeFactor = Math.sqrt(PLAYER.INITIAL_RADIUS / Math.max(enemy.r, 10));
+  return chaseAccel * sizeFactor;
+}
+
+/**
+ * 更新敌人的 AI 行为（无状态追逐）
  *
  * @param {Object} enemy - 敌人实体
  * @param {Object} player - 玩家实体
  * @param {number} dt - 时间增量
+ * @param {number} accelMultiplier - 追逐加速度倍率
  */
-export function updateEnemyAI(enemy, player, dt) {
-  const acceleration = calculateChaseAcceleration(enemy, player, dt);
+export function updateEnemyAI(enemy, player, dt, accelMultiplier = 1) {
+  const acceleration = calculateChaseAcceleration(enemy, player, dt, accelMultiplier);
 
   if (acceleration) {
     enemy.vx += acceleration.ax;
@@ -72,110 +125,594 @@ export function updateEnemyAI(enemy, player, dt) {
 }
 
 /**
- * 批量更新所有敌人的 AI
+ * 批量更新所有敌人的 AI（无状态追逐）
  *
- * @param {Array} enemies - 敌人实体数组
+ * 引擎使用 EnemyAISystem；保留此函数供只需要追逐的场景使用
+ *
+ * @param {Array} enemies - 候选实体（通常是 queryRadius 得到的追逐范围内敌人）
  * @param {Object} player - 玩家实体
  * @param {number} dt - 时间增量
+ * @param {number} accelMultiplier - 追逐加速度倍率
  */
-export function updateAllEnemies(enemies, player, dt) {
+export function updateAllEnemies(enemies, player, dt, accelMultiplier = 1) {
   for (const enemy of enemies) {
     if (enemy.isEnemy) {
-      updateEnemyAI(enemy, player, dt);
+      updateEnemyAI(enemy, player, dt, accelMultiplier);
     }
   }
 }
 
 /**
- * AI 行为类型枚举（为未来扩展准备）
+ * AI 行为类型枚举
  */
 export const AIBehavior = {
   IDLE: 'idle',
   CHASE: 'chase',
   PATROL: 'patrol',
   FLEE: 'flee',
+  FORAGE: 'forage',
+  AMBUSH: 'ambush',
 };
 
 /**
- * 高级 AI 控制器（为未来扩展准备）
+ * 参与效用打分的行为（得分相同时靠前的优先）
+ *
+ * 空闲和巡逻合称漫游，以 PATROL 参与打分，两者之间的交替由控制器自己完成
+ */
+export const UTILITY_BEHAVIORS = [
+  AIBehavior.FLEE,
+  AIBehavior.CHASE,
+  AIBehavior.AMBUSH,
+  AIBehavior.FORAGE,
+  AIBehavior.PATROL,
+];
+
+/**
+ * 获取敌人的性格配置
  *
- * 提供更复杂的 AI 行为支持：
- * - 状态机
- * - 行为切换
- * - 记忆系统
+ * @param {Object} entity - 敌人实体
+ * @returns {Object} ENEMY_PERSONALITIES 中的一项（没有性格时为默认性格）
+ */
+export function getEnemyPersonality(entity) {
+  return ENEMY_PERSONALITIES[entity.personality] ?? ENEMY_PERSONALITIES[DEFAULT_ENEMY_PERSONALITY];
+}
+
+/**
+ * 按性格为各行为打分
+ *
+ * - 逃跑 = 恐惧 × 威胁（狼群成员不逃跑）
+ * - 追逐 = 攻击性 × 机会 × 离家越远越收敛，狼群成员另有加成
+ * - 埋伏 = 埋伏倾向 × 猎物在范围内但还不够近
+ * - 觅食 = 饥饿倾向 × 饥饿（附近有食物时）
+ * - 漫游 = 基础分 + 领地意识 × 离家距离
+ * - 厌倦从追逐、埋伏、觅食的得分中扣除，敌人会放弃久攻不下的目标
+ *
+ * @param {Object} considerations - 考量 { hunger, threat, opportunity, lurk, territory, boredom, food, inPack }
+ * @param {Object} personality - 性格配置
+ * @returns {Object} 行为 → 得分
+ */
+export function scoreBehaviors(considerations, personality) {
+  const { hunger, threat, opportunity, lurk, territory, boredom, food, inPack } = considerations;
+  const { WANDER, BOREDOM_WEIGHT } = ENEMY_AI.UTILITY;
+  const fatigue = BOREDOM_WEIGHT * boredom;
+
+  return {
+    [AIBehavior.FLEE]: inPack ? 0 : personality.FEAR * threat,
+    [AIBehavior.CHASE]: personality.AGGRESSION * opportunity * (1 - personality.TERRITORY * territory) +
+      (inPack ? ENEMY_AI.FLOCK.PACK.UTILITY : 0) - fatigue,
+    [AIBehavior.AMBUSH]: personality.AMBUSH * lurk - fatigue,
+    [AIBehavior.FORAGE]: food ? personality.HUNGER * hunger - fatigue : 0,
+    [AIBehavior.PATROL]: WANDER + personality.TERRITORY * territory,
+  };
+}
+
+/**
+ * 把数值限制在 [0, 1]
+ *
+ * @param {number} value
+ * @returns {number}
+ */
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+/**
+ * 玩家是否大到能吃掉敌人
+ *
+ * @param {Object} enemy - 敌人实体
+ * @param {Object} player - 玩家实体
+ * @param {number} margin - 阈值的减少量（停止逃跑时使用，形成迟滞）
+ * @returns {boolean}
+ */
+function isThreatenedBy(enemy, player, margin = 0) {
+  return player.r > enemy.r * (PHYSICS.ABSORPTION_THRESHOLD - margin);
+}
+
+/**
+ * 计算敌人的巡逻区域（所属分块，去掉边缘）
+ *
+ * 没有所属分块的敌人以出生位置为中心划出一个分块大小的区域
+ *
+ * @param {Object} entity - 敌人实体
+ * @returns {Object} { minX, minY, maxX, maxY }
+ */
+function getPatrolArea(entity) {
+  const margin = ENEMY_AI.PATROL.EDGE_MARGIN;
+  let x, y;
+
+  if (entity.chunkKey) {
+    const [cx, cy] = entity.chunkKey.split(',').map(Number);
+    ({ x, y } = chunkToWorld(cx, cy));
+  } else {
+    x = entity.x - CHUNK.SIZE / 2;
+    y = entity.y - CHUNK.SIZE / 2;
+  }
+
+  return {
+    minX: x + margin,
+    minY: y + margin,
+    maxX: x + CHUNK.SIZE - margin,
+    maxY: y + CHUNK.SIZE - margin,
+  };
+}
+
+/**
+ * 敌人 AI 控制器
+ *
+ * 每个敌人一个效用决策器：
+ * - 行为（空闲 / 巡逻 / 追逐 / 逃跑 / 觅食 / 埋伏）
+ * - 行为切换（定期打分 + 得分差迟滞 + 最短保持时间）
+ * - 内部状态（饥饿、厌倦、最后看到玩家的位置）
  */
 export class AIController {
+  /**
+   * @param {Object} entity - 敌人实体句柄
+   */
   constructor(entity) {
     this.entity = entity;
-    this.behavior = AIBehavior.CHASE;
-    this.targetLostTime = 0;
+    this.area = getPatrolArea(entity);
+
+    // 确定性随机数：种子来自实体 ID，rolls 为已取的随机数个数
+    this.seed = entity.id * 7919;
+    this.rolls = 0;
+
+    this.behavior = AIBehavior.IDLE;
+    this.stateTime = 0;
     this.lastKnownPlayerPos = null;
+
+    // 效用决策：错开各敌人的决策时刻，避免同一步集中打分
+    this.decisionTimer = this.random() * ENEMY_AI.UTILITY.DECISION_INTERVAL;
+    this.hunger = this.random() * 0.5;
+    this.boredom = 0;
+    this.lastRadius = entity.r;
+
+    // 空闲漂移
+    this.heading = this.random() * Math.PI * 2;
+    this.idleDuration = this.randomIdleDuration();
+
+    // 巡逻路径 [[x, y], ...]
+    this.waypoints = [];
+    this.waypointIndex = 0;
+
+    // 本步所在狼群的人数（不在狼群时为 0）和是否在躲避黑洞（每步重新判定，不需要保存）
+    this.packSize = 0;
+    this.avoiding = false;
   }
 
   /**
-   * 更新 AI 状态
+   * 取下一个确定性随机数
+   *
+   * @returns {number} 0-1 之间的随机数
+   */
+  random() {
+    return seededRandom(this.seed + this.rolls++);
+  }
+
+  /**
+   * 随机的空闲时长
+   *
+   * @returns {number} 秒
+   */
+  randomIdleDuration() {
+    const { TIME_MIN, TIME_MAX } = ENEMY_AI.IDLE;
+    return TIME_MIN + this.random() * (TIME_MAX - TIME_MIN);
+  }
+
+  /**
+   * 更新 AI 状态并施加本步的加速度
    *
    * @param {Object} player - 玩家实体
-   * @param {number} dt - 时间增量
+   * @param {number} dt - 时间增量（帧）
+   * @param {number} accelMultiplier - 追逐加速度倍率（来自难度）
+   * @param {Object} senses - 本步感知 { neighbors, pack, hazards, food }（EnemyAISystem 提供）：
+   *   neighbors 邻近的其他敌人，pack 所在的狼群 { size, centerX, centerY }（不在狼群时为 null），
+   *   hazards 附近的黑洞，food 觅食目标（没有时为 null）
    */
-  update(player, dt) {
+  update(player, dt, accelMultiplier = 1, senses = NO_SENSES) {
+    const { neighbors, pack, hazards, food } = senses;
+    const seconds = dt / RENDERING.TARGET_FPS;
+    const { SPEED } = getEnemyPersonality(this.entity);
+    this.stateTime += seconds;
+    this.packSize = pack ? pack.size : 0;
+
+    this.updateDrives(seconds);
+
+    this.decisionTimer -= seconds;
+    if (this.decisionTimer <= 0) {
+      this.decisionTimer += ENEMY_AI.UTILITY.DECISION_INTERVAL;
+      this.decide(player, pack !== null, food !== null);
+    }
+
     switch (this.behavior) {
       case AIBehavior.CHASE:
-        this.handleChase(player, dt);
+        if (pack) {
+          this.handlePackChase(player, dt, accelMultiplier * SPEED, pack);
+        } else {
+          this.handleChase(player, dt, accelMultiplier * SPEED);
+        }
         break;
       case AIBehavior.IDLE:
-        this.handleIdle(dt);
+        this.handleIdle(dt, seconds);
         break;
       case AIBehavior.PATROL:
         this.handlePatrol(dt);
         break;
       case AIBehavior.FLEE:
-        this.handleFlee(player, dt);
+        this.handleFlee(player, dt, SPEED);
+        break;
+      case AIBehavior.FORAGE:
+        this.handleForage(food, dt);
+        break;
+      case AIBehavior.AMBUSH:
+        this.handleAmbush(dt);
         break;
     }
+
+    // 逃跑和包围时只保持间距，对齐与聚合会拖慢逃跑、抵消散开
+    if (neighbors.length > 0) {
+      this.applyFlocking(neighbors, dt, this.behavior !== AIBehavior.FLEE && !pack);
+    }
+
+    this.avoiding = this.avoidHazards(hazards, dt);
+  }
+
+  /**
+   * 本步是否需要重新决策（EnemyAISystem 据此决定是否查询觅食目标）
+   *
+   * @param {number} seconds - 时间增量（秒）
+   * @returns {boolean}
+   */
+  isDecisionDue(seconds) {
+    return this.decisionTimer - seconds <= 0;
+  }
+
+  /**
+   * 更新饥饿和厌倦
+   *
+   * 饥饿随时间增长，体型变大（吃到东西）时按面积增长比例减少；
+   * 追逐、埋伏、觅食持续超过 BOREDOM_DELAY 后开始厌倦，漫游和逃跑时厌倦逐渐消退
+   *
+   * @param {number} seconds - 时间增量（秒）
+   */
+  updateDrives(seconds) {
+    const { HUNGER_RATE, SATIATION, BOREDOM_DELAY, BOREDOM_TIME } = ENEMY_AI.UTILITY;
+    const { r } = this.entity;
+
+    let hunger = this.hunger + HUNGER_RATE * seconds;
+    if (r > this.lastRadius) {
+      hunger -= (1 - (this.lastRadius * this.lastRadius) / (r * r)) * SATIATION;
+    }
+    this.hunger = clamp01(hunger);
+    this.lastRadius = r;
+
+    const engaged = this.behavior === AIBehavior.CHASE ||
+      this.behavior === AIBehavior.AMBUSH ||
+      this.behavior === AIBehavior.FORAGE;
+    if (engaged && this.stateTime > BOREDOM_DELAY) {
+      this.boredom = clamp01(this.boredom + seconds / BOREDOM_TIME);
+    } else if (!engaged) {
+      this.boredom = clamp01(this.boredom - seconds / BOREDOM_TIME);
+    }
+  }
+
+  /**
+   * 计算效用考量（均归一化到 [0, 1]）
+   *
+   * - threat: 玩家能吃掉自己时，离玩家越近越高（逃跑中按更大的范围和更低的阈值评估）
+   * - opportunity: 玩家在出击距离内且体型比足够大时，越近、体型比越大越高（追逐中按更大的范围评估）
+   * - lurk: 玩家在追逐范围内、体型比足够大但还不够近时较高，玩家靠近后逐渐转为追逐
+   * - territory: 离所属分块中心超过半个分块后，越远越高
+   *
+   * @param {Object} player - 玩家实体
+   * @param {boolean} inPack - 本步是否在狼群中
+   * @param {boolean} food - 附近是否有食物
+   * @returns {Object} { hunger, threat, opportunity, lurk, territory, boredom, food, inPack }
+   */
+  getConsiderations(player, inPack, food) {
+    const enemy = this.entity;
+    const personality = getEnemyPersonality(enemy);
+    const { PREY_RATIO_MIN, TERRITORY_RANGE } = ENEMY_AI.UTILITY;
+    const dx = player.x - enemy.x;
+    const dy = player.y - enemy.y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    const range = getChaseRange(player);
+
+    const fleeing = this.behavior === AIBehavior.FLEE;
+    const threatened = isThreatenedBy(enemy, player, fleeing ? ENEMY_AI.FLEE_SIZE_MARGIN : 0);
+    const threatRange = range * (fleeing ? ENEMY_AI.LOSE_RANGE_FACTOR : 1);
+    const threat = threatened ? clamp01(1 - dist / threatRange) : 0;
+
+    const ratio = enemy.r / player.r;
+    const advantage = clamp01((ratio - PREY_RATIO_MIN) / (PHYSICS.ABSORPTION_THRESHOLD - PREY_RATIO_MIN));
+    const chasing = this.behavior === AIBehavior.CHASE;
+    const strikeRange = range * personality.STRIKE_RANGE * (chasing ? ENEMY_AI.LOSE_RANGE_FACTOR : 1);
+    const proximity = clamp01(1 - dist / strikeRange);
+    const lurk = dist < range ? advantage * (1 - proximity) : 0;
+
+    const { minX, minY, maxX, maxY } = this.area;
+    const hx = enemy.x - (minX + maxX) / 2;
+    const hy = enemy.y - (minY + maxY) / 2;
+    const territory = clamp01((Math.sqrt(hx * hx + hy * hy) - CHUNK.SIZE / 2) / TERRITORY_RANGE);
+
+    return {
+      hunger: this.hunger,
+      threat,
+      opportunity: proximity * advantage,
+      lurk,
+      territory,
+      boredom: this.boredom,
+      food,
+      inPack,
+    };
+  }
+
+  /**
+   * 效用决策：为各行为打分并选择得分最高的
+   *
+   * 新行为要高出当前行为 SWITCH_MARGIN，且当前行为已保持 MIN_STATE_TIME 才切换；
+   * 逃跑不受最短保持时间限制
+   *
+   * @param {Object} player - 玩家实体
+   * @param {boolean} inPack - 本步是否在狼群中
+   * @param {boolean} food - 附近是否有食物
+   */
+  decide(player, inPack, food) {
+    const scores = scoreBehaviors(this.getConsiderations(player, inPack, food), getEnemyPersonality(this.entity));
+    const current = this.behavior === AIBehavior.IDLE ? AIBehavior.PATROL : this.behavior;
+
+    let best = current;
+    let bestScore = scores[current] + ENEMY_AI.UTILITY.SWITCH_MARGIN;
+    for (const behavior of UTILITY_BEHAVIORS) {
+      if (scores[behavior] > bestScore) {
+        best = behavior;
+        bestScore = scores[behavior];
+      }
+    }
+
+    if (best === current) return;
+    if (best !== AIBehavior.FLEE && this.stateTime < ENEMY_AI.MIN_STATE_TIME) return;
+
+    this.setBehavior(best);
   }
 
-  handleChase(player, dt) {
-    const acceleration = calculateChaseAcceleration(this.entity, player, dt);
+  handleChase(player, dt, accelMultiplier) {
+    const acceleration = calculateChaseAcceleration(
+      this.entity, player, dt, accelMultiplier, ENEMY_AI.LOSE_RANGE_FACTOR
+    );
 
     if (acceleration) {
       this.entity.vx += acceleration.ax;
       this.entity.vy += acceleration.ay;
       this.lastKnownPlayerPos = { x: player.x, y: player.y };
-      this.targetLostTime = 0;
-    } else {
-      // 玩家离开追逐范围
-      this.targetLostTime += dt / 60;
-      if (this.targetLostTime > 3) {
-        // 3 秒后切换到巡逻
-        this.behavior = AIBehavior.PATROL;
-      }
+    } else if (this.lastKnownPlayerPos) {
+      // 跟丢后前往最后看到玩家的位置
+      this.accelerateToward(this.lastKnownPlayerPos.x, this.lastKnownPlayerPos.y, ENEMY_AI.PATROL.ACCEL * dt);
     }
   }
 
-  handleIdle(dt) {
-    // 静止状态，等待玩家进入视野
-    // 可以添加小范围随机移动
+  handlePackChase(player, dt, accelMultiplier, pack) {
+    const enemy = this.entity;
+    const dx = enemy.x - player.x;
+    const dy = enemy.y - player.y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+    if (dist === 0) return;
+
+    const ux = dx / dist;
+    const uy = dy / dist;
+    const { RING_GAP, SPREAD_ACCEL } = ENEMY_AI.FLOCK.PACK;
+
+    // 径向：停在包围圈上，靠近时减速
+    const ring = player.r + enemy.r + RING_GAP;
+    const error = ring - dist;
+    const radial = getChaseAccel(enemy, player, accelMultiplier) * Math.max(-1, Math.min(1, error / RING_GAP)) * dt;
+    enemy.vx += ux * radial;
+    enemy.vy += uy * radial;
+
+    // 切向：远离狼群中心方向散开，狼群均匀围住玩家时中心接近玩家，散开力随之消失
+    const cx = pack.centerX - player.x;
+    const cy = pack.centerY - player.y;
+    const spread = Math.min(1, Math.sqrt(cx * cx + cy * cy) / ring);
+    const side = cx * uy - cy * ux >= 0 ? 1 : -1;
+    const tangential = SPREAD_ACCEL * spread * side * dt;
+    enemy.vx -= uy * tangential;
+    enemy.vy += ux * tangential;
+
+    this.lastKnownPlayerPos = { x: player.x, y: player.y };
+  }
+
+  handleForage(food, dt) {
+    // 目标被吃掉且附近没有别的食物时原地等待下一次决策
+    if (food) {
+      this.accelerateToward(food.x, food.y, ENEMY_AI.FORAGE.ACCEL * dt);
+    }
+  }
+
+  handleAmbush(dt) {
+    // 刹停埋伏，等猎物靠近
+    const brake = Math.pow(ENEMY_AI.AMBUSH.BRAKE, dt);
+    this.entity.vx *= brake;
+    this.entity.vy *= brake;
+  }
+
+  handleIdle(dt, seconds) {
+    // 小范围漂移：方向缓慢随机转动
+    const turn = ENEMY_AI.IDLE.TURN_RATE * seconds;
+    this.heading += (this.random() * 2 - 1) * turn;
+
+    const drift = ENEMY_AI.IDLE.DRIFT_ACCEL * dt;
+    this.entity.vx += Math.cos(this.heading) * drift;
+    this.entity.vy += Math.sin(this.heading) * drift;
+
+    if (this.stateTime >= this.idleDuration) {
+      this.setBehavior(AIBehavior.PATROL);
+    }
   }
 
   handlePatrol(dt) {
-    // 巡逻状态
-    // 可以实现路径点巡逻或随机漫游
+    const { ACCEL, ARRIVE_RADIUS, TIMEOUT } = ENEMY_AI.PATROL;
+    const waypoint = this.waypoints[this.waypointIndex];
+
+    if (!waypoint || this.stateTime >= TIMEOUT) {
+      this.setBehavior(AIBehavior.IDLE);
+      return;
+    }
+
+    const dx = waypoint[0] - this.entity.x;
+    const dy = waypoint[1] - this.entity.y;
+    if (dx * dx + dy * dy < ARRIVE_RADIUS * ARRIVE_RADIUS) {
+      this.waypointIndex++;
+      return;
+    }
+
+    this.accelerateToward(waypoint[0], waypoint[1], ACCEL * dt);
   }
 
-  handleFlee(player, dt) {
-    // 逃跑状态（当敌人比玩家小时）
+  handleFlee(player, dt, speed = 1) {
+    // 逃跑状态（玩家大到能吃掉自己时）
     const dx = this.entity.x - player.x;
     const dy = this.entity.y - player.y;
     const dist = Math.sqrt(dx * dx + dy * dy);
 
     if (dist > 0) {
-      const fleeAccel = 0.01 * dt;
+      const fleeAccel = ENEMY_AI.FLEE_ACCEL * speed * dt;
       this.entity.vx += (dx / dist) * fleeAccel;
       this.entity.vy += (dy / dist) * fleeAccel;
     }
   }
 
+  /**
+   * 群体行为：与邻居保持间距，并（可选）对齐速度、向邻居中心聚合
+   *
+   * @param {Array} neighbors - 邻近的其他敌人
+   * @param {number} dt - 时间增量（帧）
+   * @param {boolean} cohere - 是否施加对齐与聚合
+   */
+  applyFlocking(neighbors, dt, cohere) {
+    const { SEPARATION, SEPARATION_FACTOR, ALIGNMENT, COHESION } = ENEMY_AI.FLOCK;
+    const enemy = this.entity;
+    let sepX = 0, sepY = 0;
+    let velX = 0, velY = 0;
+    let cenX = 0, cenY = 0;
+
+    for (const other of neighbors) {
+      const dx = enemy.x - other.x;
+      const dy = enemy.y - other.y;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+      const separation = (enemy.r + other.r) * SEPARATION_FACTOR;
+
+      if (dist > 0 && dist < separation) {
+        const weight = 1 - dist / separation;
+        sepX += (dx / dist) * weight;
+        sepY += (dy / dist) * weight;
+      }
+      velX += other.vx;
+      velY += other.vy;
+      cenX += other.x;
+      cenY += other.y;
+    }
+
+    enemy.vx += sepX * SEPARATION * dt;
+    enemy.vy += sepY * SEPARATION * dt;
+
+    if (!cohere) return;
+
+    const count = neighbors.length;
+    enemy.vx += (velX / count - enemy.vx) * ALIGNMENT * dt;
+    enemy.vy += (velY / count - enemy.vy) * ALIGNMENT * dt;
+    this.accelerateToward(cenX / count, cenY / count, COHESION * dt);
+  }
+
+  /**
+   * 躲避黑洞：远离黑洞，并沿当前运动方向的切线绕过去
+   *
+   * 躲避力随距离线性增强，引力随距离平方增强：外圈能绕开，离得太近仍会被吸进去
+   *
+   * @param {Array} hazards - 附近的黑洞
+   * @param {number} dt - 时间增量（帧）
+   * @returns {boolean} 是否在躲避
+   */
+  avoidHazards(hazards, dt) {
+    const { RANGE_FACTOR, ACCEL, TANGENT_WEIGHT } = ENEMY_AI.AVOID;
+    const enemy = this.entity;
+    let avoiding = false;
+
+    for (const hole of hazards) {
+      const dx = enemy.x - hole.x;
+      const dy = enemy.y - hole.y;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+      const range = hole.r * BLACK_HOLE.PULL_RADIUS_MULTIPLIER * RANGE_FACTOR;
+      if (dist === 0 || dist >= range) continue;
+
+      avoiding = true;
+      const ux = dx / dist;
+      const uy = dy / dist;
+      const strength = ACCEL * (1 - dist / range) * dt;
+      const side = uy * enemy.vx - ux * enemy.vy > 0 ? -1 : 1;
+      const tangential = strength * TANGENT_WEIGHT * side;
+
+      enemy.vx += ux * strength - uy * tangential;
+      enemy.vy += uy * strength + ux * tangential;
+    }
+
+    return avoiding;
+  }
+
+  /**
+   * 向目标点加速
+   *
+   * @param {number} x - 目标 X
+   * @param {number} y - 目标 Y
+   * @param {number} accel - 本步加速度
+   */
+  accelerateToward(x, y, accel) {
+    const dx = x - this.entity.x;
+    const dy = y - this.entity.y;
+    const dist = Math.sqrt(dx * dx + dy * dy);
+
+    if (dist > 0) {
+      this.entity.vx += (dx / dist) * accel;
+      this.entity.vy += (dy / dist) * accel;
+    }
+  }
+
+  /**
+   * 在巡逻区域内随机生成本轮路径点
+   */
+  planPatrol() {
+    const { WAYPOINTS_MIN, WAYPOINTS_MAX } = ENEMY_AI.PATROL;
+    const { minX, minY, maxX, maxY } = this.area;
+    const count = WAYPOINTS_MIN + Math.floor(this.random() * (WAYPOINTS_MAX - WAYPOINTS_MIN + 1));
+
+    this.waypoints = [];
+    for (let i = 0; i < count; i++) {
+      this.waypoints.push([
+        minX + this.random() * (maxX - minX),
+        minY + this.random() * (maxY - minY),
+      ]);
+    }
+    this.waypointIndex = 0;
+  }
+
   /**
    * 设置 AI 行为
    *
@@ -183,13 +720,264 @@ export class AIController {
    */
   setBehavior(behavior) {
     this.behavior = behavior;
+    this.stateTime = 0;
+
+    if (behavior === AIBehavior.IDLE) {
+      this.idleDuration = this.randomIdleDuration();
+    } else if (behavior === AIBehavior.PATROL) {
+      this.planPatrol();
+    }
+  }
+
+  /**
+   * 序列化为可 JSON 化的数据（巡逻区域由实体重新计算）
+   *
+   * @returns {Object}
+   */
+  serialize() {
+    return {
+      id: this.entity.id,
+      rolls: this.rolls,
+      behavior: this.behavior,
+      stateTime: this.stateTime,
+      decisionTimer: this.decisionTimer,
+      hunger: this.hunger,
+      boredom: this.boredom,
+      lastRadius: this.lastRadius,
+      lastKnownPlayerPos: this.lastKnownPlayerPos && { ...this.lastKnownPlayerPos },
+      heading: this.heading,
+      idleDuration: this.idleDuration,
+      waypoints: this.waypoints.map(point => [point[0], point[1]]),
+      waypointIndex: this.waypointIndex,
+    };
+  }
+
+  /**
+   * 从序列化数据恢复
+   *
+   * @param {Object} data - serialize() 的输出
+   */
+  restore(data) {
+    const { id, ...state } = data;
+    Object.assign(this, state);
+  }
+}
+
+/**
+ * 敌人 AI 系统
+ *
+ * 监听实体生命周期，为每个敌人维护一个 AIController
+ */
+export class EnemyAISystem {
+  /**
+   * @param {EntityManager} entityManager - 实体管理器
+   */
+  constructor(entityManager) {
+    this.entityManager = entityManager;
+    // 控制器注册表（实体 ID → 控制器），按加入顺序更新
+    this.controllers = new Map();
+    // 复用的感知对象（每个控制器更新前填充）
+    this.senses = { neighbors: NO_NEIGHBORS, pack: null, hazards: NO_NEIGHBORS, food: null };
+    // 复用的黑洞感知缓冲区
+    this.hazardBuffer = [];
+
+    entityManager.onSpawn((entity) => {
+      if (entity.isEnemy) {
+        this.controllers.set(entity.id, new AIController(entity));
+      }
+    });
+    entityManager.onDespawn((entity) => {
+      this.controllers.delete(entity.id);
+    });
+  }
+
+  /**
+   * 清空所有控制器
+   *
+   * EntityManager.reset() 不会触发移除钩子，重置实体前必须先调用
+   */
+  reset() {
+    this.controllers.clear();
+  }
+
+  /**
+   * 获取实体的控制器
+   *
+   * @param {number} id - 实体 ID
+   * @returns {AIController|undefined}
+   */
+  get(id) {
+    return this.controllers.get(id);
+  }
+
+  /**
+   * 查询敌人的邻居（群体行为关闭时为空）
+   *
+   * @param {Object} entity - 敌人实体
+   * @returns {Array} 邻近的其他敌人，最多 FLOCK.MAX_NEIGHBORS 个
+   */
+  findNeighbors(entity) {
+    const { ENABLED, NEIGHBOR_RADIUS, MAX_NEIGHBORS } = ENEMY_AI.FLOCK;
+    if (!ENABLED) return NO_NEIGHBORS;
+
+    const neighbors = this.entityManager.queryRadius(entity.x, entity.y, NEIGHBOR_RADIUS, isEnemy);
+    const self = neighbors.indexOf(entity);
+    if (self !== -1) neighbors.splice(self, 1);
+    if (neighbors.length > MAX_NEIGHBORS) neighbors.length = MAX_NEIGHBORS;
+    return neighbors;
+  }
+
+  /**
+   * 查询敌人附近需要躲避的黑洞
+   *
+   * 按每个黑洞自己的躲避范围逐个检查：黑洞随难度放大，统一半径的查询要么漏掉大黑洞，
+   * 要么让每个敌人都查询很大的范围；存活的黑洞很少，逐个检查更便宜
+   *
+   * @param {Object} entity - 敌人实体
+   * @param {Array} blackHoles - 存活的黑洞
+   * @returns {Array} 躲避范围覆盖该敌人的黑洞（复用缓冲区，下次调用前有效）
+   */
+  findHazards(entity, blackHoles) {
+    const hazards = this.hazardBuffer;
+    hazards.length = 0;
+    for (const hole of blackHoles) {
+      const dx = entity.x - hole.x;
+      const dy = entity.y - hole.y;
+      const range = hole.r * BLACK_HOLE.PULL_RADIUS_MULTIPLIER * ENEMY_AI.AVOID.RANGE_FACTOR;
+      if (dx * dx + dy * dy < range * range) hazards.push(hole);
+    }
+    return hazards;
+  }
+
+  /**
+   * 查询觅食目标（只在觅食中或本步要决策时查询）
+   *
+   * @param {AIController} controller - 控制器
+   * @param {number} seconds - 时间增量（秒）
+   * @returns {Object|null} 觅食范围内最近的食物
+   */
+  findFood(controller, seconds) {
+    if (controller.behavior !== AIBehavior.FORAGE && !controller.isDecisionDue(seconds)) {
+      return null;
+    }
+    const { x, y } = controller.entity;
+    return this.entityManager.nearest(x, y, isFood, ENEMY_AI.FORAGE.RADIUS);
+  }
+
+  /**
+   * 找出围猎玩家的狼群
+   *
+   * 追逐范围内比玩家小的敌人达到 PACK.MIN_SIZE 个时组成狼群
+   *
+   * @param {Object} player - 玩家实体
+   * @returns {Object|null} { size, centerX, centerY, members }，members 为成员 ID 集合；不成群时返回 null
+   */
+  findPack(player) {
+    const { ENABLED, PACK } = ENEMY_AI.FLOCK;
+    if (!ENABLED || !PACK.ENABLED) return null;
+
+    const hunters = this.entityManager.queryRadius(
+      player.x, player.y, getChaseRange(player), entity => entity.isEnemy && entity.r < player.r
+    );
+    if (hunters.length < PACK.MIN_SIZE) return null;
+
+    let centerX = 0;
+    let centerY = 0;
+    const members = new Set();
+    for (const hunter of hunters) {
+      centerX += hunter.x;
+      centerY += hunter.y;
+      members.add(hunter.id);
+    }
+
+    return {
+      size: hunters.length,
+      centerX: centerX / hunters.length,
+      centerY: centerY / hunters.length,
+      members,
+    };
+  }
+
+  /**
+   * 更新所有敌人
+   *
+   * @param {Object} player - 玩家实体
+   * @param {number} dt - 时间增量（帧）
+   * @param {number} accelMultiplier - 追逐加速度倍率
+   * @returns {Object} 各行为的敌人数 { idle, patrol, chase, flee, forage, ambush, pack, avoid }
+   *   （pack 为狼群中追逐的敌人数，avoid 为正在躲避黑洞的敌人数）
+   */
+  update(player, dt, accelMultiplier = 1) {
+    const counts = { idle: 0, patrol: 0, chase: 0, flee: 0, forage: 0, ambush: 0, pack: 0, avoid: 0 };
+    const seconds = dt / RENDERING.TARGET_FPS;
+    const pack = this.findPack(player);
+    const blackHoles = this.entityManager.getBlackHoles();
+    const { senses } = this;
+
+    for (const [id, controller] of this.controllers) {
+      senses.neighbors = this.findNeighbors(controller.entity);
+      senses.pack = pack && pack.members.has(id) ? pack : null;
+      senses.hazards = this.findHazards(controller.entity, blackHoles);
+      senses.food = this.findFood(controller, seconds);
+      controller.update(player, dt, accelMultiplier, senses);
+
+      counts[controller.behavior]++;
+      if (controller.packSize > 0 && controller.behavior === AIBehavior.CHASE) {
+        counts.pack++;
+      }
+      if (controller.avoiding) {
+        counts.avoid++;
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * 序列化所有控制器
+   *
+   * @returns {Array} 按更新顺序排列的控制器数据
+   */
+  serialize() {
+    return [...this.controllers.values()].map(controller => controller.serialize());
+  }
+
+  /**
+   * 从序列化数据恢复（实体恢复之后调用）
+   *
+   * 按存档中的顺序重新排列控制器，恢复后的更新顺序与存档前一致
+   *
+   * @param {Array|null} data - serialize() 的输出，为 null 时（旧存档）保留新建的控制器
+   */
+  restore(data) {
+    if (!data) return;
+
+    const restored = new Map();
+    for (const entry of data) {
+      const controller = this.controllers.get(entry.id);
+      if (controller) {
+        controller.restore(entry);
+        restored.set(entry.id, controller);
+      }
+    }
+    for (const [id, controller] of this.controllers) {
+      if (!restored.has(id)) {
+        restored.set(id, controller);
+      }
+    }
+    this.controllers = restored;
   }
 }
 
 export default {
+  getChaseRange,
   calculateChaseAcceleration,
   updateEnemyAI,
   updateAllEnemies,
   AIBehavior,
+  UTILITY_BEHAVIORS,
+  getEnemyPersonality,
+  scoreBehaviors,
   AIController,
+  EnemyAISystem,
 };
@@ -9,18 +9,23 @@
  * 3. 动态加载/卸载 - 只保留可见区域附近的分块
  *
  * 实现细节：
- * - 使用基于坐标的种子确保确定性
+ * - 使用基于世界种子 + 坐标的哈希确保确定性
  * - 难度随距离原点增加
  * - 内容密度根据游戏进度动态调整
+ * - 分块增量存储：卸载时记录被吃掉/移动/变大的实体，重新加载时还原
  */
 
 import {
   CHUNK,
   FOOD,
   ENEMY,
+  ENEMY_PERSONALITIES,
   BLACK_HOLE,
-  DIFFICULTY,
 } from './GameConfig.js';
+import { DEFAULT_DIFFICULTY, resolveDifficulty, getDifficultyScales } from './Difficulty.js';
+
+// 默认难度参数（未指定难度时使用，结果与线性曲线的 DIFFICULTY 相同）
+const DEFAULT_DIFFICULTY_SETTINGS = resolveDifficulty(DEFAULT_DIFFICULTY);
 
 /**
  * 确定性随机数生成器
@@ -36,6 +41,45 @@ export function seededRandom(seed) {
   return x - Math.floor(x);
 }
 
+/**
+ * 生成随机世界种子
+ *
+ * @returns {number} [0, WORLD_SEED_MAX) 之间的整数
+ */
+export function createWorldSeed() {
+  return Math.floor(Math.random() * CHUNK.WORLD_SEED_MAX);
+}
+
+/**
+ * 规范化世界种子（用于 URL 参数等外部输入）
+ *
+ * @param {*} value - 原始值
+ * @returns {number|null} 有效种子，无效时返回 null
+ */
+export function normalizeWorldSeed(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const seed = Number(value);
+  if (!Number.isInteger(seed) || seed < 0 || seed >= CHUNK.WORLD_SEED_MAX) {
+    return null;
+  }
+  return seed;
+}
+
+/**
+ * 计算分块种子
+ *
+ * 空间哈希（三个大质数异或），世界种子不同则同一坐标的内容不同
+ *
+ * @param {number} cx - 分块 X 坐标
+ * @param {number} cy - 分块 Y 坐标
+ * @param {number} worldSeed - 世界种子
+ * @returns {number} 32 位整数种子
+ */
+export function chunkSeed(cx, cy, worldSeed = 0) {
+  return ((cx * 73856093) ^ (cy * 19349663) ^ (worldSeed * 83492791)) | 0;
+}
+
 /**
  * 生成分块唯一标识
  *
@@ -83,9 +127,10 @@ export function chunkToWorld(cx, cy) {
  * @param {number} radius - 半径
  * @param {number} hue - 色调
  * @param {string} key - 所属分块键
+ * @param {string} slot - 分块内槽位（用于增量存储）
  * @returns {Object} 食物实体
  */
-function createFood(x, y, radius, hue, key) {
+function createFood(x, y, radius, hue, key, slot) {
   return {
     x,
     y,
@@ -95,9 +140,31 @@ function createFood(x, y, radius, hue, key) {
     isFood: true,
     hue,
     chunkKey: key,
+    slot,
   };
 }
 
+/**
+ * 按生成权重选择敌人性格
+ *
+ * @param {number} roll - 0-1 之间的随机数
+ * @returns {string} 性格（ENEMY_PERSONALITIES 的键）
+ */
+function pickPersonality(roll) {
+  const names = Object.keys(ENEMY_PERSONALITIES);
+  let total = 0;
+  for (const name of names) {
+    total += ENEMY_PERSONALITIES[name].SPAWN_WEIGHT;
+  }
+
+  let threshold = roll * total;
+  for (const name of names) {
+    threshold -= ENEMY_PERSONALITIES[name].SPAWN_WEIGHT;
+    if (threshold < 0) return name;
+  }
+  return names[names.length - 1];
+}
+
 /**
  * 创建敌人实体
  *
@@ -108,9 +175,11 @@ function createFood(x, y, radius, hue, key) {
  * @param {number} vx - X 速度
  * @param {number} vy - Y 速度
  * @param {string} key - 所属分块键
+ * @param {string} slot - 分块内槽位（用于增量存储）
+ * @param {string} personality - 性格（ENEMY_PERSONALITIES 的键）
  * @returns {Object} 敌人实体
  */
-function createEnemy(x, y, radius, hue, vx, vy, key) {
+function createEnemy(x, y, radius, hue, vx, vy, key, slot, personality) {
   return {
     x,
     y,
@@ -120,6 +189,8 @@ function createEnemy(x, y, radius, hue, vx, vy, key) {
     isEnemy: true,
     hue,
     chunkKey: key,
+    slot,
+    personality,
   };
 }
 
@@ -130,9 +201,10 @@ function createEnemy(x, y, radius, hue, vx, vy, key) {
  * @param {number} y - Y 坐标
  * @param {number} radius - 半径
  * @param {string} key - 所属分块键
+ * @param {string} slot - 分块内槽位（用于增量存储）
  * @returns {Object} 黑洞实体
  */
-function createBlackHole(x, y, radius, key) {
+function createBlackHole(x, y, radius, key, slot) {
   return {
     x,
     y,
@@ -142,6 +214,7 @@ function createBlackHole(x, y, radius, key) {
     isBlackHole: true,
     hue: BLACK_HOLE.HUE,
     chunkKey: key,
+    slot,
   };
 }
 
@@ -153,14 +226,19 @@ function createBlackHole(x, y, radius, key) {
  * 2. 敌人：0-2 个，出现概率随距离增加
  * 3. 黑洞：0-1 个，远离原点才会出现
  *
+ * 难度预设调整敌人 / 黑洞的生成概率和敌人相对玩家的大小范围，难度曲线决定缩放
+ *
  * @param {number} cx - 分块 X 坐标
  * @param {number} cy - 分块 Y 坐标
  * @param {number} playerRadius - 玩家当前半径（用于难度缩放）
+ * @param {number} worldSeed - 世界种子
+ * @param {Object} difficulty - resolveDifficulty() 的结果
+ * @param {number} time - 当前游戏时间（秒，用于随时间增长的难度曲线）
  * @returns {Array} 实体数组
  */
-export function generateChunk(cx, cy, playerRadius = 22) {
-  // 基于分块坐标生成确定性种子
-  const seed = cx * 73856093 + cy * 19349663;
+export function generateChunk(cx, cy, playerRadius = 22, worldSeed = 0, difficulty = DEFAULT_DIFFICULTY_SETTINGS, time = 0) {
+  // 基于世界种子和分块坐标生成确定性种子
+  const seed = chunkSeed(cx, cy, worldSeed);
   const entities = [];
   const key = chunkKey(cx, cy);
 
@@ -168,10 +246,12 @@ export function generateChunk(cx, cy, playerRadius = 22) {
   const { x: chunkWorldX, y: chunkWorldY } = chunkToWorld(cx, cy);
 
   // 计算难度缩放
-  const difficultyScale = DIFFICULTY.getScale(playerRadius);
-  const foodScale = DIFFICULTY.getFoodScale(playerRadius);
-  const enemyScale = DIFFICULTY.getEnemyScale(playerRadius);
-  const blackHoleScale = DIFFICULTY.getBlackHoleScale(playerRadius);
+  const {
+    scale: difficultyScale,
+    food: foodScale,
+    enemy: enemyScale,
+    blackHole: blackHoleScale,
+  } = getDifficultyScales(difficulty, playerRadius, time);
 
   // ============================================================
   // 生成食物
@@ -186,7 +266,7 @@ export function generateChunk(cx, cy, playerRadius = 22) {
     const radius = baseRadius * foodScale;
     const hue = FOOD.HUE_MIN + seededRandom(localSeed + 3) * (FOOD.HUE_MAX - FOOD.HUE_MIN);
 
-    entities.push(createFood(x, y, radius, hue, key));
+    entities.push(createFood(x, y, radius, hue, key, `f${i}`));
   }
 
   // ============================================================
@@ -195,7 +275,7 @@ export function generateChunk(cx, cy, playerRadius = 22) {
   const distFromOrigin = Math.sqrt(cx * cx + cy * cy);
   const enemyChance = Math.min(
     ENEMY.SPAWN_CHANCE_MAX,
-    distFromOrigin * ENEMY.SPAWN_CHANCE_BASE + (difficultyScale - 1) * 0.1
+    (distFromOrigin * ENEMY.SPAWN_CHANCE_BASE + (difficultyScale - 1) * 0.1) * difficulty.enemySpawn
   );
 
   if (seededRandom(seed + 5000) < enemyChance) {
@@ -213,15 +293,19 @@ export function generateChunk(cx, cy, playerRadius = 22) {
       const rawSize = baseSize + sizeVariation;
 
       // 限制敌人大小在玩家的合理范围内
-      const minEnemySize = playerRadius * ENEMY.SIZE_MIN_RATIO;
-      const maxEnemySize = playerRadius * ENEMY.SIZE_MAX_RATIO;
+      const minEnemySize = playerRadius * ENEMY.SIZE_MIN_RATIO * difficulty.enemySizeMin;
+      const maxEnemySize = playerRadius * ENEMY.SIZE_MAX_RATIO * difficulty.enemySizeMax;
       const radius = Math.max(minEnemySize, Math.min(maxEnemySize, rawSize));
 
       const vx = (seededRandom(localSeed + 2) - 0.5) * ENEMY.INITIAL_VELOCITY;
       const vy = (seededRandom(localSeed + 3) - 0.5) * ENEMY.INITIAL_VELOCITY;
-      const hue = ENEMY.HUE_MIN + seededRandom(localSeed + 4) * (ENEMY.HUE_MAX - ENEMY.HUE_MIN);
 
-      entities.push(createEnemy(x, y, radius, hue, vx, vy, key));
+      // 性格决定行为和颜色，同一性格的色调只在小范围内浮动
+      const personality = pickPersonality(seededRandom(localSeed + 6));
+      const { HUE, HUE_VARIATION } = ENEMY_PERSONALITIES[personality];
+      const hue = HUE + (seededRandom(localSeed + 7) - 0.5) * HUE_VARIATION;
+
+      entities.push(createEnemy(x, y, radius, hue, vx, vy, key, `e${i}`, personality));
     }
   }
 
@@ -230,7 +314,7 @@ export function generateChunk(cx, cy, playerRadius = 22) {
   // ============================================================
   const blackHoleChance = Math.min(
     BLACK_HOLE.SPAWN_CHANCE_MAX,
-    distFromOrigin * BLACK_HOLE.SPAWN_CHANCE_BASE + (difficultyScale - 1) * 0.05
+    (distFromOrigin * BLACK_HOLE.SPAWN_CHANCE_BASE + (difficultyScale - 1) * 0.05) * difficulty.blackHoleSpawn
   );
 
   if (distFromOrigin > BLACK_HOLE.MIN_DISTANCE_FROM_ORIGIN && seededRandom(seed + 9000) < blackHoleChance) {
@@ -240,12 +324,183 @@ export function generateChunk(cx, cy, playerRadius = 22) {
     const baseRadius = BLACK_HOLE.RADIUS_MIN + seededRandom(localSeed + 2) * (BLACK_HOLE.RADIUS_MAX - BLACK_HOLE.RADIUS_MIN);
     const radius = baseRadius * blackHoleScale;
 
-    entities.push(createBlackHole(x, y, radius, key));
+    entities.push(createBlackHole(x, y, radius, key, 'b0'));
   }
 
   return entities;
 }
 
+/**
+ * 判断实体状态是否偏离生成时的状态
+ *
+ * @param {Object} entity - 实体
+ * @param {Object} spawn - 生成时状态 { x, y, r }
+ * @returns {boolean}
+ */
+function hasChanged(entity, spawn) {
+  const EPSILON = 0.01;
+  return (
+    Math.abs(entity.x - spawn.x) > EPSILON ||
+    Math.abs(entity.y - spawn.y) > EPSILON ||
+    Math.abs(entity.r - spawn.r) > EPSILON
+  );
+}
+
+/**
+ * 分块增量存储
+ *
+ * 分块卸载后内容会被丢弃，重新加载时由种子重新生成。
+ * 增量存储记录玩家对世界造成的改变，重新生成后再覆盖回去，
+ * 避免在分块边界来回移动"刷"食物。
+ *
+ * 每个分块的增量：
+ * - consumed: 槽位 → 被吃掉的时间（秒）
+ * - modified: 槽位 → 卸载时的状态 { x, y, vx, vy, r }
+ */
+export class ChunkDeltaStore {
+  constructor() {
+    this.deltas = new Map();
+  }
+
+  /**
+   * 清空所有增量
+   */
+  reset() {
+    this.deltas.clear();
+  }
+
+  /**
+   * 获取（必要时创建）分块增量
+   *
+   * @param {string} key - 分块键
+   * @returns {Object} { consumed, modified }
+   */
+  getOrCreate(key) {
+    let delta = this.deltas.get(key);
+    if (!delta) {
+      delta = { consumed: new Map(), modified: new Map() };
+      this.deltas.set(key, delta);
+    }
+    return delta;
+  }
+
+  /**
+   * 记录实体被吃掉
+   *
+   * @param {string} key - 分块键
+   * @param {string} slot - 槽位
+   * @param {number} time - 游戏时间（秒）
+   */
+  recordConsumed(key, slot, time) {
+    const delta = this.getOrCreate(key);
+    delta.consumed.set(slot, time);
+    delta.modified.delete(slot);
+  }
+
+  /**
+   * 用卸载时的存活实体替换分块的修改记录
+   *
+   * @param {string} key - 分块键
+   * @param {Array} entities - 分块内的存活实体
+   * @param {Map} spawnStates - 槽位 → 生成时状态
+   */
+  recordModified(key, entities, spawnStates) {
+    const delta = this.getOrCreate(key);
+    delta.modified.clear();
+
+    for (const entity of entities) {
+      const spawn = spawnStates && spawnStates.get(entity.slot);
+      if (!spawn || hasChanged(entity, spawn)) {
+        delta.modified.set(entity.slot, {
+          x: entity.x,
+          y: entity.y,
+          vx: entity.vx,
+          vy: entity.vy,
+          r: entity.r,
+        });
+      }
+    }
+
+    if (delta.consumed.size === 0 && delta.modified.size === 0) {
+      this.deltas.delete(key);
+    }
+  }
+
+  /**
+   * 将增量应用到新生成的分块内容
+   *
+   * @param {string} key - 分块键
+   * @param {Array} entities - 新生成的实体
+   * @param {number} time - 当前游戏时间（秒）
+   * @returns {Array} 应用增量后的实体
+   */
+  apply(key, entities, time) {
+    const delta = this.deltas.get(key);
+    if (!delta) return entities;
+
+    // 重生计时到期的槽位恢复为新生成的内容
+    if (CHUNK.RESPAWN_TIME > 0) {
+      for (const [slot, consumedAt] of delta.consumed) {
+        if (time - consumedAt >= CHUNK.RESPAWN_TIME) {
+          delta.consumed.delete(slot);
+        }
+      }
+    }
+
+    const result = [];
+    for (const entity of entities) {
+      if (delta.consumed.has(entity.slot)) continue;
+
+      const state = delta.modified.get(entity.slot);
+      if (state) {
+        Object.assign(entity, state);
+      }
+      result.push(entity);
+    }
+
+    return result;
+  }
+
+  /**
+   * 获取有增量记录的分块数量
+   *
+   * @returns {number}
+   */
+  getCount() {
+    return this.deltas.size;
+  }
+
+  /**
+   * 序列化为可 JSON 化的数据
+   *
+   * @returns {Array} [[key, { consumed: [[slot, time]], modified: [[slot, state]] }]]
+   */
+  serialize() {
+    return [...this.deltas].map(([key, delta]) => [
+      key,
+      {
+        consumed: [...delta.consumed],
+        modified: [...delta.modified],
+      },
+    ]);
+  }
+
+  /**
+   * 从序列化数据恢复
+   *
+   * @param {Array} data - serialize() 的输出
+   */
+  restore(data) {
+    this.deltas.clear();
+    for (const [key, delta] of data) {
+      this.deltas.set(key, {
+        consumed: new Map(delta.consumed),
+        modified: new Map(delta.modified),
+      });
+    }
+  }
+}
+
 /**
  * 分块管理器类
  *
@@ -256,14 +511,67 @@ export function generateChunk(cx, cy, playerRadius = 22) {
  */
 export class ChunkManager {
   constructor() {
+    // 已加载分块：分块键 → 槽位 → 生成时状态 { x, y, r }
     this.loadedChunks = new Map();
+    this.deltaStore = new ChunkDeltaStore();
+    this.worldSeed = 0;
+    this.difficulty = DEFAULT_DIFFICULTY_SETTINGS;
   }
 
   /**
    * 重置管理器状态
+   *
+   * @param {number} worldSeed - 新世界的种子
+   * @param {Object} difficulty - resolveDifficulty() 的结果
    */
-  reset() {
+  reset(worldSeed = 0, difficulty = DEFAULT_DIFFICULTY_SETTINGS) {
     this.loadedChunks.clear();
+    this.deltaStore.reset();
+    this.worldSeed = worldSeed;
+    this.difficulty = difficulty;
+  }
+
+  /**
+   * 设置难度（只影响之后生成的分块）
+   *
+   * @param {Object} difficulty - resolveDifficulty() 的结果
+   */
+  setDifficulty(difficulty) {
+    this.difficulty = difficulty;
+  }
+
+  /**
+   * 加载分块：标记为已加载，生成其内容并应用增量
+   *
+   * @param {number} cx - 分块 X 坐标
+   * @param {number} cy - 分块 Y 坐标
+   * @param {number} playerRadius - 玩家当前半径（用于难度缩放）
+   * @param {number} time - 当前游戏时间（秒，用于重生计时和难度曲线）
+   * @returns {Array} 分块内的实体
+   */
+  load(cx, cy, playerRadius, time = 0) {
+    const key = chunkKey(cx, cy);
+    const entities = generateChunk(cx, cy, playerRadius, this.worldSeed, this.difficulty, time);
+
+    // 记录生成时状态，卸载时据此判断实体是否被改变
+    const spawnStates = new Map();
+    for (const entity of entities) {
+      spawnStates.set(entity.slot, { x: entity.x, y: entity.y, r: entity.r });
+    }
+    this.loadedChunks.set(key, spawnStates);
+
+    return this.deltaStore.apply(key, entities, time);
+  }
+
+  /**
+   * 记录实体被吃掉（由引擎在移除实体时调用）
+   *
+   * @param {Object} entity - 被移除的实体
+   * @param {number} time - 当前游戏时间（秒）
+   */
+  recordConsumed(entity, time) {
+    if (entity.chunkKey === undefined || entity.slot === undefined) return;
+    this.deltaStore.recordConsumed(entity.chunkKey, entity.slot, time);
   }
 
   /**
@@ -284,7 +592,7 @@ export class ChunkManager {
    * @param {number} cy - 分块 Y 坐标
    */
   markLoaded(cx, cy) {
-    this.loadedChunks.set(chunkKey(cx, cy), true);
+    this.loadedChunks.set(chunkKey(cx, cy), new Map());
   }
 
   /**
@@ -292,9 +600,16 @@ export class ChunkManager {
    *
    * @param {number} cx - 分块 X 坐标
    * @param {number} cy - 分块 Y 坐标
+   * @param {Array|null} entities - 分块内仍存活的实体（提供时记录增量）
    */
-  unload(cx, cy) {
-    this.loadedChunks.delete(chunkKey(cx, cy));
+  unload(cx, cy, entities = null) {
+    const key = chunkKey(cx, cy);
+
+    if (entities) {
+      this.deltaStore.recordModified(key, entities, this.loadedChunks.get(key));
+    }
+
+    this.loadedChunks.delete(key);
   }
 
   /**
@@ -360,13 +675,43 @@ export class ChunkManager {
   getLoadedCount() {
     return this.loadedChunks.size;
   }
+
+  /**
+   * 序列化为可 JSON 化的数据
+   *
+   * @returns {Object} { worldSeed, loaded, deltas }
+   */
+  serialize() {
+    return {
+      worldSeed: this.worldSeed,
+      loaded: [...this.loadedChunks].map(([key, spawnStates]) => [key, [...spawnStates]]),
+      deltas: this.deltaStore.serialize(),
+    };
+  }
+
+  /**
+   * 从序列化数据恢复
+   *
+   * @param {Object} data - serialize() 的输出
+   */
+  restore(data) {
+    this.worldSeed = data.worldSeed;
+    this.loadedChunks = new Map(
+      data.loaded.map(([key, spawnStates]) => [key, new Map(spawnStates)])
+    );
+    this.deltaStore.restore(data.deltas);
+  }
 }
 
 export default {
   seededRandom,
+  createWorldSeed,
+  normalizeWorldSeed,
+  chunkSeed,
   chunkKey,
   worldToChunk,
   chunkToWorld,
   generateChunk,
+  ChunkDeltaStore,
   ChunkManager,
 };
@@ -0,0 +1,188 @@
+/**
+ * ConfigPresets.js - 调参预设
+ *
+ * 设计哲学：只保存差异 (Store the Delta)
+ *
+ * 核心职责：
+ * 1. 把当前配置与默认值的差异打包成带名称的预设
+ * 2. 预设在 localStorage 中增删查（不可用时静默降级）
+ * 3. 导出为 JSON 文本，以及从 JSON 文本读回并校验
+ *
+ * 设计决策：
+ * - 预设只含覆盖值（getConfigOverrides 的结果），源码默认值调整后旧预设仍然有效
+ * - 读入时先用 validateConfigOverrides 校验，拼错的键直接报错而不是部分生效
+ * - 载入预设 = 先恢复默认值再应用覆盖值，结果与预设保存时一致
+ */
+
+import { getConfigOverrides, setConfigOverrides, validateConfigOverrides } from './GameConfig.js';
+import { getStorage } from './Storage.js';
+
+/**
+ * 当前预设格式版本
+ */
+export const PRESET_VERSION = 1;
+
+/**
+ * localStorage 键名
+ */
+export const PRESETS_STORAGE_KEY = 'metaball.presets';
+
+/**
+ * 创建预设
+ *
+ * @param {string} name - 预设名称
+ * @param {Object} overrides - 覆盖值，省略时取当前配置与默认值的差异
+ * @returns {Object} { version, name, createdAt, overrides }
+ */
+export function createPreset(name, overrides = getConfigOverrides()) {
+  return {
+    version: PRESET_VERSION,
+    name,
+    createdAt: Date.now(),
+    overrides,
+  };
+}
+
+/**
+ * 校验预设数据
+ *
+ * @param {Object} data - 预设数据
+ * @returns {Object} 预设
+ * @throws {Error} 格式、版本或覆盖值无效时抛出
+ */
+export function validatePreset(data) {
+  if (!data || typeof data !== 'object' || !Number.isInteger(data.version)) {
+    throw new Error('Invalid preset: missing version');
+  }
+  if (data.version > PRESET_VERSION) {
+    throw new Error(`Preset version ${data.version} is newer than supported ${PRESET_VERSION}`);
+  }
+  if (typeof data.name !== 'string' || data.name.trim() === '') {
+    throw new Error('Invalid preset: missing name');
+  }
+  validateConfigOverrides(data.overrides);
+  return data;
+}
+
+/**
+ * 序列化预设为 JSON 文本
+ *
+ * @param {Object} preset - 预设
+ * @returns {string}
+ */
+export function serializePreset(preset) {
+  return JSON.stringify(preset, null, 2);
+}
+
+/**
+ * 解析 JSON 文本为预设
+ *
+ * @param {string} text - JSON 文本
+ * @returns {Object} 预设
+ * @throws {Error} JSON 或预设无效时抛出
+ */
+export function parsePreset(text) {
+  return validatePreset(JSON.parse(text));
+}
+
+/**
+ * 应用预设（恢复默认值后写入覆盖值）
+ *
+ * @param {Object} preset - 预设
+ * @throws {Error} 覆盖值无效时抛出（此时配置保持原样）
+ */
+export function applyPreset(preset) {
+  setConfigOverrides(preset.overrides);
+}
+
+/**
+ * 读取已保存的预设
+ *
+ * 无效的预设会被跳过
+ *
+ * @returns {Array} 预设列表（按名称排序）
+ */
+export function loadPresets() {
+  const storage = getStorage();
+  if (!storage) return [];
+
+  const raw = storage.getItem(PRESETS_STORAGE_KEY);
+  if (!raw) return [];
+
+  let presets;
+  try {
+    presets = JSON.parse(raw);
+  } catch (error) {
+    console.warn('Discarding unreadable presets:', error);
+    storage.removeItem(PRESETS_STORAGE_KEY);
+    return [];
+  }
+  if (!Array.isArray(presets)) return [];
+
+  return presets
+    .filter((preset) => {
+      try {
+        validatePreset(preset);
+        return true;
+      } catch (error) {
+        console.warn('Skipping invalid preset:', error);
+        return false;
+      }
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * 写入预设列表
+ *
+ * @param {Array} presets - 预设列表
+ * @returns {boolean} 是否写入成功
+ */
+function storePresets(presets) {
+  const storage = getStorage();
+  if (!storage) return false;
+
+  try {
+    storage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(presets));
+    return true;
+  } catch (error) {
+    console.warn('Failed to save presets:', error);
+    return false;
+  }
+}
+
+/**
+ * 保存预设（同名预设被替换）
+ *
+ * @param {Object} preset - 预设
+ * @returns {boolean} 是否保存成功
+ */
+export function savePreset(preset) {
+  validatePreset(preset);
+  const presets = loadPresets().filter(p => p.name !== preset.name);
+  presets.push(preset);
+  return storePresets(presets);
+}
+
+/**
+ * 删除预设
+ *
+ * @param {string} name - 预设名称
+ * @returns {boolean} 是否写入成功
+ */
+export function deletePreset(name) {
+  return storePresets(loadPresets().filter(p => p.name !== name));
+}
+
+export default {
+  PRESET_VERSION,
+  PRESETS_STORAGE_KEY,
+  createPreset,
+  validatePreset,
+  serializePreset,
+  parsePreset,
+  applyPreset,
+  loadPresets,
+  savePreset,
+  deletePreset,
+};
@@ -0,0 +1,181 @@
+/**
+ * Difficulty.js - 难度预设与难度曲线
+ *
+ * 设计哲学：难度是一局游戏的输入 (Difficulty as Input)
+ *
+ * 核心职责：
+ * 1. 把玩家的选择 { preset, curve, adaptive } 解析为各系统使用的倍率和曲线
+ * 2. 按曲线计算难度缩放（食物 / 敌人 / 黑洞的派生缩放与 DIFFICULTY 一致）
+ * 3. 维护曲线求值函数注册表，新曲线类型只需注册一个函数
+ *
+ * 设计决策：
+ * - 选择只保存预设名和曲线名（可 JSON 化），随存档和录制一起保存，回放时原样重现
+ * - 倍率在使用时乘到原配置上，而不是改写配置：调参面板和难度互不干扰
+ * - 标准难度 + 线性曲线的计算结果与 DIFFICULTY.getScale 完全相同，
+ *   已有的种子、录制和无头模拟基线不受影响
+ */
+
+import { PLAYER, ENEMY, DIFFICULTY_CURVES, DIFFICULTY_PRESETS, DEFAULT_DIFFICULTY_PRESET } from './GameConfig.js';
+
+/**
+ * 默认难度选择（标准预设，使用预设自带的曲线，开启自适应难度）
+ */
+export const DEFAULT_DIFFICULTY = Object.freeze({ preset: DEFAULT_DIFFICULTY_PRESET, curve: null, adaptive: true });
+
+/**
+ * 曲线求值函数注册表
+ *
+ * 每个函数 (curve, ratio, minutes) => scale，ratio 为半径比（≥ 1），minutes 为存活分钟数
+ */
+const curveEvaluators = {
+  linear: (curve, ratio) => ratio,
+
+  piecewise: (curve, ratio) => {
+    const points = curve.POINTS;
+    if (ratio <= points[0][0]) return points[0][1];
+    for (let i = 1; i < points.length; i++) {
+      const [x1, y1] = points[i];
+      if (ratio <= x1) {
+        const [x0, y0] = points[i - 1];
+        return y0 + (y1 - y0) * (ratio - x0) / (x1 - x0);
+      }
+    }
+    return points[points.length - 1][1];
+  },
+
+  exponential: (curve, ratio) => Math.min(curve.MAX, Math.exp(curve.RATE * (ratio - 1))),
+
+  time: (curve, ratio, minutes) => ratio + Math.min(curve.MAX_BONUS, minutes * curve.PER_MINUTE),
+};
+
+/**
+ * 注册曲线类型
+ *
+ * @param {string} type - 曲线类型（DIFFICULTY_CURVES 中的 TYPE）
+ * @param {Function} evaluate - (curve, ratio, minutes) => scale
+ */
+export function registerDifficultyCurve(type, evaluate) {
+  curveEvaluators[type] = evaluate;
+}
+
+/**
+ * 计算曲线在给定半径和时间下的难度缩放
+ *
+ * @param {Object} curve - 曲线定义（DIFFICULTY_CURVES 中的项）
+ * @param {number} playerRadius - 玩家半径
+ * @param {number} time - 存活时间（秒）
+ * @returns {number} 难度缩放（≥ 1）
+ * @throws {Error} 曲线类型未注册时抛出
+ */
+export function evaluateDifficultyCurve(curve, playerRadius, time = 0) {
+  const evaluate = curveEvaluators[curve.TYPE];
+  if (!evaluate) {
+    throw new Error(`Unknown difficulty curve type: ${curve.TYPE}`);
+  }
+  const ratio = Math.max(1.0, playerRadius / PLAYER.INITIAL_RADIUS);
+  return Math.max(1.0, evaluate(curve, ratio, time / 60));
+}
+
+/**
+ * 规范化难度选择（用于存档、录制、URL 等外部输入）
+ *
+ * 未知的预设回退到默认预设，未知的曲线回退到预设自带曲线；
+ * 缺少 adaptive 的数据来自加入难度导演之前的存档和录制，按关闭处理才能原样重现
+ *
+ * @param {Object|string|null} value - { preset, curve, adaptive } 或预设名
+ * @returns {Object} { preset, curve, adaptive }
+ */
+export function normalizeDifficulty(value) {
+  const selection = typeof value === 'string' ? { preset: value } : (value || {});
+  return {
+    preset: DIFFICULTY_PRESETS[selection.preset] ? selection.preset : DEFAULT_DIFFICULTY_PRESET,
+    curve: DIFFICULTY_CURVES[selection.curve] ? selection.curve : null,
+    adaptive: selection.adaptive === true,
+  };
+}
+
+/**
+ * 解析难度选择为运行时参数
+ *
+ * @param {Object} difficulty - { preset, curve, adaptive }
+ * @returns {Object} { preset, curve, adaptive, curveSpec, enemySpawn, blackHoleSpawn, enemySizeMin, enemySizeMax,
+ *   enemyBelowPlayer, chaseAccel, blackHoleDrain }
+ */
+export function resolveDifficulty(difficulty) {
+  const { preset, curve, adaptive } = normalizeDifficulty(difficulty);
+  const config = DIFFICULTY_PRESETS[preset];
+  const curveName = curve ?? config.CURVE;
+
+  return {
+    preset,
+    curve: curveName,
+    adaptive,
+    curveSpec: DIFFICULTY_CURVES[curveName],
+    enemySpawn: config.ENEMY_SPAWN,
+    blackHoleSpawn: config.BLACK_HOLE_SPAWN,
+    enemySizeMin: config.ENEMY_SIZE_MIN,
+    enemySizeMax: config.ENEMY_SIZE_MAX,
+    enemyBelowPlayer: config.ENEMY_BELOW_PLAYER,
+    chaseAccel: config.CHASE_ACCEL,
+    blackHoleDrain: config.BLACK_HOLE_DRAIN,
+  };
+}
+
+/**
+ * 计算各类内容的难度缩放
+ *
+ * 派生方式与 DIFFICULTY 相同：食物、黑洞取平方根（增长较慢），敌人与总缩放同步
+ *
+ * @param {Object} settings - resolveDifficulty() 的结果
+ * @param {number} playerRadius - 玩家半径
+ * @param {number} time - 存活时间（秒）
+ * @returns {Object} { scale, food, enemy, blackHole }
+ */
+export function getDifficultyScales(settings, playerRadius, time = 0) {
+  const scale = evaluateDifficultyCurve(settings.curveSpec, playerRadius, time);
+  return {
+    scale,
+    food: Math.sqrt(scale),
+    enemy: scale,
+    blackHole: Math.sqrt(scale),
+  };
+}
+
+/**
+ * 计算敌人靠进食能长到的最大半径
+ *
+ * 与生成时的大小上限一样相对玩家半径，并同样乘以难度预设的 ENEMY_SIZE_MAX；
+ * 预设承诺敌人不会比你大（ENEMY_BELOW_PLAYER）时上限就是玩家半径
+ *
+ * @param {Object} settings - resolveDifficulty() 的结果（可经难度导演调整）
+ * @param {number} playerRadius - 玩家半径
+ * @returns {number}
+ */
+export function getEnemyMaxRadius(settings, playerRadius) {
+  if (settings.enemyBelowPlayer) return playerRadius;
+  return playerRadius * ENEMY.MAX_RADIUS_RATIO * settings.enemySizeMax;
+}
+
+/**
+ * 获取难度选择的显示名称
+ *
+ * @param {Object} difficulty - { preset, curve, adaptive }
+ * @returns {string} 如 "Hard" 或 "Hard · 时间"（曲线不是预设自带时）
+ */
+export function getDifficultyLabel(difficulty) {
+  const { preset, curve } = normalizeDifficulty(difficulty);
+  const config = DIFFICULTY_PRESETS[preset];
+  if (!curve || curve === config.CURVE) return config.LABEL;
+  return `${config.LABEL} · ${DIFFICULTY_CURVES[curve].LABEL}`;
+}
+
+export default {
+  DEFAULT_DIFFICULTY,
+  registerDifficultyCurve,
+  evaluateDifficultyCurve,
+  normalizeDifficulty,
+  resolveDifficulty,
+  getDifficultyScales,
+  getEnemyMaxRadius,
+  getDifficultyLabel,
+};
@@ -0,0 +1,263 @@
+/**
+ * DifficultyDirector.js - 难度导演（动态难度调整）
+ *
+ * 设计哲学：心流通道 (Flow Channel)
+ *
+ * 核心职责：
+ * 1. 观察玩家表现：险些死亡、距上次成长的时间、黑洞遭遇、吸收速率
+ * 2. 每隔 DIRECTOR.UPDATE_INTERVAL 秒把观察结果折算为表现分，平滑地调整强度
+ * 3. 按强度给出敌人 / 黑洞生成概率和追逐加速度的倍率（限制在配置的上下限内）
+ *
+ * 设计决策：
+ * - 导演是模拟的一部分：只依赖每步的模拟结果，随存档保存，回放时同样重现
+ * - 只调整之后生成的分块和之后的追逐，不改动已存在的实体，玩家不会看到世界突变
+ * - 事件按半衰期衰减，一次失误的影响会逐渐淡去，避免难度在两端来回摆动
+ * - 关闭时 adjust() 原样返回难度参数，结果与没有导演时完全一致
+ */
+
+import { DIRECTOR, PLAYER } from './GameConfig.js';
+
+/**
+ * 将数值限制在区间内
+ *
+ * @param {number} value - 数值
+ * @param {number} min - 下限
+ * @param {number} max - 上限
+ * @returns {number}
+ */
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * 将强度 [-1, 1] 映射为倍率（0 对应 1，两端对应上下限）
+ *
+ * @param {number} level - 强度
+ * @param {number} min - 倍率下限
+ * @param {number} max - 倍率上限
+ * @returns {number}
+ */
+function levelToMultiplier(level, min, max) {
+  return level >= 0 ? 1 + level * (max - 1) : 1 + level * (1 - min);
+}
+
+/**
+ * 难度导演类
+ */
+export class DifficultyDirector {
+  constructor() {
+    this.enabled = false;
+    this.reset();
+  }
+
+  /**
+   * 重置为新对局的初始状态
+   *
+   * @param {number} playerRadius - 玩家初始半径
+   */
+  reset(playerRadius = PLAYER.INITIAL_RADIUS) {
+    // 强度 [-1, 1]：负值减难，正值加难
+    this.level = 0;
+    this.performance = 0;
+
+    // 观察信号
+    this.absorbRate = DIRECTOR.TARGET_ABSORB_RATE;
+    this.absorbedSinceUpdate = 0;
+    this.nearDeaths = 0;
+    this.blackHoleEncounters = 0;
+    this.peakRadius = playerRadius;
+    this.lastRadius = playerRadius;
+    this.lastGrowthTime = 0;
+    this.lastBlackHoleTime = null;
+    this.inDanger = false;
+
+    this.lastUpdateTime = 0;
+  }
+
+  /**
+   * 开启或关闭导演（关闭时保留状态，倍率回到 1）
+   *
+   * @param {boolean} enabled - 是否开启
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+  }
+
+  /**
+   * 记录玩家被黑洞吸取（间隔超过 BLACK_HOLE_GAP 才算新的遭遇）
+   *
+   * @param {number} time - 游戏时间（秒）
+   */
+  recordBlackHoleDrain(time) {
+    if (!this.enabled) return;
+
+    if (this.lastBlackHoleTime === null || time - this.lastBlackHoleTime > DIRECTOR.BLACK_HOLE_GAP) {
+      this.blackHoleEncounters++;
+    }
+    this.lastBlackHoleTime = time;
+  }
+
+  /**
+   * 每个模拟步观察玩家状态，到达评估间隔时调整强度
+   *
+   * @param {number} playerRadius - 玩家当前半径
+   * @param {number} absorbed - 本步被玩家完全吸收的实体数
+   * @param {number} time - 游戏时间（秒）
+   * @returns {boolean} 强度是否更新（倍率可能变化）
+   */
+  update(playerRadius, absorbed, time) {
+    if (!this.enabled) return false;
+
+    this.absorbedSinceUpdate += absorbed;
+
+    // 成长与峰值
+    if (playerRadius > this.lastRadius) {
+      this.lastGrowthTime = time;
+    }
+    this.lastRadius = playerRadius;
+    this.peakRadius = Math.max(this.peakRadius, playerRadius);
+
+    // 险些死亡：跌破峰值的 NEAR_DEATH_RATIO 时计数，恢复到 NEAR_DEATH_RECOVER 以上才重新布防
+    if (!this.inDanger && playerRadius < this.peakRadius * DIRECTOR.NEAR_DEATH_RATIO) {
+      this.inDanger = true;
+      this.nearDeaths++;
+    } else if (this.inDanger && playerRadius > this.peakRadius * DIRECTOR.NEAR_DEATH_RECOVER) {
+      this.inDanger = false;
+    }
+
+    const elapsed = time - this.lastUpdateTime;
+    if (elapsed < DIRECTOR.UPDATE_INTERVAL) return false;
+
+    this.evaluate(elapsed, time);
+    this.lastUpdateTime = time;
+    return true;
+  }
+
+  /**
+   * 根据观察信号计算表现分并调整强度
+   *
+   * @param {number} elapsed - 距上次评估的时间（秒）
+   * @param {number} time - 游戏时间（秒）
+   */
+  evaluate(elapsed, time) {
+    const { WEIGHTS } = DIRECTOR;
+    const decay = Math.pow(0.5, elapsed / DIRECTOR.MEMORY_HALF_LIFE);
+
+    // 吸收速率（次/分钟）按半衰期平滑
+    const rate = (this.absorbedSinceUpdate / elapsed) * 60;
+    this.absorbRate = this.absorbRate * decay + rate * (1 - decay);
+    this.absorbedSinceUpdate = 0;
+
+    const absorbScore = clamp(this.absorbRate / DIRECTOR.TARGET_ABSORB_RATE - 1, -1, 1);
+    const stallScore = clamp((time - this.lastGrowthTime - DIRECTOR.STALL_TIME) / DIRECTOR.STALL_TIME, 0, 1);
+
+    this.performance = clamp(
+      WEIGHTS.ABSORB * absorbScore -
+      WEIGHTS.NEAR_DEATH * this.nearDeaths -
+      WEIGHTS.BLACK_HOLE * this.blackHoleEncounters -
+      WEIGHTS.STALL * stallScore,
+      -1,
+      1
+    );
+    this.level += (this.performance - this.level) * DIRECTOR.ADJUST_RATE;
+
+    // 事件记忆衰减
+    this.nearDeaths *= decay;
+    this.blackHoleEncounters *= decay;
+  }
+
+  /**
+   * 当前的生成概率倍率
+   *
+   * @returns {number}
+   */
+  getSpawnMultiplier() {
+    if (!this.enabled) return 1;
+    return levelToMultiplier(this.level, DIRECTOR.SPAWN_MIN, DIRECTOR.SPAWN_MAX);
+  }
+
+  /**
+   * 当前的追逐加速度倍率
+   *
+   * @returns {number}
+   */
+  getChaseMultiplier() {
+    if (!this.enabled) return 1;
+    return levelToMultiplier(this.level, DIRECTOR.CHASE_MIN, DIRECTOR.CHASE_MAX);
+  }
+
+  /**
+   * 将导演倍率叠加到难度参数上
+   *
+   * @param {Object} settings - resolveDifficulty() 的结果
+   * @returns {Object} 调整后的难度参数（关闭时原样返回）
+   */
+  adjust(settings) {
+    if (!this.enabled) return settings;
+
+    const spawn = this.getSpawnMultiplier();
+    return {
+      ...settings,
+      enemySpawn: settings.enemySpawn * spawn,
+      blackHoleSpawn: settings.blackHoleSpawn * spawn,
+      chaseAccel: settings.chaseAccel * this.getChaseMultiplier(),
+    };
+  }
+
+  /**
+   * 获取调试快照
+   *
+   * @returns {Object} { enabled, level, performance, spawn, chase, absorbRate, nearDeaths, blackHoleEncounters }
+   */
+  getSnapshot() {
+    return {
+      enabled: this.enabled,
+      level: this.level,
+      performance: this.performance,
+      spawn: this.getSpawnMultiplier(),
+      chase: this.getChaseMultiplier(),
+      absorbRate: this.absorbRate,
+      nearDeaths: this.nearDeaths,
+      blackHoleEncounters: this.blackHoleEncounters,
+    };
+  }
+
+  /**
+   * 序列化为可 JSON 化的数据
+   *
+   * @returns {Object}
+   */
+  serialize() {
+    return {
+      level: this.level,
+      performance: this.performance,
+      absorbRate: this.absorbRate,
+      absorbedSinceUpdate: this.absorbedSinceUpdate,
+      nearDeaths: this.nearDeaths,
+      blackHoleEncounters: this.blackHoleEncounters,
+      peakRadius: this.peakRadius,
+      lastRadius: this.lastRadius,
+      lastGrowthTime: this.lastGrowthTime,
+      lastBlackHoleTime: this.lastBlackHoleTime,
+      inDanger: this.inDanger,
+      lastUpdateTime: this.lastUpdateTime,
+    };
+  }
+
+  /**
+   * 从序列化数据恢复
+   *
+   * @param {Object|null} data - serialize() 的输出，为 null 时（旧存档）重置
+   */
+  restore(data) {
+    if (!data) {
+      this.reset();
+      return;
+    }
+    Object.assign(this, data);
+  }
+}
+
+export default {
+  DifficultyDirector,
+};
@@ -7,20 +7,83 @@
  * 1. 实体创建和销毁
  * 2. 实体查询和过滤
  * 3. 实体生命周期管理
- * 4. 空间哈希碰撞优化
+ * 4. 空间哈希碰撞优化与范围查询
  *
  * 设计决策：
- * - 使用数组而非 Map 存储实体，因为频繁遍历比随机访问更常见
- * - 实体类型通过布尔标志区分，保持简单
+ * - 实体数据存放在 EntityStore 的类型化数组中（SoA），遍历和渲染都是连续内存访问
+ * - 删除使用交换删除（O(1)），实体句柄通过空闲列表复用，减少分块加载/卸载时的垃圾
+ * - 每个实体加入时分配唯一数字 ID，AI、回放和 UI 通过 ID 安全引用实体
+ * - 实体类型在存储中是 EntityType，对外仍以 isFood 等布尔属性访问
  * - 玩家作为特殊实体始终存在于数组首位
- * - 使用空间哈希将 O(n²) 碰撞检测降低到 O(n)
+ * - 使用增量维护的空间哈希将 O(n²) 碰撞检测降低到 O(n)
+ * - 物理和 AI 通过 queryRadius / queryRect / nearest 查找附近实体，而不是遍历全部实体
+ * - 黑洞大小随难度缩放，没有固定上限：跟踪存活黑洞的最大半径，给出引力范围的真实上界
  */
 
-import { PLAYER, RENDERING, CANVAS } from './GameConfig.js';
+import { PLAYER, BLACK_HOLE, RENDERING, PHYSICS } from './GameConfig.js';
+import { EntityStore, EntityType } from './EntityStore.js';
+import { SpatialHash } from './SpatialHash.js';
+import { DEFAULT_VIEWPORT, getViewHalfExtents } from './Viewport.js';
 
 // 空间哈希网格大小（应该略大于最大实体直径）
 const SPATIAL_CELL_SIZE = 80;
 
+// 按存储下标排序（空间哈希单元格的遍历顺序取决于历史，排序后结果只取决于当前状态，
+// 读档后的模拟与不间断运行完全一致）
+const byIndex = (a, b) => a.index - b.index;
+
+/**
+ * 实体移除原因枚举
+ */
+export const DespawnReason = {
+  REMOVED: 'removed',     // 直接移除
+  CONSUMED: 'consumed',   // 被吃掉
+  UNLOADED: 'unloaded',   // 所属分块卸载
+};
+
+/**
+ * 计算实体的渲染优先级（可见实体超过渲染预算时，按优先级从高到低保留）
+ *
+ * 综合四项：
+ * - 类型：黑洞 > 敌人 > 食物
+ * - 威胁：能吃掉玩家的敌人和黑洞最重要
+ * - 屏幕尺寸：屏幕上越大越显眼
+ * - 距离：离玩家越近越重要
+ *
+ * @param {number} type - EntityType
+ * @param {number} r - 实体半径
+ * @param {number} dist - 到玩家的距离
+ * @param {number} playerRadius - 玩家半径
+ * @param {number} zoom - 缩放级别
+ * @param {number} viewRadius - 视野半径（世界单位）
+ * @returns {number} 优先级分数，越大越优先
+ */
+export function getRenderPriority(type, r, dist, playerRadius, zoom, viewRadius) {
+  const { CULL_PRIORITY } = RENDERING;
+
+  if (type === EntityType.PLAYER) return Infinity;
+
+  let typeScore = CULL_PRIORITY.TYPE.FOOD;
+  let threat = 0;
+  if (type === EntityType.BLACK_HOLE) {
+    typeScore = CULL_PRIORITY.TYPE.BLACK_HOLE;
+    threat = 1;
+  } else if (type === EntityType.ENEMY) {
+    typeScore = CULL_PRIORITY.TYPE.ENEMY;
+    // 达到吸收阈值一半开始计入威胁，达到阈值时威胁为 1
+    const dangerRatio = r / (playerRadius * PHYSICS.ABSORPTION_THRESHOLD);
+    threat = Math.min(1, Math.max(0, dangerRatio * 2 - 1));
+  }
+
+  const screenSize = Math.min(1, (r * zoom) / CULL_PRIORITY.SCREEN_SIZE_REFERENCE);
+  const proximity = Math.max(0, 1 - dist / viewRadius);
+
+  return typeScore +
+    CULL_PRIORITY.THREAT * threat +
+    CULL_PRIORITY.SCREEN_SIZE * screenSize +
+    CULL_PRIORITY.PROXIMITY * proximity;
+}
+
 /**
  * 创建玩家实体
  *
@@ -40,40 +103,6 @@ export function createPlayer(x = 0, y = 0) {
   };
 }
 
-/**
- * 计算实体所在的空间哈希单元格键
- *
- * @param {number} x - X 坐标
- * @param {number} y - Y 坐标
- * @returns {string} 单元格键
- */
-function getSpatialKey(x, y) {
-  const cx = Math.floor(x / SPATIAL_CELL_SIZE);
-  const cy = Math.floor(y / SPATIAL_CELL_SIZE);
-  return `${cx},${cy}`;
-}
-
-/**
- * 获取实体可能碰撞的所有单元格键（考虑实体半径）
- *
- * @param {Object} entity - 实体
- * @returns {string[]} 单元格键数组
- */
-function getEntityCellKeys(entity) {
-  const keys = [];
-  const minCx = Math.floor((entity.x - entity.r) / SPATIAL_CELL_SIZE);
-  const maxCx = Math.floor((entity.x + entity.r) / SPATIAL_CELL_SIZE);
-  const minCy = Math.floor((entity.y - entity.r) / SPATIAL_CELL_SIZE);
-  const maxCy = Math.floor((entity.y + entity.r) / SPATIAL_CELL_SIZE);
-
-  for (let cx = minCx; cx <= maxCx; cx++) {
-    for (let cy = minCy; cy <= maxCy; cy++) {
-      keys.push(`${cx},${cy}`);
-    }
-  }
-  return keys;
-}
-
 /**
  * 实体管理器类
  *
@@ -81,74 +110,155 @@ function getEntityCellKeys(entity) {
  */
 export class EntityManager {
   constructor() {
-    this.entities = [];
+    // 类型化数组存储；entities 为存活实体句柄的紧密数组（与存储下标一致）
+    this.store = new EntityStore();
+    this.entities = this.store.handles;
     this.player = null;
-    // 空间哈希网格
-    this.spatialGrid = new Map();
+    // 实体注册表（id → 实体）
+    this.nextId = 1;
+    this.byId = new Map();
+    // 生命周期钩子
+    this.spawnListeners = [];
+    this.despawnListeners = [];
+    // 空间哈希网格（包含黑洞，实体加入/移除时同步登记）
+    this.spatialHash = new SpatialHash(SPATIAL_CELL_SIZE);
+    // 存活黑洞的最大半径（最大的黑洞被移除时标记过期，下次读取时重新统计）
+    this.maxBlackHoleRadius = 0;
+    this.maxBlackHoleRadiusStale = false;
+    // 复用的碰撞候选缓冲区
+    this.neighborBuffer = [];
     // 复用的渲染数据缓冲区
     this.renderBuffer = new Float32Array(RENDERING.MAX_VISIBLE_BALLS * 4);
+    // 复用的可见实体下标和优先级缓冲区（按存储容量扩容）
+    this.visibleIndices = new Int32Array(0);
+    this.renderScores = new Float64Array(0);
   }
 
   /**
    * 初始化管理器
    *
-   * @param {Object} player - 玩家实体
+   * @param {Object} player - 玩家实体数据
+   * @returns {Entity} 玩家实体句柄
    */
   initialize(player) {
-    this.entities = [player];
-    this.player = player;
+    this.store.clear();
+    this.byId.clear();
+    this.spatialHash.clear();
+    this.maxBlackHoleRadius = 0;
+    this.maxBlackHoleRadiusStale = false;
+    this.player = this.add(player);
+    return this.player;
   }
 
   /**
    * 重置管理器状态
+   *
+   * ID 从 1 重新分配，相同的种子和输入得到相同的 ID
    */
   reset() {
-    this.entities = [];
+    this.store.clear();
     this.player = null;
-    this.spatialGrid.clear();
+    this.nextId = 1;
+    this.byId.clear();
+    this.spatialHash.clear();
+    this.maxBlackHoleRadius = 0;
+    this.maxBlackHoleRadiusStale = false;
+  }
+
+  /**
+   * 注册实体：分配 ID（已有 ID 时沿用）并加入索引
+   *
+   * @param {Object} entity - 实体
+   */
+  register(entity) {
+    if (entity.id === undefined) {
+      entity.id = this.nextId++;
+    } else if (entity.id >= this.nextId) {
+      this.nextId = entity.id + 1;
+    }
+    this.byId.set(entity.id, entity);
+    this.spatialHash.insert(entity);
+    if (entity.isBlackHole && entity.r > this.maxBlackHoleRadius) {
+      this.maxBlackHoleRadius = entity.r;
+    }
+
+    for (const callback of this.spawnListeners) {
+      callback(entity);
+    }
+  }
+
+  /**
+   * 注销实体并通知监听器
+   *
+   * @param {Object} entity - 实体
+   * @param {string} reason - 移除原因（DespawnReason）
+   */
+  unregister(entity, reason) {
+    this.byId.delete(entity.id);
+    this.spatialHash.remove(entity);
+    if (entity.isBlackHole && entity.r >= this.maxBlackHoleRadius) {
+      this.maxBlackHoleRadiusStale = true;
+    }
+
+    for (const callback of this.despawnListeners) {
+      callback(entity, reason);
+    }
   }
 
   /**
    * 添加实体
    *
-   * @param {Object} entity - 要添加的实体
+   * 数据被复制进存储，之后应使用返回的句柄而不是传入的对象
+   *
+   * @param {Object} data - 实体数据
+   * @returns {Entity} 实体句柄
    */
-  add(entity) {
-    this.entities.push(entity);
+  add(data) {
+    const entity = this.store.allocate(data);
+    this.register(entity);
+    return entity;
   }
 
   /**
    * 批量添加实体
    *
-   * @param {Array} entities - 实体数组
+   * @param {Array} entities - 实体数据数组
    */
   addBatch(entities) {
-    this.entities.push(...entities);
+    for (const entity of entities) {
+      this.add(entity);
+    }
   }
 
   /**
    * 移除实体
    *
    * @param {Object} entity - 要移除的实体
+   * @param {string} reason - 移除原因（DespawnReason）
    */
-  remove(entity) {
-    const index = this.entities.indexOf(entity);
-    if (index > -1) {
-      this.entities.splice(index, 1);
+  remove(entity, reason = DespawnReason.REMOVED) {
+    if (this.entities[entity.index] === entity) {
+      this.unregister(entity, reason);
+      this.store.release(entity);
     }
   }
 
   /**
    * 根据条件移除实体
    *
+   * 从后向前遍历：交换删除移来的实体已经检查过，每个实体恰好判断一次
+   *
    * @param {Function} predicate - 判断函数，返回 true 则移除
+   * @param {string} reason - 移除原因（DespawnReason）
    * @returns {number} 移除的实体数量
    */
-  removeWhere(predicate) {
+  removeWhere(predicate, reason = DespawnReason.REMOVED) {
     let removed = 0;
     for (let i = this.entities.length - 1; i >= 0; i--) {
-      if (predicate(this.entities[i])) {
-        this.entities.splice(i, 1);
+      const entity = this.entities[i];
+      if (predicate(entity)) {
+        this.unregister(entity, reason);
+        this.store.release(entity);
         removed++;
       }
     }
@@ -162,7 +272,53 @@ export class EntityManager {
    * @returns {number} 移除的实体数量
    */
   removeByChunkKey(chunkKey) {
-    return this.removeWhere(e => e.chunkKey === chunkKey);
+    return this.removeWhere(e => e.chunkKey === chunkKey, DespawnReason.UNLOADED);
+  }
+
+  /**
+   * 根据 ID 获取实体
+   *
+   * @param {number} id - 实体 ID
+   * @returns {Object|undefined} 实体（已移除时返回 undefined）
+   */
+  getById(id) {
+    return this.byId.get(id);
+  }
+
+  /**
+   * 监听实体加入
+   *
+   * @param {Function} callback - 回调 (entity) => void
+   * @returns {Function} 取消监听的函数
+   */
+  onSpawn(callback) {
+    this.spawnListeners.push(callback);
+    return () => {
+      this.spawnListeners = this.spawnListeners.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * 监听实体移除
+   *
+   * @param {Function} callback - 回调 (entity, reason) => void
+   * @returns {Function} 取消监听的函数
+   */
+  onDespawn(callback) {
+    this.despawnListeners.push(callback);
+    return () => {
+      this.despawnListeners = this.despawnListeners.filter(cb => cb !== callback);
+    };
+  }
+
+  /**
+   * 获取属于指定分块的实体
+   *
+   * @param {string} chunkKey - 分块键
+   * @returns {Array}
+   */
+  getByChunkKey(chunkKey) {
+    return this.entities.filter(e => e.chunkKey === chunkKey);
   }
 
   /**
@@ -180,7 +336,7 @@ export class EntityManager {
    * @returns {number}
    */
   getCount() {
-    return this.entities.length;
+    return this.store.count;
   }
 
   /**
@@ -219,6 +375,26 @@ export class EntityManager {
     return this.entities.filter(e => e.isBlackHole);
   }
 
+  /**
+   * 存活黑洞中最大的引力范围（用于空间查询附近的黑洞）
+   *
+   * 黑洞生成后半径不变，只有加入和移除会改变结果
+   *
+   * @returns {number} 没有黑洞时为 0
+   */
+  getMaxBlackHolePullRadius() {
+    if (this.maxBlackHoleRadiusStale) {
+      const { type, r, count } = this.store;
+      let maxRadius = 0;
+      for (let i = 0; i < count; i++) {
+        if (type[i] === EntityType.BLACK_HOLE && r[i] > maxRadius) maxRadius = r[i];
+      }
+      this.maxBlackHoleRadius = maxRadius;
+      this.maxBlackHoleRadiusStale = false;
+    }
+    return this.maxBlackHoleRadius * BLACK_HOLE.PULL_RADIUS_MULTIPLIER;
+  }
+
   /**
    * 获取可见实体（用于渲染）
    *
@@ -227,28 +403,33 @@ export class EntityManager {
    *
    * @param {number} cameraX - 摄像机 X 坐标
    * @param {number} cameraY - 摄像机 Y 坐标
-   * @param {number} zoom - 缩放级别
-   * @returns {Array} 可见实体数组（已排序）
+   * @param {number} zoom - 屏幕缩放（CSS 像素 / 世界单位）
+   * @param {Object} viewport - 视口 { width, height }（CSS 像素）
+   * @returns {Array} 可见实体数组（按渲染优先级从高到低排序）
    */
-  getVisibleEntities(cameraX, cameraY, zoom) {
-    const viewRadius = (CANVAS.SIZE / 2) / zoom + RENDERING.VIEW_BUFFER;
+  getVisibleEntities(cameraX, cameraY, zoom, viewport = DEFAULT_VIEWPORT) {
+    const { halfWidth, halfHeight } = getViewHalfExtents(viewport, zoom);
+    const viewWidth = halfWidth + RENDERING.VIEW_BUFFER;
+    const viewHeight = halfHeight + RENDERING.VIEW_BUFFER;
+    const viewRadius = Math.max(viewWidth, viewHeight);
 
     const visible = this.entities.filter(e => {
       const dx = e.x - cameraX;
       const dy = e.y - cameraY;
       // 额外缓冲区用于 Metaball 边缘效果
       const entityBuffer = e.r * 2;
-      return Math.abs(dx) < viewRadius + entityBuffer && Math.abs(dy) < viewRadius + entityBuffer;
+      return Math.abs(dx) < viewWidth + entityBuffer && Math.abs(dy) < viewHeight + entityBuffer;
     });
 
-    // 排序：玩家优先，然后是普通实体，黑洞最后
-    visible.sort((a, b) => {
-      if (a.isPlayer) return -1;
-      if (b.isPlayer) return 1;
-      if (a.isBlackHole && !b.isBlackHole) return 1;
-      if (!a.isBlackHole && b.isBlackHole) return -1;
-      return 0;
-    });
+    // 排序：与 getRenderData 超出预算时的保留顺序一致
+    const player = this.player;
+    const playerRadius = player ? player.r : PLAYER.INITIAL_RADIUS;
+    const scores = new Map();
+    for (const e of visible) {
+      const dist = player ? Math.hypot(e.x - player.x, e.y - player.y) : 0;
+      scores.set(e, getRenderPriority(e.type, e.r, dist, playerRadius, zoom, viewRadius));
+    }
+    visible.sort((a, b) => (scores.get(b) - scores.get(a)) || (a.index - b.index));
 
     return visible;
   }
@@ -256,54 +437,93 @@ export class EntityManager {
   /**
    * 获取渲染数据
    *
-   * 将可见实体转换为 WebGL 需要的 Float32Array 格式
+   * 直接从类型化数组筛选可见实体并写入 WebGL 需要的 Float32Array
    * 使用复用的缓冲区，避免每帧内存分配
+   * 位置和半径在上一模拟步与当前步之间按 alpha 插值
+   *
+   * 可见实体不超过预算时按存储顺序全部输出（玩家位于下标 0）；
+   * 超过预算时按 getRenderPriority 从高到低保留，其余计入 culledCount
    *
    * @param {number} cameraX - 摄像机 X 坐标
    * @param {number} cameraY - 摄像机 Y 坐标
-   * @param {number} zoom - 缩放级别
-   * @returns {Object} { ballData: Float32Array, ballCount: number }
-   */
-  getRenderData(cameraX, cameraY, zoom) {
-    const visible = this.getVisibleEntities(cameraX, cameraY, zoom);
-    const ballCount = Math.min(visible.length, RENDERING.MAX_VISIBLE_BALLS);
-
-    // 复用缓冲区，清零未使用部分
-    for (let i = 0; i < ballCount; i++) {
-      const entity = visible[i];
-      this.renderBuffer[i * 4] = entity.x;
-      this.renderBuffer[i * 4 + 1] = entity.y;
-      this.renderBuffer[i * 4 + 2] = entity.r;
-      this.renderBuffer[i * 4 + 3] = entity.hue;
+   * @param {number} zoom - 屏幕缩放（CSS 像素 / 世界单位）
+   * @param {number} alpha - 插值系数 (0-1)，1 表示使用当前状态
+   * @param {number} budget - 渲染器本帧最多能绘制的球体数
+   * @param {Object} viewport - 视口 { width, height }（CSS 像素）
+   * @returns {Object} { ballData, ballCount, visibleCount, culledCount }
+   */
+  getRenderData(cameraX, cameraY, zoom, alpha = 1, budget = RENDERING.MAX_VISIBLE_BALLS, viewport = DEFAULT_VIEWPORT) {
+    const { store } = this;
+    const { x, y, r, prevX, prevY, prevR, hue, type, count } = store;
+
+    // 上限被运行时调大或实体增多时扩容
+    if (this.renderBuffer.length < RENDERING.MAX_VISIBLE_BALLS * 4) {
+      this.renderBuffer = new Float32Array(RENDERING.MAX_VISIBLE_BALLS * 4);
+    }
+    if (this.visibleIndices.length < store.capacity) {
+      this.visibleIndices = new Int32Array(store.capacity);
+      this.renderScores = new Float64Array(store.capacity);
     }
 
-    // 清零剩余部分（防止残留数据）
-    for (let i = ballCount * 4; i < this.renderBuffer.length; i++) {
-      this.renderBuffer[i] = 0;
+    const { renderBuffer, visibleIndices, renderScores } = this;
+    const { halfWidth, halfHeight } = getViewHalfExtents(viewport, zoom);
+    const viewWidth = halfWidth + RENDERING.VIEW_BUFFER;
+    const viewHeight = halfHeight + RENDERING.VIEW_BUFFER;
+    const viewRadius = Math.max(viewWidth, viewHeight);
+
+    // 收集可见实体
+    let visibleCount = 0;
+    for (let i = 0; i < count; i++) {
+      // 额外缓冲区用于 Metaball 边缘效果
+      const entityBuffer = r[i] * 2;
+      if (Math.abs(x[i] - cameraX) >= viewWidth + entityBuffer) continue;
+      if (Math.abs(y[i] - cameraY) >= viewHeight + entityBuffer) continue;
+      visibleIndices[visibleCount++] = i;
     }
 
-    return { ballData: this.renderBuffer, ballCount };
+    const ballCount = Math.min(visibleCount, budget, RENDERING.MAX_VISIBLE_BALLS);
+
+    // 超出预算：按优先级排序，只保留前 ballCount 个
+    if (ballCount < visibleCount) {
+      const player = this.player;
+      for (let k = 0; k < visibleCount; k++) {
+        const i = visibleIndices[k];
+        const dist = player ? Math.hypot(x[i] - player.x, y[i] - player.y) : 0;
+        renderScores[i] = getRenderPriority(type[i], r[i], dist, player ? player.r : PLAYER.INITIAL_RADIUS, zoom, viewRadius);
+      }
+      visibleIndices
+        .subarray(0, visibleCount)
+        .sort((a, b) => (renderScores[b] - renderScores[a]) || (a - b));
+    }
+
+    for (let k = 0; k < ballCount; k++) {
+      const i = visibleIndices[k];
+      const offset = k * 4;
+      renderBuffer[offset] = prevX[i] + (x[i] - prevX[i]) * alpha;
+      renderBuffer[offset + 1] = prevY[i] + (y[i] - prevY[i]) * alpha;
+      renderBuffer[offset + 2] = prevR[i] + (r[i] - prevR[i]) * alpha;
+      renderBuffer[offset + 3] = hue[i];
+    }
+
+    // 清零剩余部分（防止残留数据）
+    renderBuffer.fill(0, ballCount * 4);
+
+    return {
+      ballData: renderBuffer,
+      ballCount,
+      visibleCount,
+      culledCount: visibleCount - ballCount,
+    };
   }
 
   /**
    * 更新空间哈希网格
    *
-   * 每帧调用一次，重建整个网格
-   * 复杂度 O(n)
+   * 实体移动后每步调用一次；只有跨越单元格边界的实体会重新登记
    */
   updateSpatialGrid() {
-    this.spatialGrid.clear();
-
     for (const entity of this.entities) {
-      if (entity.isBlackHole) continue;
-
-      const keys = getEntityCellKeys(entity);
-      for (const key of keys) {
-        if (!this.spatialGrid.has(key)) {
-          this.spatialGrid.set(key, []);
-        }
-        this.spatialGrid.get(key).push(entity);
-      }
+      this.spatialHash.update(entity);
     }
   }
 
@@ -311,41 +531,180 @@ export class EntityManager {
    * 执行碰撞检测回调（使用空间哈希优化）
    *
    * 优化后复杂度从 O(n²) 降低到 O(n*k)，其中 k 是单元格内平均实体数
+   * 黑洞不参与碰撞（它们的效果见 applyBlackHoleEffect）
+   * 调用前需先 updateSpatialGrid()
+   *
+   * 每对实体只由下标较小的一方处理一次，回调按 (a.index, b.index) 升序触发
    *
    * @param {Function} callback - 碰撞回调函数 (entityA, entityB) => void
    */
   forEachCollisionPair(callback) {
-    // 先更新空间网格
-    this.updateSpatialGrid();
-
-    // 已检查的配对（避免重复检测）
-    const checkedPairs = new Set();
+    const { neighborBuffer } = this;
 
     for (const entity of this.entities) {
       if (entity.isBlackHole) continue;
 
-      const keys = getEntityCellKeys(entity);
+      neighborBuffer.length = 0;
+      this.spatialHash.forEachNeighbor(entity, (other) => {
+        if (other.index > entity.index && !other.isBlackHole) {
+          neighborBuffer.push(other);
+        }
+      });
+      if (neighborBuffer.length === 0) continue;
+
+      // 排序后跳过重复项（同一实体可能出现在多个共享单元格中）
+      neighborBuffer.sort(byIndex);
+      let previous = null;
+      for (const other of neighborBuffer) {
+        if (other === previous) continue;
+        previous = other;
+        callback(entity, other);
+      }
+    }
+  }
 
-      for (const key of keys) {
-        const cellEntities = this.spatialGrid.get(key);
-        if (!cellEntities) continue;
+  /**
+   * 查询圆形范围内的实体（按中心点判断）
+   *
+   * @param {number} x - 圆心 X 坐标
+   * @param {number} y - 圆心 Y 坐标
+   * @param {number} radius - 查询半径
+   * @param {Function|null} filter - 过滤函数 (entity) => boolean
+   * @returns {Array} 中心点距离小于 radius 的实体（按存储顺序）
+   */
+  queryRadius(x, y, radius, filter = null) {
+    const result = [];
+    const radiusSq = radius * radius;
+
+    this.spatialHash.query(x - radius, y - radius, x + radius, y + radius, (entity) => {
+      const dx = entity.x - x;
+      const dy = entity.y - y;
+      if (dx * dx + dy * dy < radiusSq && (!filter || filter(entity))) {
+        result.push(entity);
+      }
+    });
 
-        for (const other of cellEntities) {
-          if (other === entity || other.isBlackHole) continue;
+    return result.sort(byIndex);
+  }
+
+  /**
+   * 查询与圆形范围相交的实体（按实体的圆形判断）
+   *
+   * 与 queryRadius 不同，中心点在范围外、但身体伸进范围内的大实体也会返回
+   *
+   * @param {number} x - 圆心 X 坐标
+   * @param {number} y - 圆心 Y 坐标
+   * @param {number} radius - 查询半径
+   * @param {Function|null} filter - 过滤函数 (entity) => boolean
+   * @returns {Array} 中心点距离小于 radius + 自身半径的实体（按存储顺序）
+   */
+  queryOverlapping(x, y, radius, filter = null) {
+    const result = [];
+
+    // 空间哈希按包围盒登记，矩形查询已包含伸进范围的大实体
+    this.spatialHash.query(x - radius, y - radius, x + radius, y + radius, (entity) => {
+      const dx = entity.x - x;
+      const dy = entity.y - y;
+      const reach = radius + entity.r;
+      if (dx * dx + dy * dy < reach * reach && (!filter || filter(entity))) {
+        result.push(entity);
+      }
+    });
 
-          // 创建唯一配对键（确保 A-B 和 B-A 被视为相同）
-          const pairKey = entity.x < other.x ||
-                          (entity.x === other.x && entity.y < other.y)
-            ? `${entity.x},${entity.y}-${other.x},${other.y}`
-            : `${other.x},${other.y}-${entity.x},${entity.y}`;
+    return result.sort(byIndex);
+  }
 
-          if (!checkedPairs.has(pairKey)) {
-            checkedPairs.add(pairKey);
-            callback(entity, other);
-          }
-        }
+  /**
+   * 查询矩形范围内的实体（按中心点判断）
+   *
+   * @param {number} minX - 左边界
+   * @param {number} minY - 上边界
+   * @param {number} maxX - 右边界
+   * @param {number} maxY - 下边界
+   * @param {Function|null} filter - 过滤函数 (entity) => boolean
+   * @returns {Array} 中心点位于矩形内的实体（按存储顺序）
+   */
+  queryRect(minX, minY, maxX, maxY, filter = null) {
+    const result = [];
+
+    this.spatialHash.query(minX, minY, maxX, maxY, (entity) => {
+      if (
+        entity.x >= minX && entity.x <= maxX &&
+        entity.y >= minY && entity.y <= maxY &&
+        (!filter || filter(entity))
+      ) {
+        result.push(entity);
       }
+    });
+
+    return result.sort(byIndex);
+  }
+
+  /**
+   * 获取矩形范围内的非空空间哈希单元格（调试显示用）
+   *
+   * @param {number} minX - 左边界
+   * @param {number} minY - 上边界
+   * @param {number} maxX - 右边界
+   * @param {number} maxY - 下边界
+   * @returns {Array} [{ x, y, size, count }] x/y 为单元格左上角的世界坐标
+   */
+  getSpatialCells(minX, minY, maxX, maxY) {
+    const size = this.spatialHash.cellSize;
+    const cells = [];
+    this.spatialHash.forEachCell(minX, minY, maxX, maxY, (cx, cy, count) => {
+      cells.push({ x: cx * size, y: cy * size, size, count });
+    });
+    return cells;
+  }
+
+  /**
+   * 查找最近的实体
+   *
+   * 从一个单元格大小开始按倍数扩大查询范围，找到的最近实体距离不超过查询半径时即为答案；
+   * 不限距离时退化为线性扫描。距离相同时取存储下标较小的实体
+   *
+   * @param {number} x - X 坐标
+   * @param {number} y - Y 坐标
+   * @param {Function|null} predicate - 过滤函数 (entity) => boolean
+   * @param {number} maxDistance - 最大搜索距离
+   * @returns {Object|null} 最近的实体，没有则返回 null
+   */
+  nearest(x, y, predicate = null, maxDistance = Infinity) {
+    let best = null;
+    let bestDistSq = maxDistance * maxDistance;
+
+    const consider = (entity) => {
+      if (predicate && !predicate(entity)) return;
+      const dx = entity.x - x;
+      const dy = entity.y - y;
+      const distSq = dx * dx + dy * dy;
+      if (distSq < bestDistSq || (distSq === bestDistSq && best && entity.index < best.index)) {
+        best = entity;
+        bestDistSq = distSq;
+      }
+    };
+
+    if (!Number.isFinite(maxDistance)) {
+      for (const entity of this.entities) consider(entity);
+      return best;
     }
+
+    for (let radius = SPATIAL_CELL_SIZE; ; radius *= 2) {
+      const searchRadius = Math.min(radius, maxDistance);
+      this.spatialHash.query(x - searchRadius, y - searchRadius, x + searchRadius, y + searchRadius, consider);
+
+      if ((best && bestDistSq <= searchRadius * searchRadius) || searchRadius >= maxDistance) {
+        return best;
+      }
+    }
+  }
+
+  /**
+   * 保存所有实体上一步的位置和半径（用于渲染插值）
+   */
+  savePreviousState() {
+    this.store.savePreviousState();
   }
 
   /**
@@ -357,33 +716,62 @@ export class EntityManager {
     this.entities.forEach(callback);
   }
 
+  /**
+   * 序列化所有实体（玩家位于首位）
+   *
+   * @returns {Object} { nextId, entities }，entities 为普通对象
+   */
+  serialize() {
+    return {
+      nextId: this.nextId,
+      entities: this.entities.map(entity => entity.toJSON()),
+    };
+  }
+
+  /**
+   * 从序列化数据恢复实体（保留原 ID）
+   *
+   * @param {Object} data - serialize() 的输出
+   */
+  restore(data) {
+    this.reset();
+    const player = data.entities.find(e => e.isPlayer);
+    this.initialize(player);
+    this.addBatch(data.entities.filter(e => e !== player));
+    this.nextId = Math.max(this.nextId, data.nextId);
+  }
+
   /**
    * 获取统计信息
    *
    * @returns {Object} 统计数据
    */
   getStats() {
+    const { type, count } = this.store;
     let foodCount = 0;
     let enemyCount = 0;
     let blackHoleCount = 0;
 
-    for (const entity of this.entities) {
-      if (entity.isFood) foodCount++;
-      else if (entity.isEnemy) enemyCount++;
-      else if (entity.isBlackHole) blackHoleCount++;
+    for (let i = 0; i < count; i++) {
+      if (type[i] === EntityType.FOOD) foodCount++;
+      else if (type[i] === EntityType.ENEMY) enemyCount++;
+      else if (type[i] === EntityType.BLACK_HOLE) blackHoleCount++;
     }
 
     return {
-      total: this.entities.length,
+      total: count,
       food: foodCount,
       enemies: enemyCount,
       blackHoles: blackHoleCount,
       player: this.player ? 1 : 0,
+      spatialCells: this.spatialHash.getStats().cells,
     };
   }
 }
 
 export default {
+  getRenderPriority,
   createPlayer,
+  DespawnReason,
   EntityManager,
 };
@@ -0,0 +1,277 @@
+/**
+ * EntityStore.js - 实体数据存储
+ *
+ * 设计哲学：数组结构 (Structure of Arrays)
+ *
+ * 核心职责：
+ * 1. 把每帧都要读写的热数据（位置、速度、半径、色调、类型）放进连续的类型化数组
+ * 2. 用交换删除保持数组紧密，删除是 O(1)
+ * 3. 回收实体句柄对象（空闲列表），分块反复加载/卸载时不产生垃圾
+ *
+ * 设计决策：
+ * - 对外仍暴露 entity.x / entity.isFood 这类属性，物理、AI、渲染代码无需改动
+ *   句柄通过 getter/setter 读写类型化数组中第 index 个元素
+ * - 位置、速度、半径使用 Float64Array，与普通 JS 数字精度一致，保证确定性模拟
+ * - 冷数据（id、chunkKey、slot、personality）留在句柄对象上
+ * - 交换删除会改变被移动实体的 index，所以外部应通过 ID 而不是下标引用实体
+ * - 句柄会被复用，实体移除后不要继续持有它的句柄
+ */
+
+// 初始容量（不够时翻倍扩容）
+const INITIAL_CAPACITY = 1024;
+
+/**
+ * 实体类型枚举（存储在 Uint8Array 中）
+ */
+export const EntityType = {
+  PLAYER: 0,
+  FOOD: 1,
+  ENEMY: 2,
+  BLACK_HOLE: 3,
+};
+
+/**
+ * 根据普通对象上的布尔标志推断实体类型
+ *
+ * @param {Object} data - 实体数据
+ * @returns {number} EntityType
+ */
+function typeFromFlags(data) {
+  if (data.isPlayer) return EntityType.PLAYER;
+  if (data.isEnemy) return EntityType.ENEMY;
+  if (data.isBlackHole) return EntityType.BLACK_HOLE;
+  return EntityType.FOOD;
+}
+
+/**
+ * 实体句柄
+ *
+ * 指向 EntityStore 中的一行数据
+ */
+export class Entity {
+  /**
+   * @param {EntityStore} store - 所属存储
+   */
+  constructor(store) {
+    this.store = store;
+    this.index = -1;
+    this.id = undefined;
+    this.chunkKey = undefined;
+    this.slot = undefined;
+    this.personality = undefined;
+  }
+
+  get x() { return this.store.x[this.index]; }
+  set x(value) { this.store.x[this.index] = value; }
+
+  get y() { return this.store.y[this.index]; }
+  set y(value) { this.store.y[this.index] = value; }
+
+  get vx() { return this.store.vx[this.index]; }
+  set vx(value) { this.store.vx[this.index] = value; }
+
+  get vy() { return this.store.vy[this.index]; }
+  set vy(value) { this.store.vy[this.index] = value; }
+
+  get r() { return this.store.r[this.index]; }
+  set r(value) { this.store.r[this.index] = value; }
+
+  get hue() { return this.store.hue[this.index]; }
+  set hue(value) { this.store.hue[this.index] = value; }
+
+  get prevX() { return this.store.prevX[this.index]; }
+  set prevX(value) { this.store.prevX[this.index] = value; }
+
+  get prevY() { return this.store.prevY[this.index]; }
+  set prevY(value) { this.store.prevY[this.index] = value; }
+
+  get prevR() { return this.store.prevR[this.index]; }
+  set prevR(value) { this.store.prevR[this.index] = value; }
+
+  get type() { return this.store.type[this.index]; }
+
+  get isPlayer() { return this.type === EntityType.PLAYER; }
+  get isFood() { return this.type === EntityType.FOOD; }
+  get isEnemy() { return this.type === EntityType.ENEMY; }
+  get isBlackHole() { return this.type === EntityType.BLACK_HOLE; }
+
+  /**
+   * 导出为普通对象（用于序列化和 UI）
+   *
+   * 保持与生成函数相同的布尔标志格式
+   *
+   * @returns {Object}
+   */
+  toJSON() {
+    const data = {
+      id: this.id,
+      x: this.x,
+      y: this.y,
+      vx: this.vx,
+      vy: this.vy,
+      r: this.r,
+      hue: this.hue,
+      prevX: this.prevX,
+      prevY: this.prevY,
+      prevR: this.prevR,
+    };
+
+    switch (this.type) {
+      case EntityType.PLAYER: data.isPlayer = true; break;
+      case EntityType.ENEMY: data.isEnemy = true; break;
+      case EntityType.BLACK_HOLE: data.isBlackHole = true; break;
+      default: data.isFood = true;
+    }
+
+    if (this.chunkKey !== undefined) data.chunkKey = this.chunkKey;
+    if (this.slot !== undefined) data.slot = this.slot;
+    if (this.personality !== undefined) data.personality = this.personality;
+
+    return data;
+  }
+}
+
+/**
+ * 实体数据存储类
+ *
+ * handles[i].index === i 始终成立，0..count-1 为存活实体
+ */
+export class EntityStore {
+  constructor(capacity = INITIAL_CAPACITY) {
+    this.count = 0;
+    this.handles = [];
+    this.freeHandles = [];
+    this.allocateArrays(capacity);
+  }
+
+  /**
+   * 分配（或扩容）类型化数组，保留已有数据
+   *
+   * @param {number} capacity - 新容量
+   */
+  allocateArrays(capacity) {
+    const grow = (ArrayType, old) => {
+      const array = new ArrayType(capacity);
+      if (old) array.set(old.subarray(0, this.count));
+      return array;
+    };
+
+    this.capacity = capacity;
+    this.x = grow(Float64Array, this.x);
+    this.y = grow(Float64Array, this.y);
+    this.vx = grow(Float64Array, this.vx);
+    this.vy = grow(Float64Array, this.vy);
+    this.r = grow(Float64Array, this.r);
+    this.prevX = grow(Float64Array, this.prevX);
+    this.prevY = grow(Float64Array, this.prevY);
+    this.prevR = grow(Float64Array, this.prevR);
+    this.hue = grow(Float32Array, this.hue);
+    this.type = grow(Uint8Array, this.type);
+  }
+
+  /**
+   * 从普通对象创建实体
+   *
+   * 缺少 prevX/prevY/prevR 时以当前值代替（新实体不做插值）
+   *
+   * @param {Object} data - 实体数据（生成函数或序列化的输出）
+   * @returns {Entity} 实体句柄
+   */
+  allocate(data) {
+    if (this.count === this.capacity) {
+      this.allocateArrays(this.capacity * 2);
+    }
+
+    const index = this.count++;
+    const entity = this.freeHandles.pop() ?? new Entity(this);
+    entity.index = index;
+    entity.id = data.id;
+    entity.chunkKey = data.chunkKey;
+    entity.slot = data.slot;
+    entity.personality = data.personality;
+    this.handles[index] = entity;
+
+    this.x[index] = data.x;
+    this.y[index] = data.y;
+    this.vx[index] = data.vx ?? 0;
+    this.vy[index] = data.vy ?? 0;
+    this.r[index] = data.r;
+    this.prevX[index] = data.prevX ?? data.x;
+    this.prevY[index] = data.prevY ?? data.y;
+    this.prevR[index] = data.prevR ?? data.r;
+    this.hue[index] = data.hue;
+    this.type[index] = typeFromFlags(data);
+
+    return entity;
+  }
+
+  /**
+   * 释放实体（交换删除）
+   *
+   * 把最后一个实体移动到被删除的位置，句柄放回空闲列表
+   *
+   * @param {Entity} entity - 实体句柄
+   */
+  release(entity) {
+    const index = entity.index;
+    const last = --this.count;
+
+    if (index !== last) {
+      this.x[index] = this.x[last];
+      this.y[index] = this.y[last];
+      this.vx[index] = this.vx[last];
+      this.vy[index] = this.vy[last];
+      this.r[index] = this.r[last];
+      this.prevX[index] = this.prevX[last];
+      this.prevY[index] = this.prevY[last];
+      this.prevR[index] = this.prevR[last];
+      this.hue[index] = this.hue[last];
+      this.type[index] = this.type[last];
+
+      const moved = this.handles[last];
+      moved.index = index;
+      this.handles[index] = moved;
+    }
+
+    this.handles.length = last;
+
+    entity.index = -1;
+    entity.id = undefined;
+    entity.chunkKey = undefined;
+    entity.slot = undefined;
+    entity.personality = undefined;
+    this.freeHandles.push(entity);
+  }
+
+  /**
+   * 保存上一步的位置和半径（用于渲染插值）
+   */
+  savePreviousState() {
+    this.prevX.set(this.x.subarray(0, this.count));
+    this.prevY.set(this.y.subarray(0, this.count));
+    this.prevR.set(this.r.subarray(0, this.count));
+  }
+
+  /**
+   * 清空所有实体（句柄全部回收）
+   */
+  clear() {
+    for (let i = this.count - 1; i >= 0; i--) {
+      const entity = this.handles[i];
+      entity.index = -1;
+      entity.id = undefined;
+      entity.chunkKey = undefined;
+      entity.slot = undefined;
+      entity.personality = undefined;
+      this.freeHandles.push(entity);
+    }
+    this.handles.length = 0;
+    this.count = 0;
+  }
+}
+
+export default {
+  EntityType,
+  Entity,
+  EntityStore,
+};
@@ -15,8 +15,9 @@
 // 核心常量 - 影响游戏基础架构
 // ============================================================
 export const CANVAS = {
-  SIZE: 500,                    // 画布尺寸（像素）
-  ASPECT_RATIO: 1,              // 宽高比
+  SIZE: 500,                    // 参考视口尺寸（像素）：视口短边显示的世界范围与此尺寸相同
+  MAX_VIEWPORT_SIZE: 4096,      // 参与模拟的视口边长上限（限制超宽屏的分块加载量）
+  MAX_PIXEL_RATIO: 2,           // devicePixelRatio 上限（更高的屏幕按此值渲染）
 };
 
 export const CHUNK = {
@@ -24,6 +25,13 @@ export const CHUNK = {
   BASE_LOAD_RADIUS: 2,          // 基础加载半径（分块数）
   UNLOAD_BUFFER: 2,             // 卸载缓冲区（防止频繁加载/卸载）
   LOAD_EXTRA_BUFFER: 100,       // 额外加载缓冲（确保元素在视图外提前生成）
+  WORLD_SEED_MAX: 1000000,      // 世界种子范围 [0, MAX)，6 位数字便于分享
+  RESPAWN_TIME: 0,              // 被吃掉的实体重生时间（秒），0 表示永不重生
+};
+
+export const SIMULATION = {
+  TICK_RATE: 60,                // 固定模拟频率（步/秒）
+  MAX_STEPS_PER_FRAME: 5,       // 单帧最多模拟步数（防止"死亡螺旋"）
 };
 
 // ============================================================
@@ -80,14 +88,79 @@ export const ENEMY = {
   SIZE_VARIATION: 15,           // 大小变化范围
   SIZE_MIN_RATIO: 0.7,          // 相对玩家的最小比例
   SIZE_MAX_RATIO: 1.5,          // 相对玩家的最大比例
+  MAX_RADIUS_RATIO: 1.5,        // 进食最多长到玩家半径的此比例（× 难度预设 ENEMY_SIZE_MAX）
   INITIAL_VELOCITY: 0.3,        // 初始速度
   MAX_SPEED: 0.5,               // 最大速度
-  HUE_MIN: 340,                 // 色调范围（红色）
-  HUE_MAX: 370,
   SPAWN_CHANCE_BASE: 0.15,      // 基础生成概率
   SPAWN_CHANCE_MAX: 0.85,       // 最大生成概率
 };
 
+// ============================================================
+// 敌人性格 - 颜色即性格，孩子可以从颜色读出敌人的行为
+// ============================================================
+// 权重为效用决策中各行为得分的系数（见 ENEMY_AI.UTILITY）
+export const ENEMY_PERSONALITIES = {
+  BULLY: {
+    LABEL: '霸王',
+    DESCRIPTION: '红色：追赶比自己小的一切',
+    HUE: 355,                   // 色调（红色）
+    HUE_VARIATION: 30,          // 色调随机范围
+    SPAWN_WEIGHT: 3,            // 生成权重
+    FEAR: 0.6,                  // 逃跑得分系数
+    AGGRESSION: 1.4,            // 追逐得分系数
+    HUNGER: 0.4,                // 觅食得分系数
+    AMBUSH: 0,                  // 埋伏得分系数
+    TERRITORY: 0.3,             // 领地意识（离家越远越想回去、越不愿追）
+    STRIKE_RANGE: 1.0,          // 开始追逐的距离（追逐范围的比例）
+    SPEED: 1.1,                 // 追逐 / 逃跑加速度倍率
+  },
+  COWARD: {
+    LABEL: '胆小鬼',
+    DESCRIPTION: '黄色：一有危险就逃',
+    HUE: 55,
+    HUE_VARIATION: 10,
+    SPAWN_WEIGHT: 2,
+    FEAR: 1.6,
+    AGGRESSION: 0.5,
+    HUNGER: 0.8,
+    AMBUSH: 0,
+    TERRITORY: 0.6,
+    STRIKE_RANGE: 0.6,
+    SPEED: 1.2,
+  },
+  AMBUSHER: {
+    LABEL: '伏击者',
+    DESCRIPTION: '品红：静静埋伏，等你靠近再扑上来',
+    HUE: 310,
+    HUE_VARIATION: 10,
+    SPAWN_WEIGHT: 1.5,
+    FEAR: 0.9,
+    AGGRESSION: 1.6,
+    HUNGER: 0.3,
+    AMBUSH: 0.7,
+    TERRITORY: 1.0,
+    STRIKE_RANGE: 0.4,
+    SPEED: 1.4,
+  },
+  GRAZER: {
+    LABEL: '食草者',
+    DESCRIPTION: '青色：只顾埋头吃东西',
+    HUE: 165,
+    HUE_VARIATION: 10,
+    SPAWN_WEIGHT: 2,
+    FEAR: 1.0,
+    AGGRESSION: 0.2,
+    HUNGER: 1.6,
+    AMBUSH: 0,
+    TERRITORY: 0.5,
+    STRIKE_RANGE: 0.5,
+    SPEED: 0.9,
+  },
+};
+
+// 没有性格记录的敌人（旧存档）按此性格行动
+export const DEFAULT_ENEMY_PERSONALITY = 'BULLY';
+
 // ============================================================
 // 敌人 AI 配置 - 影响敌人行为模式
 // ============================================================
@@ -96,6 +169,69 @@ export const ENEMY_AI = {
   CHASE_SCALE_FACTOR: 0.5,      // 追逐缩放因子
   BASE_CHASE_RANGE: 400,        // 基础追逐范围
   SIZE_SPEED_FACTOR: 1.0,       // 大小对速度的影响
+  LOSE_RANGE_FACTOR: 1.25,      // 追逐中的敌人按追逐范围的此倍数评估猎物（迟滞）
+  MIN_STATE_TIME: 0.5,          // 切换状态后至少保持的秒数（逃跑不受限）
+  FLEE_ACCEL: 0.01,             // 逃跑加速度
+  FLEE_SIZE_MARGIN: 0.05,       // 逃跑中的敌人按吸收阈值减此值评估威胁（迟滞）
+  // 效用决策：每隔 DECISION_INTERVAL 秒按饥饿、威胁、机会、领地、厌倦为各行为打分，选择得分最高的
+  UTILITY: {
+    DECISION_INTERVAL: 0.25,    // 决策间隔（秒，各敌人错开）
+    SWITCH_MARGIN: 0.1,         // 新行为得分需超过当前行为此值才切换（迟滞）
+    WANDER: 0.2,                // 漫游（空闲 / 巡逻）的基础得分
+    PREY_RATIO_MIN: 0.9,        // 半径比（自身 / 玩家）高于此值开始把玩家当猎物，达到吸收阈值时满分
+    TERRITORY_RANGE: 300,       // 离所属分块中心超过半个分块后，再走出此距离领地分满
+    HUNGER_RATE: 0.03,          // 饥饿每秒增长
+    SATIATION: 5,               // 吃东西后面积增长比例 × 此值 = 减少的饥饿
+    BOREDOM_DELAY: 8,           // 追逐 / 埋伏 / 觅食持续超过此秒数开始厌倦
+    BOREDOM_TIME: 12,           // 厌倦从 0 增长到满（漫游时从满消退到 0）所需秒数
+    BOREDOM_WEIGHT: 0.8,        // 厌倦对追逐 / 埋伏 / 觅食得分的最大扣减
+  },
+  IDLE: {
+    DRIFT_ACCEL: 0.002,         // 漂移加速度
+    TURN_RATE: 1.5,             // 漂移方向每秒最大转动（弧度）
+    TIME_MIN: 2,                // 空闲时长下限（秒）
+    TIME_MAX: 5,                // 空闲时长上限（秒）
+  },
+  PATROL: {
+    ACCEL: 0.006,               // 巡逻加速度
+    ARRIVE_RADIUS: 30,          // 到达路径点的判定距离
+    EDGE_MARGIN: 30,            // 路径点与分块边缘的最小距离
+    WAYPOINTS_MIN: 1,           // 每轮巡逻的路径点数下限
+    WAYPOINTS_MAX: 3,           // 每轮巡逻的路径点数上限
+    TIMEOUT: 20,                // 每轮巡逻的最长秒数（被挡住时放弃）
+  },
+  AMBUSH: {
+    BRAKE: 0.9,                 // 埋伏时每帧保留的速度比例
+  },
+  // 群体行为（boids）：分离 / 对齐 / 聚合，只考虑邻近的敌人
+  FLOCK: {
+    ENABLED: true,
+    NEIGHBOR_RADIUS: 150,       // 邻居查询半径
+    MAX_NEIGHBORS: 8,           // 参与计算的邻居数上限（按存储顺序取前 N 个）
+    SEPARATION: 0.01,           // 分离加速度
+    SEPARATION_FACTOR: 1.5,     // 两者半径之和的此倍数内开始分离
+    ALIGNMENT: 0.02,            // 对齐：每帧向邻居平均速度靠拢的比例
+    COHESION: 0.001,            // 聚合：朝邻居中心的加速度
+    // 狼群：追逐范围内足够多比玩家小的敌人不再逃跑，而是散开包围玩家
+    PACK: {
+      ENABLED: true,
+      MIN_SIZE: 3,              // 组成狼群的最少敌人数（含自身）
+      RING_GAP: 40,             // 包围圈与玩家边缘的距离
+      SPREAD_ACCEL: 0.03,       // 沿包围圈散开的加速度
+      UTILITY: 0.8,             // 狼群成员的追逐得分加成（且不会逃跑）
+    },
+  },
+  // 觅食：饥饿时游向附近的食物
+  FORAGE: {
+    RADIUS: 120,                // 觅食范围
+    ACCEL: 0.006,               // 游向食物的加速度
+  },
+  // 躲避黑洞：进入黑洞引力范围附近时远离并绕行
+  AVOID: {
+    RANGE_FACTOR: 1.2,          // 躲避范围 = 黑洞引力范围 × 此值
+    ACCEL: 0.03,                // 最大躲避加速度（远离黑洞方向）
+    TANGENT_WEIGHT: 0.5,        // 绕行（切线方向）分量相对远离分量的比例
+  },
 };
 
 // ============================================================
@@ -133,8 +269,37 @@ export const PHYSICS = {
 // ============================================================
 export const RENDERING = {
   TARGET_FPS: 60,               // 目标帧率
-  MAX_FRAME_MULTIPLIER: 3,      // 最大帧时间倍数
-  MAX_VISIBLE_BALLS: 64,        // 最大可见球体数
+  MAX_VISIBLE_BALLS: 2048,      // 最大可见球体数（不支持浮点纹理时只渲染前 64 个）
+  TILE_SIZE: 40,                // 屏幕分块大小（像素），着色器只累加所在分块的球体
+  MAX_BALLS_PER_TILE: 48,       // 每个分块最多累加的球体数（渲染器初始化时读取）
+  BALL_INFLUENCE: 6,            // 球体影响半径倍数，超出 r * 该值的场贡献忽略不计
+  CANVAS2D: {                   // 不支持 WebGL 时的 Canvas2D 回退渲染器
+    CELL_SIZE: 4,               // 场采样间隔（CSS 像素），采样结果平滑放大到画布
+    MAX_BALLS: 256,             // 每帧最多绘制的球体数
+  },
+  CULL_PRIORITY: {              // 可见实体超出渲染预算时的保留优先级
+    TYPE: {
+      BLACK_HOLE: 3,            // 类型基础分
+      ENEMY: 2,
+      FOOD: 0,
+    },
+    THREAT: 4,                  // 威胁权重（能吃掉玩家的敌人、黑洞）
+    SCREEN_SIZE: 1,             // 屏幕尺寸权重
+    SCREEN_SIZE_REFERENCE: 40,  // 屏幕半径达到该像素数时尺寸分满
+    PROXIMITY: 2,               // 靠近玩家权重
+  },
+  // 动态分辨率：按实测帧间隔调整 WebGL 画布的渲染分辨率（相对设备像素）
+  DYNAMIC_RESOLUTION: {
+    ENABLED: true,
+    MIN_SCALE: 0.5,             // 最低渲染比例
+    MAX_SCALE: 1.0,             // 最高渲染比例
+    STEP: 0.1,                  // 每次调整的幅度
+    SAMPLE_FRAMES: 30,          // 每个统计窗口的帧数
+    SLOW_FRAME_MS: 20,          // 窗口平均帧间隔高于此值时降低分辨率
+    FAST_FRAME_MS: 17.5,        // 连续多个窗口低于此值时提高分辨率
+    FAST_WINDOWS: 3,            // 提高分辨率需要的连续流畅窗口数
+    MAX_FRAME_MS: 250,          // 高于此值的帧间隔视为卡顿/切后台，不计入统计
+  },
   VIEW_BUFFER: 200,             // 视野缓冲区
   METABALL_THRESHOLD: 1.0,      // 元球阈值
   GRID_SIZE: 50,                // 网格大小
@@ -143,6 +308,7 @@ export const RENDERING = {
 // ============================================================
 // 难度系统 - 动态难度调整 (Dynamic Difficulty Adjustment)
 // ============================================================
+// 线性曲线（标准难度）的参考实现；可选难度见下方 DIFFICULTY_PRESETS / DIFFICULTY_CURVES
 export const DIFFICULTY = {
   /**
    * 计算当前难度缩放
@@ -174,6 +340,119 @@ export const DIFFICULTY = {
   },
 };
 
+// ============================================================
+// 难度曲线 - 难度缩放随玩家半径 / 存活时间的增长方式
+// ============================================================
+// TYPE 对应 Difficulty.js 中注册的求值函数，其余字段为曲线参数；
+// 求值输入为半径比（玩家半径 / 初始半径，不小于 1）和存活分钟数，结果不小于 1
+export const DIFFICULTY_CURVES = {
+  LINEAR: {
+    LABEL: '线性',
+    TYPE: 'linear',             // 缩放 = 半径比
+  },
+  GENTLE: {
+    LABEL: '分段',
+    TYPE: 'piecewise',          // 在 [半径比, 缩放] 控制点之间线性插值，两端外保持端点值
+    POINTS: [[1, 1], [2, 1.2], [4, 1.6], [8, 2.2]],
+  },
+  STEEP: {
+    LABEL: '指数',
+    TYPE: 'exponential',        // 缩放 = e^(RATE × (半径比 - 1))，前期比线性平缓、后期更陡
+    RATE: 0.3,
+    MAX: 12,
+  },
+  TIMED: {
+    LABEL: '时间',
+    TYPE: 'time',               // 缩放 = 半径比 + 存活分钟数 × PER_MINUTE（加成不超过 MAX_BONUS）
+    PER_MINUTE: 0.25,
+    MAX_BONUS: 2,
+  },
+};
+
+// ============================================================
+// 难度预设 - 菜单中可选的难度
+// ============================================================
+// 倍率作用于对应配置项；NORMAL 全为 1，与不选难度时完全一致
+export const DIFFICULTY_PRESETS = {
+  BABY: {
+    LABEL: '宝宝',
+    DESCRIPTION: '没有黑洞，敌人不会比你大',
+    CURVE: 'GENTLE',
+    ENEMY_SPAWN: 0.4,           // 敌人生成概率倍率
+    BLACK_HOLE_SPAWN: 0,        // 黑洞生成概率倍率
+    ENEMY_SIZE_MIN: 0.7,        // ENEMY.SIZE_MIN_RATIO 倍率
+    ENEMY_SIZE_MAX: 0.6,        // ENEMY.SIZE_MAX_RATIO / MAX_RADIUS_RATIO 倍率
+    ENEMY_BELOW_PLAYER: true,   // 敌人进食最多长到玩家的大小（代替 MAX_RADIUS_RATIO，兑现描述中的承诺）
+    CHASE_ACCEL: 0.3,           // 敌人追逐加速度倍率
+    BLACK_HOLE_DRAIN: 0,        // 黑洞质量吸取速率倍率
+  },
+  EASY: {
+    LABEL: 'Easy',
+    DESCRIPTION: '敌人更少更慢，黑洞吸取减半',
+    CURVE: 'LINEAR',
+    ENEMY_SPAWN: 0.7,
+    BLACK_HOLE_SPAWN: 0.5,
+    ENEMY_SIZE_MIN: 1,
+    ENEMY_SIZE_MAX: 0.8,
+    ENEMY_BELOW_PLAYER: false,
+    CHASE_ACCEL: 0.6,
+    BLACK_HOLE_DRAIN: 0.5,
+  },
+  NORMAL: {
+    LABEL: 'Normal',
+    DESCRIPTION: '标准体验',
+    CURVE: 'LINEAR',
+    ENEMY_SPAWN: 1,
+    BLACK_HOLE_SPAWN: 1,
+    ENEMY_SIZE_MIN: 1,
+    ENEMY_SIZE_MAX: 1,
+    ENEMY_BELOW_PLAYER: false,
+    CHASE_ACCEL: 1,
+    BLACK_HOLE_DRAIN: 1,
+  },
+  HARD: {
+    LABEL: 'Hard',
+    DESCRIPTION: '敌人更多更大更快，后期难度陡增',
+    CURVE: 'STEEP',
+    ENEMY_SPAWN: 1.4,
+    BLACK_HOLE_SPAWN: 1.5,
+    ENEMY_SIZE_MIN: 1.15,
+    ENEMY_SIZE_MAX: 1.2,
+    ENEMY_BELOW_PLAYER: false,
+    CHASE_ACCEL: 1.5,
+    BLACK_HOLE_DRAIN: 1.5,
+  },
+};
+
+// 默认难度预设
+export const DEFAULT_DIFFICULTY_PRESET = 'NORMAL';
+
+// ============================================================
+// 难度导演 - 根据玩家表现动态调整难度（自适应难度开启时）
+// ============================================================
+// 表现分 = 吸收速率偏差 - 险些死亡 - 黑洞遭遇 - 成长停滞，范围 [-1, 1]；
+// 强度向表现分靠拢，正值加难、负值减难，倍率叠加在难度预设之上
+export const DIRECTOR = {
+  UPDATE_INTERVAL: 2,           // 评估间隔（秒）
+  ADJUST_RATE: 0.25,            // 每次评估时强度向表现分靠近的比例
+  MEMORY_HALF_LIFE: 30,         // 事件记忆半衰期（秒）
+  TARGET_ABSORB_RATE: 60,       // 期望的吸收速率（个/分钟），高于此值视为碾压
+  NEAR_DEATH_RATIO: 0.6,        // 半径跌到峰值的此比例以下视为险些死亡
+  NEAR_DEATH_RECOVER: 0.8,      // 恢复到峰值的此比例以上才会再次计数（迟滞）
+  BLACK_HOLE_GAP: 3,            // 两次黑洞吸取间隔超过此秒数算作新的遭遇
+  STALL_TIME: 20,               // 超过此秒数没有成长开始计入停滞
+  WEIGHTS: {
+    ABSORB: 0.6,                // 吸收速率偏差（限制在 ±1）的权重
+    NEAR_DEATH: 0.5,            // 每次险些死亡的权重
+    BLACK_HOLE: 0.25,           // 每次黑洞遭遇的权重
+    STALL: 0.4,                 // 停滞（满 2 × STALL_TIME 时为 1）的权重
+  },
+  SPAWN_MIN: 0.6,               // 敌人 / 黑洞生成概率倍率下限
+  SPAWN_MAX: 1.4,               // 生成概率倍率上限
+  CHASE_MIN: 0.6,               // 追逐加速度倍率下限
+  CHASE_MAX: 1.4,               // 追逐加速度倍率上限
+};
+
 // ============================================================
 // 输入配置 - 控制映射
 // ============================================================
@@ -185,10 +464,51 @@ export const INPUT = {
     RIGHT: ['ArrowRight', 'KeyD'],
     RESTART: ['KeyR'],
     START: ['Space'],
+    PAUSE: ['Escape', 'KeyP'],
+    FULLSCREEN: ['KeyF'],
+    DEBUG: ['Backquote'],
   },
   TOUCH: {
     DEADZONE: 10,               // 触摸死区（像素）
   },
+  // 手柄按钮编号为标准布局（Gamepad API "standard" mapping）
+  GAMEPAD: {
+    DEADZONE: 0.2,              // 摇杆径向死区（0-1），死区外的行程重新映射到 0-1
+    STICK_X: 0,                 // 移动摇杆的轴编号（左摇杆）
+    STICK_Y: 1,
+    BUTTON_THRESHOLD: 0.5,      // 按钮（含扳机）按下的阈值
+    UP: [12],                   // 十字键
+    DOWN: [13],
+    LEFT: [14],
+    RIGHT: [15],
+    START: [0],                 // A：开始 / 继续
+    PAUSE: [9],                 // Start：暂停 / 继续
+    RESTART: [3],               // Y：重来
+    RUMBLE: {
+      ENABLED: true,
+      ABSORB: { DURATION: 40, STRONG: 0, WEAK: 0.35 },    // 吃掉实体（毫秒 / 强弱马达 0-1）
+      DAMAGE: { DURATION: 120, STRONG: 0.7, WEAK: 0.3 },  // 被敌人吞噬或被黑洞吸取
+    },
+  },
+};
+
+// ============================================================
+// 机器人玩家 - 菜单演示模式和无头平衡性测试
+// ============================================================
+export const BOT = {
+  SENSE_RADIUS: 400,            // 基础感知范围（随玩家成长按平方根扩大）
+  REACTION_TICKS: 6,            // 每隔多少步重新决策（模拟人的反应时间）
+  FOOD_WEIGHT: 1,               // 食物的吸引力系数
+  PREY_WEIGHT: 2,               // 可吃掉的敌人的吸引力系数
+  TARGET_SOFTENING: 30,         // 吸引力 = 系数 × 面积 / (表面间距 + 此值)²
+  THREAT_RANGE: 150,            // 比玩家大的敌人在此表面间距内时躲避（基数）
+  THREAT_RADIUS_FACTOR: 0.5,    // 躲避间距 += 敌人半径 × 此值（越大的敌人越早躲）
+  THREAT_LOOKAHEAD: 120,        // 躲避间距 += 敌人速度 × 此步数（越快的敌人越早躲）
+  THREAT_WEIGHT: 6,             // 躲避敌人的权重
+  BLACK_HOLE_MARGIN: 1.3,       // 躲避范围 = 黑洞引力范围 × 此值
+  BLACK_HOLE_WEIGHT: 10,        // 躲避黑洞的权重
+  DIRECTION_THRESHOLD: 0.38,    // 方向分量超过此比例才按下对应方向键（约 22.5°，八方向）
+  WANDER_TICKS: 180,            // 没有目标时每隔多少步更换漫游方向
 };
 
 // ============================================================
@@ -196,15 +516,43 @@ export const INPUT = {
 // ============================================================
 export const UI = {
   MINIMAP: {
-    SIZE: 80,                   // 小地图尺寸
+    SIZE: 80,                   // 小地图尺寸（参考视口下）
+    MAX_SIZE: 160,              // 大屏上的最大尺寸
     SCALE: 0.05,                // 小地图缩放
     MARGIN: 10,                 // 边距
   },
   INFO_PANEL: {
     WIDTH: 120,
-    HEIGHT: 45,
+    HEIGHT: 70,                 // 含里程碑进度条
     MARGIN: 10,
   },
+  TOAST: {
+    WIDTH: 280,                 // 最大宽度（窄屏上收缩）
+    HEIGHT: 52,
+    TOP: 52,                    // 距画布顶部（避开暂停按钮）
+    DURATION: 2800,             // 完全显示的时长（毫秒）
+    FADE: 300,                  // 淡入/淡出时长（毫秒）
+    MAX_QUEUE: 5,               // 等待队列上限，超出时丢弃最早的
+  },
+  DEBUG: {
+    PANEL_WIDTH: 170,           // 调试面板宽度
+    TOP: 52,                    // 距画布顶部（避开右上角按钮）
+    LINE_HEIGHT: 12,
+    FRAME_GRAPH_SAMPLES: 120,   // 帧时间曲线保留的帧数
+    FRAME_GRAPH_HEIGHT: 36,
+    FRAME_GRAPH_MAX_MS: 50,     // 曲线纵轴上限（毫秒）
+  },
+  TUNING_PANEL: {
+    // 调参面板展示的配置段
+    SECTIONS: ['PLAYER', 'PHYSICS', 'BLACK_HOLE', 'ENEMY_AI', 'DIRECTOR', 'CAMERA', 'RENDERING'],
+    // 只在初始化时读取的键，运行中修改无效，不在面板中展示
+    INIT_ONLY: [
+      'RENDERING.TARGET_FPS',
+      'RENDERING.MAX_VISIBLE_BALLS',
+      'RENDERING.TILE_SIZE',
+      'RENDERING.MAX_BALLS_PER_TILE',
+    ],
+  },
   PLAYER_EYES: {
     OFFSET_RATIO: 0.25,         // 眼睛间距比例
     SIZE_MIN: 1.5,              // 最小眼睛大小
@@ -236,22 +584,231 @@ export const MILESTONES = [
   { radius: 180, title: '超级恒星', message: '你现在是宇宙中的引力霸主！', icon: '🌟' },
 ];
 
+/**
+ * 计算当前半径在里程碑之间的进度
+ *
+ * 进度从上一个里程碑（或初始半径）算到下一个里程碑；全部达成后 next 为 null、progress 为 1
+ *
+ * @param {number} radius - 玩家半径
+ * @returns {Object} { current, next, progress } current/next 为 MILESTONES 中的项或 null
+ */
+export function getMilestoneProgress(radius) {
+  let current = null;
+  for (const milestone of MILESTONES) {
+    if (radius < milestone.radius) {
+      const from = current ? current.radius : PLAYER.INITIAL_RADIUS;
+      const progress = (radius - from) / (milestone.radius - from);
+      return { current, next: milestone, progress: Math.max(0, Math.min(1, progress)) };
+    }
+    current = milestone;
+  }
+  return { current, next: null, progress: 1 };
+}
+
+// ============================================================
+// 运行时调整 - 可被覆盖的数值配置
+// ============================================================
+// 对局中可调整的配置段（调参面板、调参预设）
+const TUNABLE_SECTIONS = {
+  PLAYER,
+  CAMERA,
+  FOOD,
+  ENEMY,
+  ENEMY_AI,
+  BLACK_HOLE,
+  PHYSICS,
+  RENDERING,
+  DIRECTOR,
+};
+
+// 只能在对局开始前调整的配置段：对局中修改步长会破坏固定步长，
+// 修改分块尺寸会让分块键和分块增量中的槽位失效。只有无头模拟（每局新建引擎）使用
+const STRUCTURAL_SECTIONS = {
+  CHUNK,
+  SIMULATION,
+};
+
+/**
+ * 获取允许覆盖的配置段
+ *
+ * @param {boolean} structural - 是否包含只能在对局开始前调整的配置段
+ * @returns {Object} 配置段名 → 配置对象
+ */
+function getOverridableSections(structural) {
+  return structural ? { ...STRUCTURAL_SECTIONS, ...TUNABLE_SECTIONS } : TUNABLE_SECTIONS;
+}
+
+// 配置修订号：每次写入覆盖值加一，录制器据此发现对局中的调参
+let configRevision = 0;
+
+/**
+ * 获取可调整配置的快照（深拷贝）
+ *
+ * @param {Object} options
+ * @param {boolean} options.structural - 是否包含 CHUNK / SIMULATION（仅无头模拟）
+ * @returns {Object} 配置快照 { PLAYER: {...}, ENEMY: {...}, ... }
+ */
+export function getConfigSnapshot({ structural = false } = {}) {
+  return JSON.parse(JSON.stringify(getOverridableSections(structural)));
+}
+
+/**
+ * 遍历覆盖值并逐项检查（write 为 true 时同时写入）
+ *
+ * @param {Object} overrides - 覆盖值
+ * @param {boolean} write - 是否写入
+ * @param {Object} sections - 允许覆盖的配置段
+ * @throws {Error} 键不存在或类型不匹配时抛出
+ */
+function walkConfigOverrides(overrides, write, sections) {
+  const visit = (target, source, path) => {
+    if (source === null || typeof source !== 'object' || Array.isArray(source)) {
+      throw new Error(`Invalid overrides for ${path}: expected an object`);
+    }
+    for (const key of Object.keys(source)) {
+      const keyPath = `${path}.${key}`;
+      if (!(key in target)) {
+        throw new Error(`Unknown config key: ${keyPath}`);
+      }
+
+      const value = source[key];
+      if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+        visit(target[key], value, keyPath);
+      } else if (typeof value !== typeof target[key]) {
+        throw new Error(`Invalid type for ${keyPath}: expected ${typeof target[key]}`);
+      } else if (write) {
+        target[key] = value;
+      }
+    }
+  };
+
+  if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('Invalid overrides: expected an object');
+  }
+  for (const section of Object.keys(overrides)) {
+    if (!sections[section]) {
+      if (STRUCTURAL_SECTIONS[section]) {
+        throw new Error(`Config section ${section} can only be overridden in headless runs`);
+      }
+      throw new Error(`Unknown config section: ${section}`);
+    }
+    visit(sections[section], overrides[section], section);
+  }
+}
+
+/**
+ * 检查覆盖值是否能写入配置（不修改配置）
+ *
+ * @param {Object} overrides - 覆盖值
+ * @param {Object} options
+ * @param {boolean} options.structural - 是否允许 CHUNK / SIMULATION（仅无头模拟）
+ * @throws {Error} 键不存在、类型不匹配或配置段不允许覆盖时抛出
+ */
+export function validateConfigOverrides(overrides, { structural = false } = {}) {
+  walkConfigOverrides(overrides, false, getOverridableSections(structural));
+}
+
+/**
+ * 将覆盖值写入配置对象
+ *
+ * 配置对象被各系统直接引用，原地修改后立即生效。
+ * 只允许覆盖已存在的数值/布尔键，拼写错误会直接报错而不是静默忽略；
+ * 先整体检查再写入，出错时配置保持原样
+ *
+ * @param {Object} overrides - 覆盖值，如 { PLAYER: { MAX_SPEED: 3.5 } }
+ * @param {Object} options
+ * @param {boolean} options.structural - 是否允许 CHUNK / SIMULATION（仅无头模拟）
+ * @throws {Error} 键不存在、类型不匹配或配置段不允许覆盖时抛出
+ */
+export function applyConfigOverrides(overrides, { structural = false } = {}) {
+  const sections = getOverridableSections(structural);
+  walkConfigOverrides(overrides, false, sections);
+  walkConfigOverrides(overrides, true, sections);
+  configRevision++;
+}
+
+/**
+ * 获取配置修订号
+ *
+ * @returns {number} 每次 applyConfigOverrides 后递增
+ */
+export function getConfigRevision() {
+  return configRevision;
+}
+
+// 模块加载时的配置（即源码中的默认值）
+const CONFIG_DEFAULTS = getConfigSnapshot();
+
+/**
+ * 恢复对局中可调整的配置为默认值
+ */
+export function resetConfig() {
+  applyConfigOverrides(CONFIG_DEFAULTS);
+}
+
+/**
+ * 以默认值为基础写入覆盖值（整体替换当前的调整）
+ *
+ * 用于应用调参预设，以及恢复存档和录制中的配置
+ *
+ * @param {Object} overrides - getConfigOverrides() 的结果
+ * @throws {Error} 覆盖值无效时抛出（此时配置保持原样）
+ */
+export function setConfigOverrides(overrides) {
+  validateConfigOverrides(overrides);
+  resetConfig();
+  applyConfigOverrides(overrides);
+}
+
+/**
+ * 获取当前配置中与默认值不同的部分
+ *
+ * 结果可直接传给 applyConfigOverrides，用于保存和导出调参预设
+ *
+ * @returns {Object} 覆盖值，如 { PLAYER: { MAX_SPEED: 3.5 } }
+ */
+export function getConfigOverrides() {
+  const diff = (current, defaults) => {
+    const result = {};
+    for (const key of Object.keys(current)) {
+      const value = current[key];
+      if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+        const nested = diff(value, defaults[key]);
+        if (Object.keys(nested).length > 0) result[key] = nested;
+      } else if (value !== defaults[key]) {
+        result[key] = value;
+      }
+    }
+    return result;
+  };
+
+  return diff(TUNABLE_SECTIONS, CONFIG_DEFAULTS);
+}
+
 // ============================================================
 // 导出默认配置对象（方便整体引用）
 // ============================================================
 export default {
   CANVAS,
   CHUNK,
+  SIMULATION,
   PLAYER,
   CAMERA,
   FOOD,
   ENEMY,
+  ENEMY_PERSONALITIES,
+  DEFAULT_ENEMY_PERSONALITY,
   ENEMY_AI,
   BLACK_HOLE,
   PHYSICS,
   RENDERING,
   DIFFICULTY,
+  DIFFICULTY_CURVES,
+  DIFFICULTY_PRESETS,
+  DEFAULT_DIFFICULTY_PRESET,
+  DIRECTOR,
   INPUT,
+  BOT,
   UI,
   COLORS,
   MILESTONES,
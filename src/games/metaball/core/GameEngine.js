@@ -15,20 +15,25 @@
  * - 事件驱动的状态变更通知
  */
 
-import { CANVAS, CHUNK, PLAYER, CAMERA, ENEMY, RENDERING, MILESTONES } from './GameConfig.js';
-import { EntityManager, createPlayer } from './EntityManager.js';
-import { ChunkManager, generateChunk } from './ChunkSystem.js';
+import { CHUNK, SIMULATION, PLAYER, CAMERA, ENEMY, BLACK_HOLE, RENDERING, MILESTONES } from './GameConfig.js';
+import { EntityManager, createPlayer, DespawnReason } from './EntityManager.js';
+import { ChunkManager, createWorldSeed } from './ChunkSystem.js';
+import { DEFAULT_VIEWPORT, getViewScale, getViewHalfExtents } from './Viewport.js';
+import { StepProfiler, StepPhase } from './StepProfiler.js';
+import { DEFAULT_DIFFICULTY, normalizeDifficulty, resolveDifficulty, getEnemyMaxRadius } from './Difficulty.js';
+import { DifficultyDirector } from './DifficultyDirector.js';
 import {
   applyFriction,
   clampVelocity,
   updatePosition,
   applyBlackHoleEffect,
+  getPlayerGravityRange,
   applyPlayerGravity,
   handleCollision,
   shouldRemoveEntity,
   isPlayerDead,
 } from './PhysicsSystem.js';
-import { updateAllEnemies } from '../ai/EnemyAI.js';
+import { EnemyAISystem, getChaseRange } from '../ai/EnemyAI.js';
 import { GameAction } from '../input/InputManager.js';
 
 /**
@@ -41,6 +46,32 @@ export const GameState = {
   GAMEOVER: 'gameover',
 };
 
+/**
+ * 死亡原因枚举
+ */
+export const DeathCause = {
+  ENEMY: 'enemy',
+  BLACK_HOLE: 'blackHole',
+  UNKNOWN: 'unknown',
+};
+
+// 空间查询过滤函数
+const isFood = entity => entity.isFood;
+const isBlackHole = entity => entity.isBlackHole;
+const isNotBlackHole = entity => !entity.isBlackHole;
+
+/**
+ * 线性插值
+ *
+ * @param {number} a - 起始值
+ * @param {number} b - 目标值
+ * @param {number} t - 插值系数 (0-1)
+ * @returns {number}
+ */
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
 /**
  * 游戏引擎类
  */
@@ -49,21 +80,46 @@ export class GameEngine {
     // 子系统
     this.entityManager = new EntityManager();
     this.chunkManager = new ChunkManager();
+    this.ai = new EnemyAISystem(this.entityManager);
 
     // 游戏状态
     this.state = GameState.MENU;
     this.score = 0;
     this.highScore = 0;
     this.time = 0;
+    this.seed = 0;
+
+    // 难度选择 { preset, curve, adaptive }、其解析结果，以及叠加难度导演倍率后实际使用的参数
+    this.difficulty = DEFAULT_DIFFICULTY;
+    this.difficultySettings = resolveDifficulty(DEFAULT_DIFFICULTY);
+    this.director = new DifficultyDirector();
+    this.activeDifficulty = this.difficultySettings;
 
-    // 摄像机
+    // 摄像机（prevCamera/prevZoom 为上一模拟步的状态，用于渲染插值）
     this.camera = { x: 0, y: 0 };
     this.zoom = 1.0;
     this.baseZoom = 1.0;
+    this.prevCamera = { x: 0, y: 0 };
+    this.prevZoom = 1.0;
+
+    // 模拟使用的视口（决定分块加载范围，每步从输入源读取）
+    this.viewport = DEFAULT_VIEWPORT;
+
+    // 固定时间步长
+    // 物理参数以 TARGET_FPS 下的一帧为单位，stepDt 为每个模拟步对应的帧数
+    // lastTime 为 null 时，下一次 update 只同步时钟而不推进模拟
+    this.lastTime = null;
+    this.stepTime = 1000 / SIMULATION.TICK_RATE;
+    this.stepDt = RENDERING.TARGET_FPS / SIMULATION.TICK_RATE;
+    this.accumulator = 0;
+    this.tick = 0;
+    this.alpha = 0;
 
-    // 帧率控制
-    this.lastTime = 0;
-    this.targetFrameTime = 1000 / RENDERING.TARGET_FPS;
+    // 模拟步耗时统计（调试模式开启时才计时）
+    this.profiler = new StepProfiler();
+
+    // 复用的黑洞列表（每步在物理更新时收集）
+    this.blackHoleBuffer = [];
 
     // 事件监听器
     this.listeners = {
@@ -72,6 +128,8 @@ export class GameEngine {
       playerDeath: [],
       milestone: [],      // 里程碑事件
       gravityActivated: [], // 引力激活事件
+      playerAbsorb: [],     // 玩家吃掉实体（手柄震动）
+      playerDamage: [],     // 玩家被敌人或黑洞吸取（手柄震动）
     };
 
     // 输入状态（由外部注入）
@@ -80,36 +138,54 @@ export class GameEngine {
     // 里程碑追踪
     this.reachedMilestones = new Set();
     this.hasGravity = false;
+
+    // 最近一次让玩家缩小的来源（用于死亡原因统计）
+    this.lastDamageCause = null;
   }
 
   /**
    * 初始化新游戏
+   *
+   * @param {number|null} seed - 世界种子，省略时随机生成
+   * @param {Object} difficulty - 难度选择 { preset, curve, adaptive }
    */
-  initialize() {
-    // 重置子系统
+  initialize(seed = null, difficulty = DEFAULT_DIFFICULTY) {
+    this.seed = seed ?? createWorldSeed();
+    this.director.reset();
+    this.setDifficulty(difficulty);
+
+    // 重置子系统（实体重置不触发移除钩子，AI 控制器单独清空）
+    this.ai.reset();
     this.entityManager.reset();
-    this.chunkManager.reset();
+    this.chunkManager.reset(this.seed, this.difficultySettings);
 
     // 创建玩家
-    const player = createPlayer(0, 0);
-    this.entityManager.initialize(player);
+    const player = this.entityManager.initialize(createPlayer(0, 0));
 
     // 重置摄像机
     this.camera = { x: 0, y: 0 };
     this.baseZoom = 1.0;
     this.zoom = 1.0;
+    this.prevCamera = { x: 0, y: 0 };
+    this.prevZoom = 1.0;
+    this.viewport = DEFAULT_VIEWPORT;
 
     // 重置游戏状态
     this.time = 0;
+    this.tick = 0;
+    this.lastTime = null;
+    this.accumulator = 0;
+    this.alpha = 0;
     this.score = 0;
     this.reachedMilestones.clear();
     this.hasGravity = false;
+    this.lastDamageCause = null;
+    this.profiler.reset();
 
     // 加载初始分块
     for (let cx = -CHUNK.BASE_LOAD_RADIUS; cx <= CHUNK.BASE_LOAD_RADIUS; cx++) {
       for (let cy = -CHUNK.BASE_LOAD_RADIUS; cy <= CHUNK.BASE_LOAD_RADIUS; cy++) {
-        this.chunkManager.markLoaded(cx, cy);
-        const entities = generateChunk(cx, cy, player.r);
+        const entities = this.chunkManager.load(cx, cy, player.r);
         this.entityManager.addBatch(entities);
       }
     }
@@ -118,6 +194,95 @@ export class GameEngine {
     this.setState(GameState.PLAYING);
   }
 
+  /**
+   * 设置难度选择
+   *
+   * 只在开局或恢复存档时调用：对局中途更换难度无法被录制重现
+   *
+   * @param {Object} difficulty - 难度选择 { preset, curve, adaptive }
+   */
+  setDifficulty(difficulty) {
+    this.difficulty = normalizeDifficulty(difficulty);
+    this.difficultySettings = resolveDifficulty(this.difficulty);
+    this.director.setEnabled(this.difficulty.adaptive);
+    this.updateActiveDifficulty();
+  }
+
+  /**
+   * 叠加难度导演的倍率，更新之后生成的分块和敌人追逐使用的难度参数
+   */
+  updateActiveDifficulty() {
+    this.activeDifficulty = this.director.adjust(this.difficultySettings);
+    this.chunkManager.setDifficulty(this.activeDifficulty);
+  }
+
+  /**
+   * 导出当前对局的完整状态
+   *
+   * 只包含模拟状态，不含监听器和输入源；
+   * 版本号与迁移由 SaveSystem 负责
+   *
+   * @returns {Object} 可 JSON 化的状态快照
+   */
+  serialize() {
+    return {
+      seed: this.seed,
+      difficulty: { ...this.difficulty },
+      tick: this.tick,
+      time: this.time,
+      score: this.score,
+      highScore: this.highScore,
+      camera: { ...this.camera },
+      zoom: this.zoom,
+      baseZoom: this.baseZoom,
+      reachedMilestones: [...this.reachedMilestones],
+      hasGravity: this.hasGravity,
+      lastDamageCause: this.lastDamageCause,
+      entities: this.entityManager.serialize(),
+      chunks: this.chunkManager.serialize(),
+      director: this.director.serialize(),
+      ai: this.ai.serialize(),
+    };
+  }
+
+  /**
+   * 从状态快照恢复对局并继续游戏
+   *
+   * @param {Object} snapshot - serialize() 的输出（已迁移到当前版本）
+   */
+  restore(snapshot) {
+    this.seed = snapshot.seed;
+    this.tick = snapshot.tick;
+    this.time = snapshot.time;
+    this.score = snapshot.score;
+    this.highScore = Math.max(this.highScore, snapshot.highScore);
+
+    this.camera = { ...snapshot.camera };
+    this.zoom = snapshot.zoom;
+    this.baseZoom = snapshot.baseZoom;
+    this.prevCamera = { ...snapshot.camera };
+    this.prevZoom = snapshot.zoom;
+    this.viewport = DEFAULT_VIEWPORT;
+
+    this.reachedMilestones = new Set(snapshot.reachedMilestones);
+    this.hasGravity = snapshot.hasGravity;
+    this.lastDamageCause = snapshot.lastDamageCause;
+
+    this.ai.reset();
+    this.entityManager.restore(snapshot.entities);
+    this.ai.restore(snapshot.ai);
+    this.chunkManager.restore(snapshot.chunks);
+    this.director.restore(snapshot.director);
+    this.setDifficulty(snapshot.difficulty);
+
+    this.lastTime = null;
+    this.accumulator = 0;
+    this.alpha = 0;
+
+    this.setState(GameState.PLAYING);
+    this.emit('scoreChange', { score: this.score });
+  }
+
   /**
    * 设置游戏状态
    *
@@ -129,10 +294,51 @@ export class GameEngine {
     this.emit('stateChange', { oldState, newState });
   }
 
+  /**
+   * 暂停游戏
+   *
+   * 只在 PLAYING 状态下生效，模拟时钟随之冻结
+   *
+   * @returns {boolean} 是否成功暂停
+   */
+  pause() {
+    if (this.state !== GameState.PLAYING) return false;
+
+    this.setState(GameState.PAUSED);
+    return true;
+  }
+
+  /**
+   * 恢复游戏
+   *
+   * 恢复后第一帧只重新同步时钟，避免把暂停期间的时长当作帧时间
+   *
+   * @returns {boolean} 是否成功恢复
+   */
+  resume() {
+    if (this.state !== GameState.PAUSED) return false;
+
+    this.lastTime = null;
+    this.setState(GameState.PLAYING);
+    return true;
+  }
+
+  /**
+   * 切换暂停状态
+   *
+   * @returns {boolean} 是否发生了状态切换
+   */
+  togglePause() {
+    return this.state === GameState.PAUSED ? this.resume() : this.pause();
+  }
+
   /**
    * 设置输入管理器引用
    *
-   * @param {InputManager} inputManager - 输入管理器
+   * 任何实现 isActionActive(action) 的输入源均可，
+   * 如 InputManager、InputRecorder、ReplayInput
+   *
+   * @param {Object} inputManager - 输入源
    */
   setInputManager(inputManager) {
     this.inputState = inputManager;
@@ -141,100 +347,204 @@ export class GameEngine {
   /**
    * 更新游戏逻辑（单帧）
    *
-   * @param {number} currentTime - 当前时间戳
-   * @returns {Object} 帧更新结果
+   * 固定时间步长 + 累加器：
+   * - 真实帧时间累加到 accumulator，每满 stepTime 执行一次 step()
+   * - 单帧最多执行 MAX_STEPS_PER_FRAME 步，超出部分丢弃（防止"死亡螺旋"）
+   * - 剩余时间比例 alpha 用于渲染插值
+   *
+   * 模拟结果只取决于步数和每步输入，与显示器刷新率无关
+   *
+   * @param {number} currentTime - 当前时间戳（毫秒）
+   * @returns {Object} 帧更新结果 { updated, steps, alpha, frameScore, playerDied }
    */
   update(currentTime) {
     if (this.state !== GameState.PLAYING) {
       return { updated: false };
     }
 
-    // 计算 delta time
-    const rawDelta = currentTime - this.lastTime;
+    const frameTime = this.lastTime === null ? 0 : Math.max(0, currentTime - this.lastTime);
     this.lastTime = currentTime;
 
-    // 限制最大帧时间（防止"死亡螺旋"）
-    const clampedDelta = Math.min(rawDelta, this.targetFrameTime * RENDERING.MAX_FRAME_MULTIPLIER);
-    const dt = clampedDelta / this.targetFrameTime;
+    const maxFrameTime = this.stepTime * SIMULATION.MAX_STEPS_PER_FRAME;
+    this.accumulator += Math.min(frameTime, maxFrameTime);
+
+    let steps = 0;
+    let frameScore = 0;
+
+    while (this.accumulator >= this.stepTime) {
+      const result = this.step();
+      this.accumulator -= this.stepTime;
+      steps++;
+      frameScore += result.frameScore || 0;
+
+      if (result.playerDied) {
+        this.alpha = 1;
+        return { updated: true, steps, alpha: this.alpha, frameScore, playerDied: true };
+      }
+    }
 
-    this.time += clampedDelta / 1000;
+    this.alpha = this.accumulator / this.stepTime;
 
+    return { updated: true, steps, alpha: this.alpha, frameScore };
+  }
+
+  /**
+   * 执行一个固定时间步长的模拟
+   *
+   * @returns {Object} 步进结果 { frameScore, playerDied }
+   */
+  step() {
+    const dt = this.stepDt;
     const player = this.entityManager.getPlayer();
 
     // 检查玩家死亡
     if (isPlayerDead(player)) {
       this.handlePlayerDeath();
-      return { updated: true, playerDied: true };
+      return { playerDied: true };
     }
 
+    this.profiler.beginStep();
+
+    // 保存上一步状态（渲染插值用）
+    this.savePreviousState();
+
+    this.tick++;
+    this.time += this.stepTime / 1000;
+
+    // 通知输入源进入新的模拟步（录制/回放按步采样）
+    if (this.inputState && this.inputState.advanceTick) {
+      this.inputState.advanceTick(this.tick);
+    }
+    this.viewport = this.inputState && this.inputState.getViewport
+      ? this.inputState.getViewport()
+      : DEFAULT_VIEWPORT;
+
     let frameScore = 0;
 
     // ============================================================
     // 1. 处理玩家输入
     // ============================================================
     this.handlePlayerInput(player, dt);
+    this.profiler.mark(StepPhase.INPUT);
 
     // ============================================================
     // 2. 更新摄像机
     // ============================================================
     this.updateCamera(player, dt);
+    this.profiler.mark(StepPhase.CAMERA);
 
     // ============================================================
     // 3. 分块管理
     // ============================================================
     this.updateChunks(player);
+    this.profiler.mark(StepPhase.CHUNKS);
 
     // ============================================================
     // 4. 更新所有实体物理
     // ============================================================
+    const blackHoles = this.blackHoleBuffer;
+    blackHoles.length = 0;
     this.entityManager.forEach((entity) => {
-      if (entity.isBlackHole) return;
+      if (entity.isBlackHole) {
+        blackHoles.push(entity);
+        return;
+      }
 
       applyFriction(entity, dt);
       const maxSpeed = entity.isPlayer ? PLAYER.MAX_SPEED : ENEMY.MAX_SPEED;
       clampVelocity(entity, maxSpeed);
       updatePosition(entity, dt);
     });
+    this.entityManager.updateSpatialGrid();
+    this.profiler.mark(StepPhase.PHYSICS);
 
     // ============================================================
-    // 5. 黑洞效果
+    // 5. 黑洞效果（作用于所有非黑洞实体，难度的吸取倍率只作用于玩家）
     // ============================================================
-    for (const bh of this.entityManager.getBlackHoles()) {
-      applyBlackHoleEffect(bh, player, dt);
+    const radiusBeforeBlackHoles = player.r;
+    let nearbyBlackHoles = 0;
+    let blackHoleVictims = 0;
+    for (const bh of blackHoles) {
+      const pullRadius = bh.r * BLACK_HOLE.PULL_RADIUS_MULTIPLIER;
+      for (const entity of this.entityManager.queryRadius(bh.x, bh.y, pullRadius, isNotBlackHole)) {
+        const drainMultiplier = entity.isPlayer ? this.activeDifficulty.blackHoleDrain : 1;
+        if (applyBlackHoleEffect(bh, entity, dt, drainMultiplier)) {
+          blackHoleVictims++;
+          if (entity.isPlayer) nearbyBlackHoles++;
+        }
+      }
     }
+    let playerDamaged = player.r < radiusBeforeBlackHoles;
+    if (playerDamaged) {
+      this.lastDamageCause = DeathCause.BLACK_HOLE;
+      this.director.recordBlackHoleDrain(this.time);
+    }
+    this.profiler.mark(StepPhase.BLACK_HOLES);
 
     // ============================================================
     // 6. 碰撞检测和处理
     // ============================================================
+    let collisionPairs = 0;
+    let absorptions = 0;
+    let playerConsumed = 0;
+    const enemyMaxRadius = getEnemyMaxRadius(this.activeDifficulty, player.r);
     this.entityManager.forEachCollisionPair((a, b) => {
-      const result = handleCollision(a, b, dt);
+      const result = handleCollision(a, b, dt, enemyMaxRadius);
+      collisionPairs++;
+      if (result.isAbsorption) {
+        absorptions++;
+      }
       if (result.playerScored) {
         frameScore++;
+        if (result.consumed) playerConsumed++;
+      }
+      if (result.playerDamaged) {
+        this.lastDamageCause = DeathCause.ENEMY;
+        playerDamaged = true;
       }
     });
+    if (playerConsumed > 0) {
+      this.emit('playerAbsorb', { count: playerConsumed });
+    }
+    if (playerDamaged) {
+      this.emit('playerDamage', { cause: this.lastDamageCause });
+    }
+    this.profiler.mark(StepPhase.COLLISIONS);
 
     // ============================================================
-    // 7. 清理死亡实体
+    // 7. 清理死亡实体（被玩家、敌人或黑洞吃掉；记入分块增量，重新加载时不再生成）
     // ============================================================
-    this.entityManager.removeWhere(shouldRemoveEntity);
+    const removed = this.entityManager.removeWhere((entity) => {
+      if (!shouldRemoveEntity(entity)) return false;
+      this.chunkManager.recordConsumed(entity, this.time);
+      return true;
+    }, DespawnReason.CONSUMED);
+    this.profiler.mark(StepPhase.CLEANUP);
 
     // ============================================================
     // 8. 再次检查玩家死亡
     // ============================================================
     if (player.r <= PLAYER.MIN_RADIUS) {
       this.handlePlayerDeath();
-      return { updated: true, playerDied: true };
+      return { frameScore, playerDied: true };
     }
 
     // ============================================================
     // 9. 敌人 AI
     // ============================================================
-    updateAllEnemies(this.entityManager.getAll(), player, dt);
+    const aiCounts = this.ai.update(player, dt, this.activeDifficulty.chaseAccel);
+    this.profiler.mark(StepPhase.AI);
 
     // ============================================================
     // 10. 玩家引力效果（教育核心）
     // ============================================================
-    applyPlayerGravity(player, this.entityManager.getAll(), dt);
+    const gravityRange = getPlayerGravityRange(player);
+    let gravityTargets = 0;
+    if (gravityRange > 0) {
+      const targets = this.entityManager.queryRadius(player.x, player.y, gravityRange, isFood);
+      gravityTargets = targets.length;
+      applyPlayerGravity(player, targets, dt);
+    }
 
     // 检测引力激活
     if (!this.hasGravity && player.r >= PLAYER.GRAVITY.MIN_RADIUS_TO_ACTIVATE) {
@@ -254,8 +564,46 @@ export class GameEngine {
       this.score += frameScore;
       this.emit('scoreChange', { score: this.score });
     }
+    this.profiler.mark(StepPhase.EVENTS);
+
+    // ============================================================
+    // 13. 难度导演（根据本步表现调整之后的生成和追逐）
+    // ============================================================
+    if (this.director.update(player.r, playerConsumed, this.time)) {
+      this.updateActiveDifficulty();
+    }
+    this.profiler.mark(StepPhase.DIRECTOR);
+
+    this.profiler.endStep({
+      collisionPairs,
+      absorptions,
+      removed,
+      nearbyBlackHoles,
+      blackHoleVictims,
+      chasingEnemies: aiCounts.chase,
+      packHunters: aiCounts.pack,
+      fleeingEnemies: aiCounts.flee,
+      foragingEnemies: aiCounts.forage,
+      ambushingEnemies: aiCounts.ambush,
+      avoidingEnemies: aiCounts.avoid,
+      gravityTargets,
+    });
+
+    return { frameScore };
+  }
+
+  /**
+   * 保存实体和摄像机的上一步状态
+   *
+   * 渲染时在上一步与当前步之间按 alpha 插值，
+   * 使模拟频率与显示刷新率解耦后画面依然平滑
+   */
+  savePreviousState() {
+    this.entityManager.savePreviousState();
 
-    return { updated: true, frameScore };
+    this.prevCamera.x = this.camera.x;
+    this.prevCamera.y = this.camera.y;
+    this.prevZoom = this.zoom;
   }
 
   /**
@@ -266,6 +614,14 @@ export class GameEngine {
 
     const accel = PLAYER.ACCELERATION * dt;
 
+    // 模拟量输入（手柄摇杆）优先，按推动幅度加速
+    const axis = this.inputState.getMoveAxis ? this.inputState.getMoveAxis() : null;
+    if (axis) {
+      player.vx += axis.x * accel;
+      player.vy += axis.y * accel;
+      return;
+    }
+
     if (this.inputState.isActionActive(GameAction.MOVE_UP)) player.vy -= accel;
     if (this.inputState.isActionActive(GameAction.MOVE_DOWN)) player.vy += accel;
     if (this.inputState.isActionActive(GameAction.MOVE_LEFT)) player.vx -= accel;
@@ -297,20 +653,22 @@ export class GameEngine {
    */
   updateChunks(player) {
     // 使用比渲染可见范围更大的加载范围，确保元素在进入视图前就已生成
-    const viewRadius = (CANVAS.SIZE / 2) / this.zoom + RENDERING.VIEW_BUFFER + CHUNK.LOAD_EXTRA_BUFFER;
+    // 分块按正方形范围加载，取视口长边
+    const { halfWidth, halfHeight } = getViewHalfExtents(this.viewport, this.zoom * getViewScale(this.viewport));
+    const viewRadius = Math.max(halfWidth, halfHeight) + RENDERING.VIEW_BUFFER + CHUNK.LOAD_EXTRA_BUFFER;
 
     // 加载新分块
     const toLoad = this.chunkManager.getChunksToLoad(this.camera.x, this.camera.y, viewRadius);
     for (const { cx, cy } of toLoad) {
-      this.chunkManager.markLoaded(cx, cy);
-      const entities = generateChunk(cx, cy, player.r);
+      const entities = this.chunkManager.load(cx, cy, player.r, this.time);
       this.entityManager.addBatch(entities);
     }
 
-    // 卸载远离分块
+    // 卸载远离分块（存活实体的改变记入增量存储）
     const toUnload = this.chunkManager.getChunksToUnload(this.camera.x, this.camera.y, viewRadius);
     for (const key of toUnload) {
-      this.chunkManager.unload(...key.split(',').map(Number));
+      const [cx, cy] = key.split(',').map(Number);
+      this.chunkManager.unload(cx, cy, this.entityManager.getByChunkKey(key));
       this.entityManager.removeByChunkKey(key);
     }
   }
@@ -319,9 +677,18 @@ export class GameEngine {
    * 处理玩家死亡
    */
   handlePlayerDeath() {
+    const cause = this.lastDamageCause || DeathCause.UNKNOWN;
     this.highScore = Math.max(this.highScore, this.score);
     this.setState(GameState.GAMEOVER);
-    this.emit('playerDeath', { score: this.score, highScore: this.highScore });
+    this.emit('playerDeath', {
+      score: this.score,
+      highScore: this.highScore,
+      cause,
+      seed: this.seed,
+      difficulty: { ...this.difficulty },
+      time: this.time,
+      milestones: MILESTONES.filter(milestone => this.reachedMilestones.has(milestone.radius)),
+    });
   }
 
   /**
@@ -344,28 +711,118 @@ export class GameEngine {
   /**
    * 获取渲染状态
    *
+   * 返回的 zoom 是屏幕缩放（CSS 像素 / 世界单位），已按视口短边换算
+   *
+   * @param {number} maxBalls - 渲染器能绘制的球体上限，超出部分按优先级剔除
+   * @param {Object} viewport - 实际显示的视口 { width, height }，默认与模拟视口相同
+   *                            （回放时两者可能不同）
    * @returns {Object} 渲染所需的状态数据
    */
-  getRenderState() {
+  getRenderState(maxBalls = RENDERING.MAX_VISIBLE_BALLS, viewport = this.viewport) {
+    const { alpha } = this;
     const player = this.entityManager.getPlayer();
-    const { ballData, ballCount } = this.entityManager.getRenderData(
-      this.camera.x,
-      this.camera.y,
-      this.zoom
+
+    // 在上一步与当前步之间插值
+    const cameraX = lerp(this.prevCamera.x, this.camera.x, alpha);
+    const cameraY = lerp(this.prevCamera.y, this.camera.y, alpha);
+    const zoom = lerp(this.prevZoom, this.zoom, alpha) * getViewScale(viewport);
+
+    const { ballData, ballCount, visibleCount, culledCount } = this.entityManager.getRenderData(
+      cameraX,
+      cameraY,
+      zoom,
+      alpha,
+      maxBalls,
+      viewport
     );
 
     return {
-      cameraX: this.camera.x,
-      cameraY: this.camera.y,
-      zoom: this.zoom,
+      cameraX,
+      cameraY,
+      zoom,
+      viewport,
       time: this.time,
+      alpha,
       ballData,
       ballCount,
-      player,
+      visibleCount,
+      culledCount,
+      player: {
+        ...player.toJSON(),
+        x: lerp(player.prevX, player.x, alpha),
+        y: lerp(player.prevY, player.y, alpha),
+        r: lerp(player.prevR, player.r, alpha),
+      },
       entities: this.entityManager.getAll(),
     };
   }
 
+  /**
+   * 启用或停用模拟步耗时统计
+   *
+   * @param {boolean} enabled
+   */
+  setProfiling(enabled) {
+    this.profiler.setEnabled(enabled);
+  }
+
+  /**
+   * 获取调试信息（调试覆盖层使用）
+   *
+   * 世界几何（分块、空间哈希单元格、黑洞范围）只返回视野内的部分，
+   * 坐标均为世界坐标，由覆盖层按摄像机换算
+   *
+   * @param {Object} viewport - 视口（CSS 像素）
+   * @returns {Object} { stats, profile, chunks, cells, gravityRange, chaseRange, blackHoles, director }
+   */
+  getDebugInfo(viewport = this.viewport) {
+    const player = this.entityManager.getPlayer();
+    const { halfWidth, halfHeight } = getViewHalfExtents(viewport, this.zoom * getViewScale(viewport));
+    const minX = this.camera.x - halfWidth;
+    const minY = this.camera.y - halfHeight;
+    const maxX = this.camera.x + halfWidth;
+    const maxY = this.camera.y + halfHeight;
+
+    // 与视野重叠的已加载分块
+    const chunks = [];
+    for (let cx = Math.floor(minX / CHUNK.SIZE); cx <= Math.floor(maxX / CHUNK.SIZE); cx++) {
+      for (let cy = Math.floor(minY / CHUNK.SIZE); cy <= Math.floor(maxY / CHUNK.SIZE); cy++) {
+        if (this.chunkManager.isLoaded(cx, cy)) {
+          chunks.push({ x: cx * CHUNK.SIZE, y: cy * CHUNK.SIZE, size: CHUNK.SIZE });
+        }
+      }
+    }
+
+    // 影响范围与视野重叠的黑洞（先按最大的引力范围粗筛，再按各自的引力圆判断）
+    const pullMargin = this.entityManager.getMaxBlackHolePullRadius();
+    const blackHoles = [];
+    for (const bh of this.entityManager.queryRect(
+      minX - pullMargin, minY - pullMargin, maxX + pullMargin, maxY + pullMargin, isBlackHole
+    )) {
+      const pullRadius = bh.r * BLACK_HOLE.PULL_RADIUS_MULTIPLIER;
+      const dx = bh.x - Math.max(minX, Math.min(bh.x, maxX));
+      const dy = bh.y - Math.max(minY, Math.min(bh.y, maxY));
+      if (dx * dx + dy * dy > pullRadius * pullRadius) continue;
+      blackHoles.push({
+        x: bh.x,
+        y: bh.y,
+        pullRadius,
+        drainRadius: bh.r * BLACK_HOLE.DRAIN_RADIUS_MULTIPLIER,
+      });
+    }
+
+    return {
+      stats: this.getStats(),
+      profile: this.profiler.getSnapshot(),
+      chunks,
+      cells: this.entityManager.getSpatialCells(minX, minY, maxX, maxY),
+      gravityRange: player ? getPlayerGravityRange(player) : 0,
+      chaseRange: player ? getChaseRange(player) : 0,
+      blackHoles,
+      director: this.director.getSnapshot(),
+    };
+  }
+
   /**
    * 获取游戏统计
    *
@@ -376,8 +833,12 @@ export class GameEngine {
       score: this.score,
       highScore: this.highScore,
       time: this.time,
+      tick: this.tick,
+      seed: this.seed,
+      difficulty: this.difficulty,
       ...this.entityManager.getStats(),
       chunks: this.chunkManager.getLoadedCount(),
+      chunkDeltas: this.chunkManager.deltaStore.getCount(),
     };
   }
 
@@ -426,5 +887,6 @@ export class GameEngine {
 
 export default {
   GameState,
+  DeathCause,
   GameEngine,
 };
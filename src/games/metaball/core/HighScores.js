@@ -0,0 +1,108 @@
+/**
+ * HighScores.js - 最高分记录
+ *
+ * 设计哲学：分数离不开难度 (Scores Carry Their Difficulty)
+ *
+ * 核心职责：
+ * 1. 在 localStorage 中保留得分最高的若干局（不可用时静默降级）
+ * 2. 每条记录带上难度选择、种子和存活时间，按难度查询最佳成绩
+ *
+ * 设计决策：
+ * - 宝宝难度的高分和困难难度的高分不可比，记录保存难度而不是只保存分数
+ * - 记录按分数降序排列，同分时先达成的在前
+ */
+
+import { normalizeDifficulty } from './Difficulty.js';
+import { getStorage } from './Storage.js';
+
+/**
+ * localStorage 键名
+ */
+export const HIGH_SCORES_STORAGE_KEY = 'metaball.highscores';
+
+/**
+ * 保留的记录条数
+ */
+export const MAX_HIGH_SCORES = 10;
+
+/**
+ * 读取最高分记录
+ *
+ * @returns {Array} [{ score, difficulty, seed, time, recordedAt }]，按分数降序
+ */
+export function loadHighScores() {
+  const storage = getStorage();
+  if (!storage) return [];
+
+  const raw = storage.getItem(HIGH_SCORES_STORAGE_KEY);
+  if (!raw) return [];
+
+  try {
+    const entries = JSON.parse(raw);
+    if (!Array.isArray(entries)) return [];
+    return entries
+      .filter(entry => entry && Number.isFinite(entry.score))
+      .map(entry => ({ ...entry, difficulty: normalizeDifficulty(entry.difficulty) }));
+  } catch (error) {
+    console.warn('Discarding unreadable high scores:', error);
+    storage.removeItem(HIGH_SCORES_STORAGE_KEY);
+    return [];
+  }
+}
+
+/**
+ * 记录一局成绩
+ *
+ * @param {Object} result
+ * @param {number} result.score - 得分
+ * @param {Object} result.difficulty - 难度选择 { preset, curve }
+ * @param {number} result.seed - 世界种子
+ * @param {number} result.time - 存活时间（秒）
+ * @returns {number} 名次（从 1 开始），未进入记录或无法保存时返回 0
+ */
+export function recordHighScore({ score, difficulty, seed, time }) {
+  const storage = getStorage();
+  if (!storage || score <= 0) return 0;
+
+  const entry = {
+    score,
+    difficulty: normalizeDifficulty(difficulty),
+    seed,
+    time,
+    recordedAt: Date.now(),
+  };
+
+  const entries = loadHighScores();
+  let index = entries.findIndex(existing => existing.score < score);
+  if (index === -1) index = entries.length;
+  if (index >= MAX_HIGH_SCORES) return 0;
+
+  entries.splice(index, 0, entry);
+
+  try {
+    storage.setItem(HIGH_SCORES_STORAGE_KEY, JSON.stringify(entries.slice(0, MAX_HIGH_SCORES)));
+    return index + 1;
+  } catch (error) {
+    console.warn('Failed to save high scores:', error);
+    return 0;
+  }
+}
+
+/**
+ * 获取某个难度预设下的最高分
+ *
+ * @param {string} preset - 难度预设名
+ * @returns {number} 最高分，没有记录时为 0
+ */
+export function getBestScore(preset) {
+  const best = loadHighScores().find(entry => entry.difficulty.preset === preset);
+  return best ? best.score : 0;
+}
+
+export default {
+  HIGH_SCORES_STORAGE_KEY,
+  MAX_HIGH_SCORES,
+  loadHighScores,
+  recordHighScore,
+  getBestScore,
+};
@@ -5,7 +5,7 @@
  *
  * 核心原则：
  * 1. 帧率无关 - 使用 deltaTime 确保在任何帧率下行为一致
- * 2. 面积守恒 - 吸收时保持总面积不变（πr²）
+ * 2. 面积守恒 - 吸收时保持总面积不变（πr²），唯一的例外是敌人超过进食上限的部分被消化掉
  * 3. 分离关注点 - 只处理物理计算，不涉及游戏逻辑
  *
  * 物理模型：
@@ -90,33 +90,32 @@ export function distanceSquared(a, b) {
  *
  * 物理模型：
  * - 引力强度随距离平方衰减
- * - 在吸取范围内持续吸收玩家质量
+ * - 在吸取范围内持续吸收实体质量（玩家不低于最小存活半径，其他实体被吸干后移除）
  *
  * @param {Object} blackHole - 黑洞实体
- * @param {Object} player - 玩家实体
+ * @param {Object} entity - 受影响的实体（玩家、食物或敌人）
  * @param {number} dt - 时间增量
+ * @param {number} drainMultiplier - 质量吸取速率倍率（来自难度预设，引擎只对玩家使用）
  * @returns {boolean} 是否在黑洞影响范围内
  */
-export function applyBlackHoleEffect(blackHole, player, dt) {
-  const dx = blackHole.x - player.x;
-  const dy = blackHole.y - player.y;
+export function applyBlackHoleEffect(blackHole, entity, dt, drainMultiplier = 1) {
+  const dx = blackHole.x - entity.x;
+  const dy = blackHole.y - entity.y;
   const dist = Math.sqrt(dx * dx + dy * dy);
   const pullRadius = blackHole.r * BLACK_HOLE.PULL_RADIUS_MULTIPLIER;
 
   if (dist < pullRadius && dist > 0) {
     // 引力拉扯（距离越近越强）
     const pullStrength = BLACK_HOLE.PULL_STRENGTH * dt * Math.pow(1 - dist / pullRadius, 2);
-    player.vx += (dx / dist) * pullStrength;
-    player.vy += (dy / dist) * pullStrength;
+    entity.vx += (dx / dist) * pullStrength;
+    entity.vy += (dy / dist) * pullStrength;
 
     // 质量吸取
     const drainRadius = blackHole.r * BLACK_HOLE.DRAIN_RADIUS_MULTIPLIER;
     if (dist < drainRadius) {
-      const drainRate = BLACK_HOLE.DRAIN_RATE * dt * (1 - dist / drainRadius);
-      player.r -= drainRate;
-      if (player.r < PLAYER.MIN_RADIUS) {
-        player.r = PLAYER.MIN_RADIUS;
-      }
+      const drainRate = BLACK_HOLE.DRAIN_RATE * drainMultiplier * dt * (1 - dist / drainRadius);
+      const minRadius = entity.isPlayer ? PLAYER.MIN_RADIUS : 0;
+      entity.r = Math.max(minRadius, entity.r - drainRate);
     }
 
     return true;
@@ -125,14 +124,32 @@ export function applyBlackHoleEffect(blackHole, player, dt) {
   return false;
 }
 
+/**
+ * 计算吸收者吸收面积后的半径
+ *
+ * 敌人最多长到 enemyMaxRadius，超出的面积被消化掉；
+ * 已经超过上限的敌人（生成时较大或玩家变小）保持原样，不会缩小
+ *
+ * @param {Object} eater - 吸收者
+ * @param {number} area - 吸收的面积（r² 单位）
+ * @param {number} enemyMaxRadius - 敌人的最大半径
+ * @returns {number} 新半径
+ */
+function getGrownRadius(eater, area, enemyMaxRadius) {
+  const grown = Math.sqrt(eater.r * eater.r + area);
+  if (!eater.isEnemy || grown <= enemyMaxRadius) return grown;
+  return Math.max(eater.r, enemyMaxRadius);
+}
+
 /**
  * 处理两个实体之间的碰撞/吸收
  *
  * 吸收规则：
- * 1. 玩家可以吸收食物
- * 2. 玩家可以吸收比自己小10%的敌人
+ * 1. 玩家和敌人可以吸收食物
+ * 2. 玩家和敌人可以吸收比自己小10%的敌人
  * 3. 敌人可以吃掉比自己小10%的玩家
  * 4. 其他情况互相推开
+ * 5. 敌人吸收后最多长到 enemyMaxRadius（见 getEnemyMaxRadius），避免敌人滚雪球
  *
  * 面积守恒公式：
  * 新半径 = √(大半径² + (小半径² - 新小半径²))
@@ -140,9 +157,11 @@ export function applyBlackHoleEffect(blackHole, player, dt) {
  * @param {Object} a - 实体A
  * @param {Object} b - 实体B
  * @param {number} dt - 时间增量
- * @returns {Object} 交互结果 { areaTransferred, isAbsorption }
+ * @param {number} enemyMaxRadius - 敌人靠吸收能长到的最大半径
+ * @returns {Object} 交互结果 { areaTransferred, isAbsorption, consumed, playerScored, playerDamaged }，
+ *   consumed 表示这次吸收让较小者降到移除阈值（每个被吃掉的实体只出现一次）
  */
-export function handleCollision(a, b, dt) {
+export function handleCollision(a, b, dt, enemyMaxRadius = Infinity) {
   const dx = b.x - a.x;
   const dy = b.y - a.y;
   const distSq = dx * dx + dy * dy;
@@ -154,9 +173,11 @@ export function handleCollision(a, b, dt) {
   const smaller = a.r >= b.r ? b : a;
 
   // 判断能否吸收
-  const canAbsorb =
-    (larger.isPlayer && smaller.isFood) ||
-    (larger.isPlayer && smaller.isEnemy && larger.r > smaller.r * PHYSICS.ABSORPTION_THRESHOLD);
+  const isEater = larger.isPlayer || larger.isEnemy;
+  const canAbsorb = isEater && (
+    smaller.isFood ||
+    (smaller.isEnemy && larger.r > smaller.r * PHYSICS.ABSORPTION_THRESHOLD)
+  );
 
   const playerGetsEaten =
     smaller.isPlayer &&
@@ -165,6 +186,8 @@ export function handleCollision(a, b, dt) {
 
   let areaTransferred = 0;
   let isAbsorption = false;
+  let consumed = false;
+  let playerDamaged = false;
 
   if (surfaceDist < 0) {
     // 碰撞发生
@@ -182,8 +205,9 @@ export function handleCollision(a, b, dt) {
         smaller.r -= transferRate;
         const smallerAreaAfter = smaller.r * smaller.r;
         areaTransferred = smallerAreaBefore - smallerAreaAfter;
-        larger.r = Math.sqrt(larger.r * larger.r + areaTransferred);
+        larger.r = getGrownRadius(larger, areaTransferred, enemyMaxRadius);
         isAbsorption = true;
+        consumed = smaller.r <= PHYSICS.DEATH_THRESHOLD;
 
         // 拉近被吸收者
         if (dist > 0.1) {
@@ -210,7 +234,8 @@ export function handleCollision(a, b, dt) {
         smaller.r -= transferRate;
         const smallerAreaAfter = smaller.r * smaller.r;
         areaTransferred = smallerAreaBefore - smallerAreaAfter;
-        larger.r = Math.sqrt(larger.r * larger.r + areaTransferred);
+        larger.r = getGrownRadius(larger, areaTransferred, enemyMaxRadius);
+        playerDamaged = true;
 
         // 被拉向敌人
         if (dist > 0.1) {
@@ -248,7 +273,7 @@ export function handleCollision(a, b, dt) {
     }
   }
 
-  return { areaTransferred, isAbsorption, playerScored: isAbsorption && larger.isPlayer };
+  return { areaTransferred, isAbsorption, consumed, playerScored: isAbsorption && larger.isPlayer, playerDamaged };
 }
 
 /**
@@ -275,6 +300,20 @@ export function isPlayerDead(player) {
   return !player || player.r <= PLAYER.MIN_RADIUS;
 }
 
+/**
+ * 计算玩家引力范围
+ *
+ * @param {Object} player - 玩家实体
+ * @returns {number} 引力范围（未激活时为 0）
+ */
+export function getPlayerGravityRange(player) {
+  const { GRAVITY } = PLAYER;
+  if (!GRAVITY.ENABLED || player.r < GRAVITY.MIN_RADIUS_TO_ACTIVATE) {
+    return 0;
+  }
+  return player.r * GRAVITY.RANGE_MULTIPLIER;
+}
+
 /**
  * 应用玩家引力效果 - 教育核心功能
  *
@@ -286,7 +325,7 @@ export function isPlayerDead(player) {
  * 教育目标：让孩子直观感受「质量大 = 引力大」
  *
  * @param {Object} player - 玩家实体
- * @param {Array} entities - 所有实体
+ * @param {Array} entities - 候选实体（通常是 queryRadius 得到的引力范围内实体）
  * @param {number} dt - 时间增量
  * @returns {number} 被引力影响的实体数量
  */
@@ -339,6 +378,7 @@ export default {
   distance,
   distanceSquared,
   applyBlackHoleEffect,
+  getPlayerGravityRange,
   applyPlayerGravity,
   handleCollision,
   shouldRemoveEntity,
@@ -0,0 +1,196 @@
+/**
+ * SaveSystem.js - 存档系统
+ *
+ * 设计哲学：版本化快照 (Versioned Snapshots)
+ *
+ * 核心职责：
+ * 1. 为 GameEngine.serialize() 的快照加上版本号
+ * 2. 读取旧版本存档时逐级迁移到当前版本，而不是直接崩溃
+ * 3. 读写 localStorage（不可用时静默降级）
+ * 4. 保存当前的配置覆盖值（调参），继续游戏时先恢复配置再恢复快照
+ *
+ * 添加新版本：
+ * 1. SAVE_VERSION + 1
+ * 2. 在 MIGRATIONS 中添加 [旧版本]: (data) => 新版本数据
+ */
+
+import { getConfigOverrides, validateConfigOverrides } from './GameConfig.js';
+import { getStorage } from './Storage.js';
+
+/**
+ * 当前存档格式版本
+ */
+export const SAVE_VERSION = 6;
+
+/**
+ * localStorage 键名
+ */
+export const SAVE_STORAGE_KEY = 'metaball.save';
+
+/**
+ * 版本迁移表
+ *
+ * MIGRATIONS[n] 将版本 n 的数据转换为版本 n + 1
+ */
+const MIGRATIONS = {
+  // v1 → v2：实体获得数字 ID，实体列表改为 { nextId, entities }
+  1: (data) => {
+    const entities = data.engine.entities.map((entity, index) => ({ ...entity, id: index + 1 }));
+    return {
+      ...data,
+      engine: {
+        ...data.engine,
+        entities: { nextId: entities.length + 1, entities },
+      },
+    };
+  },
+  // v2 → v3：记录难度选择，旧存档按标准难度继续
+  2: (data) => ({
+    ...data,
+    engine: {
+      ...data.engine,
+      difficulty: { preset: 'NORMAL', curve: null },
+    },
+  }),
+  // v3 → v4：加入难度导演状态；旧存档的难度没有 adaptive，按关闭自适应继续
+  3: (data) => ({
+    ...data,
+    engine: {
+      ...data.engine,
+      director: null,
+    },
+  }),
+  // v4 → v5：加入敌人 AI 状态；旧存档的敌人从空闲开始
+  4: (data) => ({
+    ...data,
+    engine: {
+      ...data.engine,
+      ai: null,
+    },
+  }),
+  // v5 → v6：保存配置覆盖值；旧存档按默认配置继续
+  5: (data) => ({
+    ...data,
+    config: {},
+  }),
+};
+
+/**
+ * 将存档迁移到当前版本
+ *
+ * @param {Object} data - 存档数据
+ * @returns {Object} 当前版本的存档数据
+ * @throws {Error} 版本无效、比当前版本新或缺少迁移时抛出
+ */
+export function migrateSave(data) {
+  if (!data || !Number.isInteger(data.version)) {
+    throw new Error('Invalid save: missing version');
+  }
+  if (data.version > SAVE_VERSION) {
+    throw new Error(`Save version ${data.version} is newer than supported ${SAVE_VERSION}`);
+  }
+
+  let migrated = data;
+  while (migrated.version < SAVE_VERSION) {
+    const migrate = MIGRATIONS[migrated.version];
+    if (!migrate) {
+      throw new Error(`No migration from save version ${migrated.version}`);
+    }
+    migrated = { ...migrate(migrated), version: migrated.version + 1 };
+  }
+
+  return migrated;
+}
+
+/**
+ * 创建存档
+ *
+ * @param {GameEngine} engine - 游戏引擎
+ * @param {Object} extras - 额外数据（如输入录制），原样保存
+ * @returns {Object} 存档数据
+ */
+export function createSave(engine, extras = {}) {
+  return {
+    version: SAVE_VERSION,
+    savedAt: Date.now(),
+    ...extras,
+    config: getConfigOverrides(),
+    engine: engine.serialize(),
+  };
+}
+
+/**
+ * 保存到 localStorage
+ *
+ * @param {GameEngine} engine - 游戏引擎
+ * @param {Object} extras - 额外数据
+ * @returns {boolean} 是否保存成功
+ */
+export function saveGame(engine, extras = {}) {
+  const storage = getStorage();
+  if (!storage) return false;
+
+  try {
+    storage.setItem(SAVE_STORAGE_KEY, JSON.stringify(createSave(engine, extras)));
+    return true;
+  } catch (error) {
+    console.warn('Failed to save game:', error);
+    return false;
+  }
+}
+
+/**
+ * 从 localStorage 读取存档
+ *
+ * 损坏、无法迁移或配置覆盖值无效的存档会被删除，返回 null
+ *
+ * @returns {Object|null} 当前版本的存档数据
+ */
+export function loadGame() {
+  const storage = getStorage();
+  if (!storage) return null;
+
+  const raw = storage.getItem(SAVE_STORAGE_KEY);
+  if (!raw) return null;
+
+  try {
+    const save = migrateSave(JSON.parse(raw));
+    validateConfigOverrides(save.config);
+    return save;
+  } catch (error) {
+    console.warn('Discarding unreadable save:', error);
+    storage.removeItem(SAVE_STORAGE_KEY);
+    return null;
+  }
+}
+
+/**
+ * 检查是否存在存档
+ *
+ * @returns {boolean}
+ */
+export function hasSavedGame() {
+  const storage = getStorage();
+  return !!(storage && storage.getItem(SAVE_STORAGE_KEY));
+}
+
+/**
+ * 删除存档
+ */
+export function clearSavedGame() {
+  const storage = getStorage();
+  if (storage) {
+    storage.removeItem(SAVE_STORAGE_KEY);
+  }
+}
+
+export default {
+  SAVE_VERSION,
+  SAVE_STORAGE_KEY,
+  migrateSave,
+  createSave,
+  saveGame,
+  loadGame,
+  hasSavedGame,
+  clearSavedGame,
+};
@@ -0,0 +1,268 @@
+/**
+ * SpatialHash.js - 增量空间哈希
+ *
+ * 设计哲学：只更新变化的部分 (Incremental Updates)
+ *
+ * 核心职责：
+ * 1. 把实体按包围盒登记到覆盖的所有网格单元
+ * 2. 实体移动或变大跨越单元格边界时才重新登记，静止实体零开销
+ * 3. 为碰撞检测和范围查询提供候选实体
+ *
+ * 设计决策：
+ * - 单元格键为数字（cx * CELL_KEY_BASE + cy），避免每帧拼接字符串
+ * - 单元格内容用 Set：删除 O(1)，按插入顺序遍历，结果确定
+ * - 查询用递增的标记去重（一个实体可能登记在多个单元格），因此查询不可嵌套
+ */
+
+// 单元格键基数：|cy| < 2^21 时不同坐标不会冲突
+const CELL_KEY_BASE = 2 ** 22;
+
+/**
+ * 计算单元格键
+ *
+ * @param {number} cx - 单元格 X 坐标
+ * @param {number} cy - 单元格 Y 坐标
+ * @returns {number}
+ */
+function cellKey(cx, cy) {
+  return cx * CELL_KEY_BASE + cy;
+}
+
+/**
+ * 空间哈希类
+ */
+export class SpatialHash {
+  /**
+   * @param {number} cellSize - 单元格大小（应该略大于常见实体直径）
+   */
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    // 单元格键 → 实体集合
+    this.cells = new Map();
+    // 实体 → 登记记录 { minCx, minCy, maxCx, maxCy, mark }
+    this.records = new Map();
+    // 查询去重标记
+    this.queryMark = 0;
+  }
+
+  /**
+   * 清空所有登记
+   */
+  clear() {
+    this.cells.clear();
+    this.records.clear();
+  }
+
+  /**
+   * 将实体登记到矩形范围内的单元格
+   *
+   * @param {Object} entity - 实体
+   * @param {Object} record - 登记记录
+   */
+  addToCells(entity, record) {
+    for (let cx = record.minCx; cx <= record.maxCx; cx++) {
+      for (let cy = record.minCy; cy <= record.maxCy; cy++) {
+        const key = cellKey(cx, cy);
+        let cell = this.cells.get(key);
+        if (!cell) {
+          cell = new Set();
+          this.cells.set(key, cell);
+        }
+        cell.add(entity);
+      }
+    }
+  }
+
+  /**
+   * 将实体从登记的单元格中移除
+   *
+   * @param {Object} entity - 实体
+   * @param {Object} record - 登记记录
+   */
+  removeFromCells(entity, record) {
+    for (let cx = record.minCx; cx <= record.maxCx; cx++) {
+      for (let cy = record.minCy; cy <= record.maxCy; cy++) {
+        const key = cellKey(cx, cy);
+        const cell = this.cells.get(key);
+        if (!cell) continue;
+        cell.delete(entity);
+        if (cell.size === 0) {
+          this.cells.delete(key);
+        }
+      }
+    }
+  }
+
+  /**
+   * 登记新实体
+   *
+   * @param {Object} entity - 实体（需要 x, y, r）
+   */
+  insert(entity) {
+    const size = this.cellSize;
+    const record = {
+      minCx: Math.floor((entity.x - entity.r) / size),
+      minCy: Math.floor((entity.y - entity.r) / size),
+      maxCx: Math.floor((entity.x + entity.r) / size),
+      maxCy: Math.floor((entity.y + entity.r) / size),
+      mark: 0,
+    };
+    this.records.set(entity, record);
+    this.addToCells(entity, record);
+  }
+
+  /**
+   * 移除实体
+   *
+   * @param {Object} entity - 实体
+   */
+  remove(entity) {
+    const record = this.records.get(entity);
+    if (!record) return;
+    this.removeFromCells(entity, record);
+    this.records.delete(entity);
+  }
+
+  /**
+   * 实体移动或改变大小后更新登记
+   *
+   * 覆盖的单元格范围不变时直接返回
+   *
+   * @param {Object} entity - 实体
+   */
+  update(entity) {
+    const record = this.records.get(entity);
+    if (!record) {
+      this.insert(entity);
+      return;
+    }
+
+    const size = this.cellSize;
+    const minCx = Math.floor((entity.x - entity.r) / size);
+    const minCy = Math.floor((entity.y - entity.r) / size);
+    const maxCx = Math.floor((entity.x + entity.r) / size);
+    const maxCy = Math.floor((entity.y + entity.r) / size);
+
+    if (
+      minCx === record.minCx && minCy === record.minCy &&
+      maxCx === record.maxCx && maxCy === record.maxCy
+    ) {
+      return;
+    }
+
+    this.removeFromCells(entity, record);
+    record.minCx = minCx;
+    record.minCy = minCy;
+    record.maxCx = maxCx;
+    record.maxCy = maxCy;
+    this.addToCells(entity, record);
+  }
+
+  /**
+   * 遍历与实体登记范围重叠的所有单元格中的其他实体
+   *
+   * 同一实体可能出现多次（登记在多个单元格），由调用方去重
+   *
+   * @param {Object} entity - 实体
+   * @param {Function} visit - 回调 (other) => void
+   */
+  forEachNeighbor(entity, visit) {
+    const record = this.records.get(entity);
+    if (!record) return;
+
+    for (let cx = record.minCx; cx <= record.maxCx; cx++) {
+      for (let cy = record.minCy; cy <= record.maxCy; cy++) {
+        const cell = this.cells.get(cellKey(cx, cy));
+        if (!cell) continue;
+        for (const other of cell) {
+          if (other !== entity) visit(other);
+        }
+      }
+    }
+  }
+
+  /**
+   * 遍历登记范围与矩形重叠的实体（每个实体只访问一次）
+   *
+   * 候选集合是「可能相关」的实体，精确判断由调用方完成
+   *
+   * @param {number} minX - 矩形左边界
+   * @param {number} minY - 矩形上边界
+   * @param {number} maxX - 矩形右边界
+   * @param {number} maxY - 矩形下边界
+   * @param {Function} visit - 回调 (entity) => void
+   */
+  query(minX, minY, maxX, maxY, visit) {
+    const size = this.cellSize;
+    const minCx = Math.floor(minX / size);
+    const minCy = Math.floor(minY / size);
+    const maxCx = Math.floor(maxX / size);
+    const maxCy = Math.floor(maxY / size);
+
+    // 查询范围覆盖的单元格比实体还多时，直接遍历登记记录更快
+    if ((maxCx - minCx + 1) * (maxCy - minCy + 1) > this.records.size) {
+      for (const [entity, record] of this.records) {
+        if (
+          record.maxCx >= minCx && record.minCx <= maxCx &&
+          record.maxCy >= minCy && record.minCy <= maxCy
+        ) {
+          visit(entity);
+        }
+      }
+      return;
+    }
+
+    const mark = ++this.queryMark;
+
+    for (let cx = minCx; cx <= maxCx; cx++) {
+      for (let cy = minCy; cy <= maxCy; cy++) {
+        const cell = this.cells.get(cellKey(cx, cy));
+        if (!cell) continue;
+        for (const entity of cell) {
+          const record = this.records.get(entity);
+          if (record.mark === mark) continue;
+          record.mark = mark;
+          visit(entity);
+        }
+      }
+    }
+  }
+
+  /**
+   * 遍历矩形范围内的非空单元格（调试显示用）
+   *
+   * @param {number} minX - 矩形左边界
+   * @param {number} minY - 矩形上边界
+   * @param {number} maxX - 矩形右边界
+   * @param {number} maxY - 矩形下边界
+   * @param {Function} visit - 回调 (cx, cy, count) => void
+   */
+  forEachCell(minX, minY, maxX, maxY, visit) {
+    const size = this.cellSize;
+    const maxCx = Math.floor(maxX / size);
+    const maxCy = Math.floor(maxY / size);
+
+    for (let cx = Math.floor(minX / size); cx <= maxCx; cx++) {
+      for (let cy = Math.floor(minY / size); cy <= maxCy; cy++) {
+        const cell = this.cells.get(cellKey(cx, cy));
+        if (cell && cell.size > 0) visit(cx, cy, cell.size);
+      }
+    }
+  }
+
+  /**
+   * 获取统计信息
+   *
+   * @returns {Object} { cells, entities }
+   */
+  getStats() {
+    return {
+      cells: this.cells.size,
+      entities: this.records.size,
+    };
+  }
+}
+
+export default {
+  SpatialHash,
+};
@@ -0,0 +1,122 @@
+/**
+ * StepProfiler.js - 模拟步耗时统计
+ *
+ * 设计哲学：关闭时零打扰 (Zero Cost When Off)
+ *
+ * 核心职责：
+ * 1. 记录 GameEngine.step() 各阶段的耗时（平滑后的毫秒数）
+ * 2. 记录每步的计数（碰撞对、吸收次数等）
+ * 3. 给调试覆盖层提供只读快照
+ *
+ * 设计决策：
+ * - 未启用时 mark() 直接返回，不调用 performance.now()
+ * - 只观测不干预：统计结果不参与模拟，开关调试模式不影响确定性
+ * - 耗时用指数滑动平均，单步抖动不会让数字闪烁到无法阅读
+ */
+
+/**
+ * 模拟步阶段（与 GameEngine.step() 的分节对应）
+ */
+export const StepPhase = {
+  INPUT: 'input',
+  CAMERA: 'camera',
+  CHUNKS: 'chunks',
+  PHYSICS: 'physics',
+  BLACK_HOLES: 'blackHoles',
+  COLLISIONS: 'collisions',
+  CLEANUP: 'cleanup',
+  AI: 'ai',
+  GRAVITY: 'gravity',
+  EVENTS: 'events',
+  DIRECTOR: 'director',
+};
+
+// 滑动平均系数（越大越跟手，越小越平稳）
+const SMOOTHING = 0.1;
+
+const now = () => globalThis.performance.now();
+
+/**
+ * 模拟步耗时统计器
+ */
+export class StepProfiler {
+  constructor() {
+    this.enabled = false;
+    this.reset();
+  }
+
+  /**
+   * 清空统计
+   */
+  reset() {
+    this.timings = {};
+    for (const phase of Object.values(StepPhase)) {
+      this.timings[phase] = 0;
+    }
+    this.stepTime = 0;
+    this.counters = {};
+    this.stepStart = 0;
+    this.phaseStart = 0;
+  }
+
+  /**
+   * 启用或停用统计
+   *
+   * @param {boolean} enabled
+   */
+  setEnabled(enabled) {
+    if (this.enabled === enabled) return;
+    this.enabled = enabled;
+    this.reset();
+  }
+
+  /**
+   * 开始一个模拟步
+   */
+  beginStep() {
+    if (!this.enabled) return;
+    this.stepStart = this.phaseStart = now();
+  }
+
+  /**
+   * 结束一个阶段（从上一次 mark 或 beginStep 算起）
+   *
+   * @param {string} phase - StepPhase 中的值
+   */
+  mark(phase) {
+    if (!this.enabled) return;
+    const time = now();
+    this.timings[phase] += (time - this.phaseStart - this.timings[phase]) * SMOOTHING;
+    this.phaseStart = time;
+  }
+
+  /**
+   * 结束一个模拟步
+   *
+   * @param {Object} counters - 本步计数 { name: value }
+   */
+  endStep(counters) {
+    if (!this.enabled) return;
+    this.stepTime += (now() - this.stepStart - this.stepTime) * SMOOTHING;
+    this.counters = counters;
+  }
+
+  /**
+   * 获取统计快照
+   *
+   * @returns {Object} { enabled, stepTime, timings: { phase: ms }, counters }
+   */
+  getSnapshot() {
+    return {
+      enabled: this.enabled,
+      stepTime: this.stepTime,
+      timings: { ...this.timings },
+      counters: { ...this.counters },
+    };
+  }
+}
+
+export default {
+  StepPhase,
+  StepProfiler,
+};
@@ -0,0 +1,29 @@
+/**
+ * Storage.js - 本地存储访问
+ *
+ * 设计哲学：静默降级 (Graceful Degradation)
+ *
+ * 核心职责：
+ * 1. 为存档、最高分和配置预设提供同一个 localStorage 入口
+ * 2. 隐私模式、禁用 Cookie 或无头环境下访问 localStorage 会抛错或不存在，统一返回 null
+ *
+ * 设计决策：
+ * - 调用方在拿到 null 时各自决定降级方式（不保存、返回空列表等）
+ */
+
+/**
+ * 获取 localStorage（不可用时返回 null）
+ *
+ * @returns {Storage|null}
+ */
+export function getStorage() {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+export default {
+  getStorage,
+};
@@ -0,0 +1,81 @@
+/**
+ * Viewport.js - 视口换算
+ *
+ * 设计哲学：短边对齐 (Short-Side Fit)
+ *
+ * 核心职责：
+ * 1. 规范化视口尺寸（CSS 像素，取整并限制上限）
+ * 2. 计算视口缩放：视口短边显示的世界范围与 CANVAS.SIZE 的正方形画布相同，
+ *    长边多出的部分额外可见（竖屏手机、超宽屏都不会裁掉玩家周围的区域）
+ * 3. 计算视野半宽/半高（世界单位），供分块加载和可见性筛选使用
+ *
+ * 设计决策：
+ * - 分块加载范围取决于视口，而已加载分块中的实体都参与模拟，
+ *   所以视口是模拟输入：由输入源每步提供（见 InputRecorder），
+ *   不提供视口的输入源（无头模拟）使用 DEFAULT_VIEWPORT
+ * - 设备像素比和动态分辨率只影响渲染，不进入这里的计算
+ */
+
+import { CANVAS } from './GameConfig.js';
+
+/**
+ * 默认视口（参考尺寸的正方形）
+ */
+export const DEFAULT_VIEWPORT = Object.freeze({ width: CANVAS.SIZE, height: CANVAS.SIZE });
+
+/**
+ * 规范化视口尺寸
+ *
+ * @param {number} width - 宽度（CSS 像素）
+ * @param {number} height - 高度（CSS 像素）
+ * @returns {Object} { width, height } 整数，范围 [1, CANVAS.MAX_VIEWPORT_SIZE]
+ */
+export function normalizeViewport(width, height) {
+  const clamp = (value) => Math.max(1, Math.min(CANVAS.MAX_VIEWPORT_SIZE, Math.round(value) || 1));
+  return { width: clamp(width), height: clamp(height) };
+}
+
+/**
+ * 判断两个视口尺寸是否相同
+ *
+ * @param {Object} a - 视口
+ * @param {Object} b - 视口
+ * @returns {boolean}
+ */
+export function viewportsEqual(a, b) {
+  return a.width === b.width && a.height === b.height;
+}
+
+/**
+ * 获取视口缩放（屏幕像素 / 参考像素）
+ *
+ * 引擎的 zoom 以参考画布为准，乘以此值得到实际屏幕上的缩放
+ *
+ * @param {Object} viewport - 视口 { width, height }
+ * @returns {number}
+ */
+export function getViewScale(viewport) {
+  return Math.min(viewport.width, viewport.height) / CANVAS.SIZE;
+}
+
+/**
+ * 获取视野半宽和半高（世界单位）
+ *
+ * @param {Object} viewport - 视口 { width, height }
+ * @param {number} screenZoom - 屏幕缩放（屏幕像素 / 世界单位）
+ * @returns {Object} { halfWidth, halfHeight }
+ */
+export function getViewHalfExtents(viewport, screenZoom) {
+  return {
+    halfWidth: viewport.width / 2 / screenZoom,
+    halfHeight: viewport.height / 2 / screenZoom,
+  };
+}
+
+export default {
+  DEFAULT_VIEWPORT,
+  normalizeViewport,
+  viewportsEqual,
+  getViewScale,
+  getViewHalfExtents,
+};
@@ -5,7 +5,35 @@
 export { default as GameConfig } from './GameConfig.js';
 export * from './GameConfig.js';
 
-export { GameEngine, GameState } from './GameEngine.js';
-export { EntityManager, createPlayer } from './EntityManager.js';
-export { ChunkManager, generateChunk, chunkKey, seededRandom } from './ChunkSystem.js';
+export { GameEngine, GameState, DeathCause } from './GameEngine.js';
+export { EntityManager, createPlayer, DespawnReason } from './EntityManager.js';
+export { EntityStore, EntityType } from './EntityStore.js';
+export { SpatialHash } from './SpatialHash.js';
+export { StepProfiler, StepPhase } from './StepProfiler.js';
+export { DEFAULT_VIEWPORT, normalizeViewport, getViewScale, getViewHalfExtents } from './Viewport.js';
+export { ChunkManager, generateChunk, chunkKey, seededRandom, createWorldSeed, normalizeWorldSeed } from './ChunkSystem.js';
 export * from './PhysicsSystem.js';
+export {
+  PRESET_VERSION,
+  createPreset,
+  validatePreset,
+  serializePreset,
+  parsePreset,
+  applyPreset,
+  loadPresets,
+  savePreset,
+  deletePreset,
+} from './ConfigPresets.js';
+export {
+  DEFAULT_DIFFICULTY,
+  registerDifficultyCurve,
+  evaluateDifficultyCurve,
+  normalizeDifficulty,
+  resolveDifficulty,
+  getDifficultyScales,
+  getEnemyMaxRadius,
+  getDifficultyLabel,
+} from './Difficulty.js';
+export { DifficultyDirector } from './DifficultyDirector.js';
+export { MAX_HIGH_SCORES, loadHighScores, recordHighScore, getBestScore } from './HighScores.js';
+export { SAVE_VERSION, migrateSave, createSave, saveGame, loadGame, hasSavedGame, clearSavedGame } from './SaveSystem.js';
@@ -0,0 +1,337 @@
+/**
+ * HeadlessRunner.js - 无头模拟运行器
+ *
+ * 设计哲学：引擎与渲染分离 (Engine/Renderer Separation)
+ *
+ * 核心职责：
+ * 1. 不依赖 DOM / WebGL，直接按固定步长驱动 GameEngine
+ * 2. 使用脚本或机器人输入源代替玩家
+ * 3. 采集存活时间、成长曲线、得分、死亡原因、实体数量等指标
+ *
+ * 用途：
+ * - 对比不同 PLAYER / ENEMY / BLACK_HOLE / DIFFICULTY 调参及难度预设
+ * - 在 Node 中批量运行（见 scripts/simulate-metaball.js）
+ */
+
+import { SIMULATION, getConfigSnapshot, applyConfigOverrides } from '../core/GameConfig.js';
+import { GameEngine, GameState } from '../core/GameEngine.js';
+import { seededRandom } from '../core/ChunkSystem.js';
+import { DEFAULT_DIFFICULTY } from '../core/Difficulty.js';
+import { GameAction } from '../input/InputManager.js';
+import { ReplayInput } from '../input/InputRecorder.js';
+import { BotPlayer } from '../ai/BotPlayer.js';
+
+/**
+ * 默认脚本：向外扩张的方形螺旋，覆盖原点附近和远处的分块
+ */
+const DEFAULT_SCRIPT = [
+  { actions: [GameAction.MOVE_RIGHT], ticks: 120 },
+  { actions: [GameAction.MOVE_DOWN], ticks: 120 },
+  { actions: [GameAction.MOVE_LEFT], ticks: 240 },
+  { actions: [GameAction.MOVE_UP], ticks: 240 },
+  { actions: [GameAction.MOVE_RIGHT], ticks: 360 },
+  { actions: [GameAction.MOVE_DOWN], ticks: 360 },
+  { actions: [GameAction.MOVE_LEFT], ticks: 480 },
+  { actions: [GameAction.MOVE_UP], ticks: 480 },
+];
+
+/**
+ * 随机漫步可选的方向组合
+ */
+const WALK_DIRECTIONS = [
+  [],
+  [GameAction.MOVE_UP],
+  [GameAction.MOVE_DOWN],
+  [GameAction.MOVE_LEFT],
+  [GameAction.MOVE_RIGHT],
+  [GameAction.MOVE_UP, GameAction.MOVE_LEFT],
+  [GameAction.MOVE_UP, GameAction.MOVE_RIGHT],
+  [GameAction.MOVE_DOWN, GameAction.MOVE_LEFT],
+  [GameAction.MOVE_DOWN, GameAction.MOVE_RIGHT],
+];
+
+/**
+ * 脚本输入源
+ *
+ * 按分段列表依次保持一组动作若干步，可循环
+ */
+export class ScriptedInput {
+  /**
+   * @param {Object} options
+   * @param {Array} options.script - 分段 [{ actions: string[], ticks: number }]
+   * @param {boolean} options.loop - 脚本结束后是否从头循环
+   */
+  constructor({ script = DEFAULT_SCRIPT, loop = true } = {}) {
+    this.script = script;
+    this.loop = loop;
+    this.segmentIndex = 0;
+    this.segmentTick = 0;
+    this.active = new Set();
+  }
+
+  advanceTick() {
+    if (this.segmentIndex >= this.script.length) {
+      if (!this.loop) {
+        this.active.clear();
+        return;
+      }
+      this.segmentIndex = 0;
+    }
+
+    const segment = this.script[this.segmentIndex];
+    this.active = new Set(segment.actions);
+    this.segmentTick++;
+
+    if (this.segmentTick >= segment.ticks) {
+      this.segmentIndex++;
+      this.segmentTick = 0;
+    }
+  }
+
+  isActionActive(action) {
+    return this.active.has(action);
+  }
+}
+
+/**
+ * 随机漫步输入源
+ *
+ * 每隔固定步数随机选择一个方向组合，相同种子产生相同路线
+ */
+export class RandomWalkInput {
+  /**
+   * @param {Object} options
+   * @param {number} options.seed - 随机种子
+   * @param {number} options.interval - 更换方向的间隔（步）
+   */
+  constructor({ seed = 1, interval = 90 } = {}) {
+    this.seed = seed;
+    this.interval = interval;
+    this.active = [];
+  }
+
+  advanceTick(tick) {
+    if ((tick - 1) % this.interval !== 0) return;
+
+    const step = Math.floor((tick - 1) / this.interval);
+    const roll = seededRandom(this.seed * 7919 + step * 31);
+    this.active = WALK_DIRECTIONS[Math.floor(roll * WALK_DIRECTIONS.length)];
+  }
+
+  isActionActive(action) {
+    return this.active.includes(action);
+  }
+}
+
+/**
+ * 输入源注册表
+ *
+ * 工厂签名：(engine, options) => 输入源
+ */
+const inputSources = {
+  scripted: (engine, options) => new ScriptedInput(options),
+  random: (engine, options) => new RandomWalkInput({ ...options, seed: options.seed ?? 1 }),
+  // 录制中的配置覆盖 --config（引擎初始化前写入开始时的配置）
+  replay: (engine, options) => {
+    const replay = new ReplayInput(options.recording);
+    replay.applyConfig(0);
+    return replay;
+  },
+  bot: (engine, options) => new BotPlayer(engine, options),
+};
+
+/**
+ * 注册新的输入源类型
+ *
+ * @param {string} name - 输入源名称
+ * @param {Function} factory - 工厂函数 (engine, options) => 输入源
+ */
+export function registerInputSource(name, factory) {
+  inputSources[name] = factory;
+}
+
+/**
+ * 获取已注册的输入源名称
+ *
+ * @returns {string[]}
+ */
+export function getInputSourceNames() {
+  return Object.keys(inputSources);
+}
+
+/**
+ * 采集一个成长曲线样本
+ *
+ * @param {GameEngine} engine - 游戏引擎
+ * @returns {Object} 样本
+ */
+function takeSample(engine) {
+  const player = engine.entityManager.getPlayer();
+  const stats = engine.getStats();
+
+  return {
+    tick: engine.tick,
+    time: Number(engine.time.toFixed(3)),
+    r: Number(player.r.toFixed(3)),
+    score: engine.score,
+    food: stats.food,
+    enemies: stats.enemies,
+    blackHoles: stats.blackHoles,
+    total: stats.total,
+    chunks: stats.chunks,
+  };
+}
+
+/**
+ * 运行一次无头模拟
+ *
+ * @param {Object} options
+ * @param {number} options.maxTicks - 最大模拟步数
+ * @param {number|null} options.seed - 世界种子，省略时随机生成
+ * @param {Object} options.difficulty - 难度选择 { preset, curve, adaptive }
+ * @param {string} options.input - 输入源名称
+ * @param {Object} options.inputOptions - 传给输入源工厂的参数
+ * @param {Object|null} options.config - 配置覆盖值（可包含 CHUNK / SIMULATION，运行结束后恢复）
+ * @param {number} options.sampleInterval - 成长曲线采样间隔（步）
+ * @returns {Object} 模拟结果
+ */
+export function runSimulation({
+  maxTicks = SIMULATION.TICK_RATE * 60 * 5,
+  seed = null,
+  difficulty = DEFAULT_DIFFICULTY,
+  input = 'scripted',
+  inputOptions = {},
+  config = null,
+  sampleInterval = SIMULATION.TICK_RATE,
+} = {}) {
+  const factory = inputSources[input];
+  if (!factory) {
+    throw new Error(`Unknown input source: ${input}`);
+  }
+
+  // 每局新建引擎，可以覆盖只能在对局开始前调整的配置段
+  const defaults = getConfigSnapshot({ structural: true });
+  if (config) {
+    applyConfigOverrides(config, { structural: true });
+  }
+
+  try {
+    const engine = new GameEngine();
+    let causeOfDeath = null;
+    engine.on('playerDeath', ({ cause }) => {
+      causeOfDeath = cause;
+    });
+
+    engine.setInputManager(factory(engine, { seed, ...inputOptions }));
+    engine.initialize(seed, difficulty);
+
+    const growthCurve = [takeSample(engine)];
+    let maxRadius = engine.entityManager.getPlayer().r;
+
+    while (engine.state === GameState.PLAYING && engine.tick < maxTicks) {
+      engine.step();
+
+      const player = engine.entityManager.getPlayer();
+      maxRadius = Math.max(maxRadius, player.r);
+
+      if (engine.tick % sampleInterval === 0 || engine.state !== GameState.PLAYING) {
+        growthCurve.push(takeSample(engine));
+      }
+    }
+
+    const final = takeSample(engine);
+
+    return {
+      seed: engine.seed,
+      difficulty: { ...engine.difficulty },
+      input,
+      survived: engine.state === GameState.PLAYING,
+      ticks: engine.tick,
+      survivalTime: final.time,
+      score: engine.score,
+      maxRadius: Number(maxRadius.toFixed(3)),
+      finalRadius: final.r,
+      causeOfDeath,
+      milestones: [...engine.reachedMilestones],
+      director: engine.director.getSnapshot(),
+      entityCounts: {
+        food: final.food,
+        enemies: final.enemies,
+        blackHoles: final.blackHoles,
+        total: final.total,
+        chunks: final.chunks,
+      },
+      growthCurve,
+    };
+  } finally {
+    applyConfigOverrides(defaults, { structural: true });
+  }
+}
+
+/**
+ * CSV 字段转义
+ *
+ * @param {*} value - 字段值
+ * @returns {string}
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 将模拟结果汇总为 CSV（每次运行一行）
+ *
+ * @param {Array} results - 模拟结果数组（可带 label 字段）
+ * @returns {string}
+ */
+export function resultsToCSV(results) {
+  const header = [
+    'label', 'seed', 'difficulty', 'curve', 'adaptive', 'directorLevel', 'input', 'survived', 'ticks', 'survivalTime', 'score',
+    'maxRadius', 'finalRadius', 'causeOfDeath', 'milestones',
+    'food', 'enemies', 'blackHoles', 'total', 'chunks',
+  ];
+
+  const rows = results.map(r => [
+    r.label, r.seed, r.difficulty.preset, r.difficulty.curve, r.difficulty.adaptive,
+    Number(r.director.level.toFixed(3)), r.input, r.survived, r.ticks, r.survivalTime, r.score,
+    r.maxRadius, r.finalRadius, r.causeOfDeath, r.milestones.join(' '),
+    r.entityCounts.food, r.entityCounts.enemies, r.entityCounts.blackHoles,
+    r.entityCounts.total, r.entityCounts.chunks,
+  ].map(csvField).join(','));
+
+  return [header.join(','), ...rows].join('\n');
+}
+
+/**
+ * 将成长曲线展开为 CSV（每个样本一行）
+ *
+ * @param {Array} results - 模拟结果数组（可带 label 字段）
+ * @returns {string}
+ */
+export function growthCurvesToCSV(results) {
+  const header = ['label', 'seed', 'tick', 'time', 'r', 'score', 'food', 'enemies', 'blackHoles', 'total', 'chunks'];
+  const rows = [];
+
+  for (const r of results) {
+    for (const s of r.growthCurve) {
+      rows.push([
+        r.label, r.seed, s.tick, s.time, s.r, s.score,
+        s.food, s.enemies, s.blackHoles, s.total, s.chunks,
+      ].map(csvField).join(','));
+    }
+  }
+
+  return [header.join(','), ...rows].join('\n');
+}
+
+export default {
+  ScriptedInput,
+  RandomWalkInput,
+  registerInputSource,
+  getInputSourceNames,
+  runSimulation,
+  resultsToCSV,
+  growthCurvesToCSV,
+};
@@ -8,29 +8,92 @@
 export {
   GameEngine,
   GameState,
+  DeathCause,
   EntityManager,
+  DespawnReason,
+  EntityStore,
+  EntityType,
+  DEFAULT_VIEWPORT,
+  normalizeViewport,
+  getViewScale,
   ChunkManager,
+  createWorldSeed,
+  normalizeWorldSeed,
   GameConfig,
   CANVAS,
   CHUNK,
+  SIMULATION,
   PLAYER,
   CAMERA,
   FOOD,
   ENEMY,
+  ENEMY_PERSONALITIES,
   BLACK_HOLE,
   PHYSICS,
   RENDERING,
   DIFFICULTY,
+  DIFFICULTY_CURVES,
+  DIFFICULTY_PRESETS,
+  DIRECTOR,
   INPUT,
+  BOT,
   UI,
   COLORS,
+  MILESTONES,
+  getMilestoneProgress,
+  getConfigSnapshot,
+  applyConfigOverrides,
+  validateConfigOverrides,
+  resetConfig,
+  getConfigOverrides,
+  setConfigOverrides,
+  getConfigRevision,
+  createPreset,
+  serializePreset,
+  parsePreset,
+  applyPreset,
+  loadPresets,
+  savePreset,
+  deletePreset,
+  DEFAULT_DIFFICULTY,
+  DifficultyDirector,
+  registerDifficultyCurve,
+  normalizeDifficulty,
+  getDifficultyLabel,
+  loadHighScores,
+  recordHighScore,
+  getBestScore,
+  saveGame,
+  loadGame,
+  hasSavedGame,
+  clearSavedGame,
 } from './core/index.js';
 
 // 渲染模块
-export { WebGLRenderer, OverlayRenderer } from './rendering/index.js';
+export {
+  WebGLRenderer,
+  BallDataMode,
+  Canvas2DRenderer,
+  createRenderer,
+  OverlayRenderer,
+  ResolutionScaler,
+  ToastQueue,
+  ToastKind,
+  FrameStats,
+} from './rendering/index.js';
 
 // 输入模块
-export { InputManager, GameAction } from './input/InputManager.js';
+export { InputManager, GameAction, isTextInputTarget } from './input/InputManager.js';
+export { InputRecorder, ReplayInput, startReplay, serializeRecording, parseRecording } from './input/InputRecorder.js';
 
 // AI 模块
-export { updateAllEnemies, AIController, AIBehavior } from './ai/EnemyAI.js';
+export {
+  updateAllEnemies,
+  getChaseRange,
+  getEnemyPersonality,
+  scoreBehaviors,
+  AIController,
+  AIBehavior,
+  EnemyAISystem,
+} from './ai/EnemyAI.js';
+export { BotPlayer } from './ai/BotPlayer.js';
@@ -4,17 +4,26 @@
  * 设计哲学：输入抽象层 (Input Abstraction Layer)
  *
  * 核心职责：
- * 1. 统一处理键盘和触摸输入
+ * 1. 统一处理键盘、触摸和手柄输入
  * 2. 将原始输入转换为游戏意图
  * 3. 支持键位重映射
+ * 4. 提供当前视口尺寸（分块加载范围取决于视口，视口也是模拟输入）
  *
  * 设计优势：
  * - 游戏逻辑与输入设备解耦
- * - 便于添加新的输入方式（手柄等）
+ * - 便于添加新的输入方式
  * - 支持输入缓冲和预输入
+ *
+ * 手柄：
+ * - Gamepad API 没有按键事件，attach 后每帧轮询一次
+ * - 左摇杆提供模拟量移动（getMoveAxis），十字键和摇杆方向同时映射到四个移动动作
+ * - 开始 / 暂停 / 重来按钮按下时触发 actionPressed 事件，由 UI 层像键盘快捷键一样处理
+ * - 热插拔：连接时接管（已有手柄时保持原手柄），断开时切换到其他已连接手柄并触发 gamepadChange 事件
+ * - 摇杆值量化为 1/AXIS_STEPS 的整数倍，录制的整数值回放后得到完全相同的输入
  */
 
 import { INPUT } from '../core/GameConfig.js';
+import { DEFAULT_VIEWPORT, normalizeViewport } from '../core/Viewport.js';
 
 /**
  * 游戏动作枚举
@@ -26,8 +35,91 @@ export const GameAction = {
   MOVE_RIGHT: 'moveRight',
   RESTART: 'restart',
   START: 'start',
+  PAUSE: 'pause',
+  FULLSCREEN: 'fullscreen',
+  DEBUG: 'debug',
+};
+
+/**
+ * 动作到键盘按键的映射
+ */
+const KEYBOARD_BINDINGS = {
+  [GameAction.MOVE_UP]: INPUT.KEYBOARD.UP,
+  [GameAction.MOVE_DOWN]: INPUT.KEYBOARD.DOWN,
+  [GameAction.MOVE_LEFT]: INPUT.KEYBOARD.LEFT,
+  [GameAction.MOVE_RIGHT]: INPUT.KEYBOARD.RIGHT,
+  [GameAction.RESTART]: INPUT.KEYBOARD.RESTART,
+  [GameAction.START]: INPUT.KEYBOARD.START,
+  [GameAction.PAUSE]: INPUT.KEYBOARD.PAUSE,
+  [GameAction.FULLSCREEN]: INPUT.KEYBOARD.FULLSCREEN,
+  [GameAction.DEBUG]: INPUT.KEYBOARD.DEBUG,
 };
 
+/**
+ * 摇杆值的量化步数（录制格式的一部分，修改后旧录制无法正确回放）
+ */
+export const AXIS_STEPS = 100;
+
+// 摇杆映射到八方向移动动作时，分量超过长度的此比例才算按下（约 22.5° 分界）
+const DIRECTION_THRESHOLD = 0.38;
+
+// 移动动作及对应的手柄按钮配置
+const MOVE_ACTIONS = [
+  [GameAction.MOVE_UP, 'UP'],
+  [GameAction.MOVE_DOWN, 'DOWN'],
+  [GameAction.MOVE_LEFT, 'LEFT'],
+  [GameAction.MOVE_RIGHT, 'RIGHT'],
+];
+
+// 按下时触发 actionPressed 的控制动作及对应的手柄按钮配置
+const CONTROL_ACTIONS = [
+  [GameAction.PAUSE, 'PAUSE'],
+  [GameAction.START, 'START'],
+  [GameAction.RESTART, 'RESTART'],
+];
+
+/**
+ * 读取移动摇杆（径向死区，死区外的行程重新映射到 0-1，并量化）
+ *
+ * @param {Gamepad} gamepad - 手柄
+ * @returns {Object|null} { x, y }，摇杆在死区内时返回 null
+ */
+function readStick(gamepad) {
+  const { DEADZONE, STICK_X, STICK_Y } = INPUT.GAMEPAD;
+  const x = gamepad.axes[STICK_X] ?? 0;
+  const y = gamepad.axes[STICK_Y] ?? 0;
+  const magnitude = Math.sqrt(x * x + y * y);
+  if (magnitude <= DEADZONE) return null;
+
+  const scale = (Math.min(1, magnitude) - DEADZONE) / (1 - DEADZONE) / magnitude;
+  return {
+    x: Math.round(x * scale * AXIS_STEPS) / AXIS_STEPS,
+    y: Math.round(y * scale * AXIS_STEPS) / AXIS_STEPS,
+  };
+}
+
+/**
+ * 手柄上是否按下了任一按钮
+ *
+ * @param {Gamepad} gamepad - 手柄
+ * @param {number[]} buttons - 按钮编号
+ * @returns {boolean}
+ */
+function isButtonDown(gamepad, buttons) {
+  return buttons.some(index => (gamepad.buttons[index]?.value ?? 0) >= INPUT.GAMEPAD.BUTTON_THRESHOLD);
+}
+
+/**
+ * 判断键盘事件是否来自表单控件（在输入框里打字不应移动玩家或触发快捷键）
+ *
+ * @param {EventTarget|null} target - 事件目标
+ * @returns {boolean}
+ */
+export function isTextInputTarget(target) {
+  if (!target) return false;
+  return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || !!target.isContentEditable;
+}
+
 /**
  * 输入管理器类
  *
@@ -46,18 +138,41 @@ export class InputManager {
       [GameAction.MOVE_RIGHT]: false,
       [GameAction.RESTART]: false,
       [GameAction.START]: false,
+      [GameAction.PAUSE]: false,
+      [GameAction.FULLSCREEN]: false,
+      [GameAction.DEBUG]: false,
     };
 
+    // 视口尺寸（CSS 像素，由 UI 层在画布尺寸变化时设置）
+    this.viewport = DEFAULT_VIEWPORT;
+
     // 触摸状态
     this.touchStart = null;
     this.isTouching = false;
 
+    // 手柄状态：当前使用的手柄编号、按钮映射出的动作、量化后的摇杆值
+    this.gamepadIndex = null;
+    this.gamepadStates = {};
+    this.stick = null;
+    this.gamepadPrimed = false;
+    this.pollId = null;
+    this.rumbleUntil = 0;
+
+    // 事件监听器
+    this.listeners = {
+      actionPressed: [],  // 手柄按下控制按钮 { action }
+      gamepadChange: [],  // 手柄连接 / 断开 { connected, id }
+    };
+
     // 事件处理器绑定
     this.handleKeyDown = this.handleKeyDown.bind(this);
     this.handleKeyUp = this.handleKeyUp.bind(this);
     this.handleTouchStart = this.handleTouchStart.bind(this);
     this.handleTouchMove = this.handleTouchMove.bind(this);
     this.handleTouchEnd = this.handleTouchEnd.bind(this);
+    this.handleGamepadConnected = this.handleGamepadConnected.bind(this);
+    this.handleGamepadDisconnected = this.handleGamepadDisconnected.bind(this);
+    this.pollGamepad = this.pollGamepad.bind(this);
 
     // 刚按下的键（用于单次触发）
     this.justPressed = new Set();
@@ -71,6 +186,15 @@ export class InputManager {
   attach(touchTarget = null) {
     window.addEventListener('keydown', this.handleKeyDown);
     window.addEventListener('keyup', this.handleKeyUp);
+    window.addEventListener('gamepadconnected', this.handleGamepadConnected);
+    window.addEventListener('gamepaddisconnected', this.handleGamepadDisconnected);
+
+    // 页面加载前已连接的手柄不会触发 gamepadconnected
+    if (this.gamepadIndex === null) {
+      const gamepad = this.getGamepads().find(Boolean);
+      if (gamepad) this.gamepadIndex = gamepad.index;
+    }
+    this.startPolling();
 
     if (touchTarget) {
       touchTarget.addEventListener('touchstart', this.handleTouchStart);
@@ -87,6 +211,9 @@ export class InputManager {
   detach(touchTarget = null) {
     window.removeEventListener('keydown', this.handleKeyDown);
     window.removeEventListener('keyup', this.handleKeyUp);
+    window.removeEventListener('gamepadconnected', this.handleGamepadConnected);
+    window.removeEventListener('gamepaddisconnected', this.handleGamepadDisconnected);
+    this.stopPolling();
 
     if (touchTarget) {
       touchTarget.removeEventListener('touchstart', this.handleTouchStart);
@@ -99,6 +226,9 @@ export class InputManager {
    * 键盘按下处理
    */
   handleKeyDown(e) {
+    // 释放仍照常处理，避免聚焦输入框前按下的键"卡住"
+    if (isTextInputTarget(e.target)) return;
+
     if (!this.keyStates[e.code]) {
       this.justPressed.add(e.code);
     }
@@ -167,20 +297,175 @@ export class InputManager {
     this.actionStates[GameAction.MOVE_DOWN] = false;
   }
 
+  /**
+   * 获取已连接的手柄列表（不支持 Gamepad API 时为空）
+   *
+   * @returns {Array} 按编号排列，未连接的位置为 null
+   */
+  getGamepads() {
+    if (typeof navigator === 'undefined' || !navigator.getGamepads) return [];
+    return [...navigator.getGamepads()];
+  }
+
+  /**
+   * 获取当前使用的手柄
+   *
+   * @returns {Gamepad|null}
+   */
+  getGamepad() {
+    if (this.gamepadIndex === null) return null;
+    return this.getGamepads()[this.gamepadIndex] ?? null;
+  }
+
+  /**
+   * 手柄连接处理（已有手柄时保持原手柄）
+   */
+  handleGamepadConnected(e) {
+    if (this.getGamepad()) return;
+
+    this.gamepadIndex = e.gamepad.index;
+    this.emit('gamepadChange', { connected: true, id: e.gamepad.id });
+  }
+
+  /**
+   * 手柄断开处理（切换到其他已连接的手柄）
+   */
+  handleGamepadDisconnected(e) {
+    if (e.gamepad.index !== this.gamepadIndex) return;
+
+    const next = this.getGamepads().find(gamepad => gamepad && gamepad.index !== e.gamepad.index);
+    this.gamepadIndex = next ? next.index : null;
+    this.clearGamepadStates();
+    this.emit('gamepadChange', next
+      ? { connected: true, id: next.id }
+      : { connected: false, id: e.gamepad.id });
+  }
+
+  /**
+   * 开始逐帧轮询手柄
+   */
+  startPolling() {
+    if (this.pollId !== null || typeof requestAnimationFrame === 'undefined') return;
+
+    // 第一次轮询只记录按钮状态：重新注册监听时仍按住的按钮不会再次触发
+    this.gamepadPrimed = false;
+    this.pollId = requestAnimationFrame(this.pollGamepad);
+  }
+
+  /**
+   * 停止轮询手柄
+   */
+  stopPolling() {
+    if (this.pollId === null) return;
+    cancelAnimationFrame(this.pollId);
+    this.pollId = null;
+  }
+
+  /**
+   * 读取手柄状态：更新移动动作和摇杆值，控制按钮按下时触发 actionPressed
+   */
+  pollGamepad() {
+    this.pollId = requestAnimationFrame(this.pollGamepad);
+
+    const gamepad = this.getGamepad();
+    if (!gamepad) return;
+
+    const stick = readStick(gamepad);
+    const states = {};
+    for (const [action, key] of MOVE_ACTIONS) {
+      states[action] = isButtonDown(gamepad, INPUT.GAMEPAD[key]);
+    }
+    if (stick) {
+      // 摇杆方向也映射到移动动作
+      const threshold = Math.sqrt(stick.x * stick.x + stick.y * stick.y) * DIRECTION_THRESHOLD;
+      states[GameAction.MOVE_UP] ||= stick.y < -threshold;
+      states[GameAction.MOVE_DOWN] ||= stick.y > threshold;
+      states[GameAction.MOVE_LEFT] ||= stick.x < -threshold;
+      states[GameAction.MOVE_RIGHT] ||= stick.x > threshold;
+    }
+
+    const pressed = [];
+    for (const [action, key] of CONTROL_ACTIONS) {
+      states[action] = isButtonDown(gamepad, INPUT.GAMEPAD[key]);
+      if (states[action] && !this.gamepadStates[action] && this.gamepadPrimed) {
+        pressed.push(action);
+      }
+    }
+
+    this.stick = stick;
+    this.gamepadStates = states;
+    this.gamepadPrimed = true;
+    this.updateActionStates();
+
+    for (const action of pressed) {
+      this.emit('actionPressed', { action });
+    }
+  }
+
+  /**
+   * 清除手柄产生的状态
+   */
+  clearGamepadStates() {
+    this.gamepadStates = {};
+    this.stick = null;
+    this.updateActionStates();
+  }
+
+  /**
+   * 手柄震动
+   *
+   * 上一次震动未结束时忽略，连续吃东西时不会一直震个不停
+   *
+   * @param {Object} effect - 震动参数 { DURATION, STRONG, WEAK }（见 INPUT.GAMEPAD.RUMBLE）
+   */
+  rumble(effect) {
+    if (!INPUT.GAMEPAD.RUMBLE.ENABLED) return;
+
+    const actuator = this.getGamepad()?.vibrationActuator;
+    const now = performance.now();
+    if (!actuator || !actuator.playEffect || now < this.rumbleUntil) return;
+
+    this.rumbleUntil = now + effect.DURATION;
+    actuator.playEffect('dual-rumble', {
+      duration: effect.DURATION,
+      strongMagnitude: effect.STRONG,
+      weakMagnitude: effect.WEAK,
+    }).catch(() => {});
+  }
+
   /**
    * 根据按键状态更新动作状态
    */
   updateActionStates() {
+    const pad = this.gamepadStates;
+
     // 如果正在触摸，不覆盖触摸产生的方向状态
     if (!this.isTouching) {
-      this.actionStates[GameAction.MOVE_UP] = INPUT.KEYBOARD.UP.some(key => this.keyStates[key]);
-      this.actionStates[GameAction.MOVE_DOWN] = INPUT.KEYBOARD.DOWN.some(key => this.keyStates[key]);
-      this.actionStates[GameAction.MOVE_LEFT] = INPUT.KEYBOARD.LEFT.some(key => this.keyStates[key]);
-      this.actionStates[GameAction.MOVE_RIGHT] = INPUT.KEYBOARD.RIGHT.some(key => this.keyStates[key]);
+      this.actionStates[GameAction.MOVE_UP] = INPUT.KEYBOARD.UP.some(key => this.keyStates[key]) || !!pad[GameAction.MOVE_UP];
+      this.actionStates[GameAction.MOVE_DOWN] = INPUT.KEYBOARD.DOWN.some(key => this.keyStates[key]) || !!pad[GameAction.MOVE_DOWN];
+      this.actionStates[GameAction.MOVE_LEFT] = INPUT.KEYBOARD.LEFT.some(key => this.keyStates[key]) || !!pad[GameAction.MOVE_LEFT];
+      this.actionStates[GameAction.MOVE_RIGHT] = INPUT.KEYBOARD.RIGHT.some(key => this.keyStates[key]) || !!pad[GameAction.MOVE_RIGHT];
     }
 
-    this.actionStates[GameAction.RESTART] = INPUT.KEYBOARD.RESTART.some(key => this.keyStates[key]);
-    this.actionStates[GameAction.START] = INPUT.KEYBOARD.START.some(key => this.keyStates[key]);
+    this.actionStates[GameAction.RESTART] = INPUT.KEYBOARD.RESTART.some(key => this.keyStates[key]) || !!pad[GameAction.RESTART];
+    this.actionStates[GameAction.START] = INPUT.KEYBOARD.START.some(key => this.keyStates[key]) || !!pad[GameAction.START];
+    this.actionStates[GameAction.PAUSE] = INPUT.KEYBOARD.PAUSE.some(key => this.keyStates[key]) || !!pad[GameAction.PAUSE];
+    this.actionStates[GameAction.FULLSCREEN] = INPUT.KEYBOARD.FULLSCREEN.some(key => this.keyStates[key]);
+    this.actionStates[GameAction.DEBUG] = INPUT.KEYBOARD.DEBUG.some(key => this.keyStates[key]);
+  }
+
+  /**
+   * 检查按键是否绑定到指定动作
+   *
+   * 用于 UI 层处理单次触发的控制键（开始、重来、暂停）
+   *
+   * @param {string} keyCode - 按键代码
+   * @param {string} action - 动作名称
+   * @returns {boolean}
+   */
+  matchesAction(keyCode, action) {
+    const keys = KEYBOARD_BINDINGS[action];
+    return keys ? keys.includes(keyCode) : false;
   }
 
   /**
@@ -193,6 +478,45 @@ export class InputManager {
     return this.actionStates[action] || false;
   }
 
+  /**
+   * 获取摇杆的模拟量移动输入
+   *
+   * 触摸时以触摸为准；摇杆在死区内时返回 null，引擎改用四个移动动作
+   *
+   * @returns {Object|null} { x, y }，各分量在 -1 到 1 之间，长度不超过 1
+   */
+  getMoveAxis() {
+    return this.isTouching ? null : this.stick;
+  }
+
+  /**
+   * 是否连接了手柄
+   *
+   * @returns {boolean}
+   */
+  hasGamepad() {
+    return this.getGamepad() !== null;
+  }
+
+  /**
+   * 设置视口尺寸
+   *
+   * @param {number} width - 宽度（CSS 像素）
+   * @param {number} height - 高度（CSS 像素）
+   */
+  setViewport(width, height) {
+    this.viewport = normalizeViewport(width, height);
+  }
+
+  /**
+   * 获取视口尺寸
+   *
+   * @returns {Object} { width, height }
+   */
+  getViewport() {
+    return this.viewport;
+  }
+
   /**
    * 检查按键是否刚被按下（单次触发）
    *
@@ -216,6 +540,11 @@ export class InputManager {
    * @returns {Object} { x, y } 归一化方向向量
    */
   getMoveDirection() {
+    const axis = this.getMoveAxis();
+    if (axis) {
+      return { x: axis.x, y: axis.y };
+    }
+
     let x = 0;
     let y = 0;
 
@@ -249,21 +578,68 @@ export class InputManager {
   }
 
   /**
-   * 重置所有状态
+   * 重置所有状态（视口尺寸保留）
    */
   reset() {
     this.keyStates = {};
     this.touchStart = null;
     this.isTouching = false;
     this.justPressed.clear();
+    this.gamepadStates = {};
+    this.stick = null;
+    this.gamepadPrimed = false;
 
     for (const action in this.actionStates) {
       this.actionStates[action] = false;
     }
   }
+
+  // ============================================================
+  // 事件系统
+  // ============================================================
+
+  /**
+   * 添加事件监听器
+   *
+   * @param {string} event - 事件名称
+   * @param {Function} callback - 回调函数
+   */
+  on(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event].push(callback);
+    }
+  }
+
+  /**
+   * 移除事件监听器
+   *
+   * @param {string} event - 事件名称
+   * @param {Function} callback - 回调函数
+   */
+  off(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+    }
+  }
+
+  /**
+   * 触发事件
+   *
+   * @param {string} event - 事件名称
+   * @param {Object} data - 事件数据
+   */
+  emit(event, data) {
+    if (this.listeners[event]) {
+      for (const callback of this.listeners[event]) {
+        callback(data);
+      }
+    }
+  }
 }
 
 export default {
   GameAction,
+  AXIS_STEPS,
   InputManager,
+  isTextInputTarget,
 };
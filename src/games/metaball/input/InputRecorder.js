@@ -0,0 +1,467 @@
+/**
+ * InputRecorder.js - 输入录制与回放
+ *
+ * 设计哲学：确定性回放 (Deterministic Replay)
+ *
+ * 核心原理：
+ * - 模拟以固定时间步长推进，结果只取决于世界种子和每步输入
+ * - 因此只需记录「种子 + 难度 + 每步动作状态 + 摇杆值 + 视口变化 + 配置调整」即可完整重现一局游戏
+ *
+ * 输入源协议（GameEngine 读取）：
+ * - isActionActive(action) - 查询动作是否激活
+ * - advanceTick(tick)      - 可选，每个模拟步开始时调用
+ * - getMoveAxis()          - 可选，返回模拟量移动 { x, y }（手柄摇杆），为 null 时使用四个移动动作
+ * - getViewport()          - 可选，返回视口 { width, height }，缺省为 DEFAULT_VIEWPORT
+ *
+ * 录制格式：
+ * - 每步动作编码为位掩码，摇杆值编码为 1/AXIS_STEPS 的整数倍
+ * - 连续相同的输入做游程编码 [[mask, count], ...]，使用摇杆时为 [mask, count, x, y]，便于分享和附加到 bug 报告
+ * - 视口只在变化时记录 [[tick, width, height], ...]（分块加载范围取决于视口）
+ * - 配置覆盖值（调参面板、调参预设）在开始时和每次调整后记录 [[tick, overrides], ...]，
+ *   回放时在同一步写回 GameConfig，调参后的对局也能原样重现
+ */
+
+import { GameAction, AXIS_STEPS } from './InputManager.js';
+import { DEFAULT_VIEWPORT, viewportsEqual } from '../core/Viewport.js';
+import { DEFAULT_DIFFICULTY, normalizeDifficulty } from '../core/Difficulty.js';
+import {
+  getConfigOverrides,
+  getConfigRevision,
+  setConfigOverrides,
+  validateConfigOverrides,
+} from '../core/GameConfig.js';
+
+/**
+ * 录制格式版本
+ *
+ * v1 没有视口记录，等同于全程使用 DEFAULT_VIEWPORT
+ * v2 没有难度记录，等同于标准难度；v3 的难度缺少 adaptive 时等同于关闭自适应难度
+ * v4 增加摇杆值（游程项 [mask, count, x, y]），v3 及以前的游程项都是 [mask, count]，格式兼容
+ * v5 增加配置覆盖值记录，v4 及以前等同于全程使用默认配置
+ */
+export const RECORDING_VERSION = 5;
+
+/**
+ * 没有配置记录的旧录制：全程使用默认配置
+ */
+const DEFAULT_CONFIGS = [[0, {}]];
+
+/**
+ * 参与录制的动作及其位掩码
+ *
+ * 只记录影响模拟的动作，开始/暂停等控制键由 UI 层处理
+ */
+const ACTION_BITS = {
+  [GameAction.MOVE_UP]: 1,
+  [GameAction.MOVE_DOWN]: 2,
+  [GameAction.MOVE_LEFT]: 4,
+  [GameAction.MOVE_RIGHT]: 8,
+};
+
+/**
+ * 将输入源的当前动作状态编码为位掩码
+ *
+ * @param {Object} source - 输入源（实现 isActionActive）
+ * @returns {number} 位掩码
+ */
+function sampleMask(source) {
+  let mask = 0;
+  for (const action in ACTION_BITS) {
+    if (source.isActionActive(action)) {
+      mask |= ACTION_BITS[action];
+    }
+  }
+  return mask;
+}
+
+/**
+ * 将输入源的摇杆值编码为整数（没有摇杆输入时为 null）
+ *
+ * @param {Object} source - 输入源（可选实现 getMoveAxis）
+ * @returns {Array|null} [x, y]
+ */
+function sampleAxis(source) {
+  const axis = source.getMoveAxis ? source.getMoveAxis() : null;
+  return axis ? [Math.round(axis.x * AXIS_STEPS), Math.round(axis.y * AXIS_STEPS)] : null;
+}
+
+/**
+ * 解码游程项中的摇杆值
+ *
+ * @param {Array} run - 游程项 [mask, count] 或 [mask, count, x, y]
+ * @returns {Object|null} { x, y }
+ */
+function decodeAxis(run) {
+  return run.length > 2 ? { x: run[2] / AXIS_STEPS, y: run[3] / AXIS_STEPS } : null;
+}
+
+/**
+ * 复制游程项
+ *
+ * @param {Array} run - 游程项
+ * @returns {Array}
+ */
+function copyRun(run) {
+  return run.length > 2 ? [run[0], run[1], run[2], run[3]] : [run[0], run[1]];
+}
+
+/**
+ * 复制配置记录
+ *
+ * @param {Array} configs - 配置记录 [[tick, overrides], ...]
+ * @returns {Array}
+ */
+function copyConfigs(configs) {
+  return configs.map(([tick, overrides]) => [tick, JSON.parse(JSON.stringify(overrides))]);
+}
+
+/**
+ * 获取录制中最后记录的视口
+ *
+ * @param {Array} viewports - 视口变化记录 [[tick, width, height], ...]
+ * @returns {Object} { width, height }
+ */
+function lastViewport(viewports) {
+  const last = viewports[viewports.length - 1];
+  return last ? { width: last[1], height: last[2] } : DEFAULT_VIEWPORT;
+}
+
+/**
+ * 输入录制器
+ *
+ * 包装实时输入源，每个模拟步采样一次动作状态并记录。
+ * 引擎读取的是采样值而非实时值，保证录制内容与模拟实际使用的输入完全一致；
+ * 输入源的 advanceTick 在采样前转发（机器人等按步决策的输入源被包装后照常更新）
+ */
+export class InputRecorder {
+  /**
+   * @param {Object} source - 实时输入源（通常是 InputManager）
+   */
+  constructor(source) {
+    this.source = source;
+    this.seed = null;
+    this.difficulty = DEFAULT_DIFFICULTY;
+    this.runs = [];
+    this.viewports = [];
+    this.configs = [];
+    this.configRevision = getConfigRevision();
+    this.ticks = 0;
+    this.currentMask = 0;
+    this.currentAxis = null;
+    this.currentViewport = DEFAULT_VIEWPORT;
+  }
+
+  /**
+   * 开始新的录制
+   *
+   * @param {number|null} seed - 世界种子
+   * @param {Object} difficulty - 难度选择 { preset, curve }
+   */
+  start(seed = null, difficulty = DEFAULT_DIFFICULTY) {
+    this.seed = seed;
+    this.difficulty = difficulty;
+    this.runs = [];
+    this.viewports = [];
+    this.configs = [[0, getConfigOverrides()]];
+    this.configRevision = getConfigRevision();
+    this.ticks = 0;
+    this.currentMask = 0;
+    this.currentAxis = null;
+    this.currentViewport = DEFAULT_VIEWPORT;
+  }
+
+  /**
+   * 从已有录制继续录制（恢复存档时使用）
+   *
+   * 调用前应先恢复存档中的配置，之后的调整从这里开始记录
+   *
+   * @param {Object} recording - getRecording() 的输出
+   */
+  resume(recording) {
+    this.seed = recording.seed;
+    this.difficulty = normalizeDifficulty(recording.difficulty);
+    this.runs = recording.inputs.map(copyRun);
+    this.viewports = (recording.viewports ?? []).map(entry => [entry[0], entry[1], entry[2]]);
+    this.configs = copyConfigs(recording.configs ?? DEFAULT_CONFIGS);
+    this.configRevision = getConfigRevision();
+    this.ticks = recording.ticks;
+    this.currentMask = 0;
+    this.currentAxis = null;
+    this.currentViewport = lastViewport(this.viewports);
+  }
+
+  /**
+   * 模拟步开始时采样输入
+   *
+   * @param {number} tick - 当前步序号
+   */
+  advanceTick(tick) {
+    if (this.source.advanceTick) {
+      this.source.advanceTick(tick);
+    }
+
+    const mask = sampleMask(this.source);
+    const axis = sampleAxis(this.source);
+    const run = axis ? [mask, 1, axis[0], axis[1]] : [mask, 1];
+    const lastRun = this.runs[this.runs.length - 1];
+
+    if (lastRun && lastRun.length === run.length && lastRun.every((value, i) => i === 1 || value === run[i])) {
+      lastRun[1]++;
+    } else {
+      this.runs.push(run);
+    }
+
+    const viewport = this.source.getViewport ? this.source.getViewport() : DEFAULT_VIEWPORT;
+    if (!viewportsEqual(viewport, this.currentViewport)) {
+      this.viewports.push([tick, viewport.width, viewport.height]);
+      this.currentViewport = viewport;
+    }
+
+    // 上一步之后调整过配置：本步起使用新配置
+    if (getConfigRevision() !== this.configRevision) {
+      this.configs.push([tick, getConfigOverrides()]);
+      this.configRevision = getConfigRevision();
+    }
+
+    this.currentMask = mask;
+    this.currentAxis = decodeAxis(run);
+    this.ticks = tick;
+  }
+
+  /**
+   * 检查动作是否激活（返回本步采样值）
+   *
+   * @param {string} action - 动作名称
+   * @returns {boolean}
+   */
+  isActionActive(action) {
+    const bit = ACTION_BITS[action];
+    if (bit === undefined) {
+      return this.source.isActionActive(action);
+    }
+    return (this.currentMask & bit) !== 0;
+  }
+
+  /**
+   * 获取本步采样的摇杆值（编码后再解码，与回放时完全一致）
+   *
+   * @returns {Object|null} { x, y }
+   */
+  getMoveAxis() {
+    return this.currentAxis;
+  }
+
+  /**
+   * 获取本步采样的视口
+   *
+   * @returns {Object} { width, height }
+   */
+  getViewport() {
+    return this.currentViewport;
+  }
+
+  /**
+   * 获取录制结果
+   *
+   * @returns {Object} 录制数据 { version, seed, difficulty, ticks, inputs, viewports, configs }
+   */
+  getRecording() {
+    return {
+      version: RECORDING_VERSION,
+      seed: this.seed,
+      difficulty: { ...this.difficulty },
+      ticks: this.ticks,
+      inputs: this.runs.map(copyRun),
+      viewports: this.viewports.map(entry => [entry[0], entry[1], entry[2]]),
+      configs: copyConfigs(this.configs),
+    };
+  }
+}
+
+/**
+ * 回放输入源
+ *
+ * 按步序号从录制数据中读取动作状态，代替实时输入驱动引擎；
+ * 录制中的配置调整在对应的步写回 GameConfig（回放结束后保留录制的最终配置，
+ * 需要时由调用方在回放前后保存和恢复自己的配置）
+ */
+export class ReplayInput {
+  /**
+   * @param {Object} recording - 录制数据
+   */
+  constructor(recording) {
+    this.recording = recording;
+    this.runIndex = 0;
+    this.runOffset = 0;
+    this.currentMask = 0;
+    this.currentAxis = null;
+    this.viewports = recording.viewports ?? [];
+    this.viewportIndex = 0;
+    this.currentViewport = DEFAULT_VIEWPORT;
+    this.configs = recording.configs ?? DEFAULT_CONFIGS;
+    this.configIndex = 0;
+    this.finished = recording.inputs.length === 0;
+  }
+
+  /**
+   * 写回截至指定步的配置调整
+   *
+   * 引擎初始化前以 tick = 0 调用，写入录制开始时的配置
+   *
+   * @param {number} tick - 步序号
+   */
+  applyConfig(tick) {
+    const { configs } = this;
+    let overrides = null;
+    while (this.configIndex < configs.length && configs[this.configIndex][0] <= tick) {
+      overrides = configs[this.configIndex++][1];
+    }
+    if (overrides) {
+      setConfigOverrides(overrides);
+    }
+  }
+
+  /**
+   * 模拟步开始时读取下一步输入
+   *
+   * @param {number} tick - 当前步序号
+   */
+  advanceTick(tick) {
+    const { inputs } = this.recording;
+    const { viewports } = this;
+
+    this.applyConfig(tick);
+
+    while (this.viewportIndex < viewports.length && viewports[this.viewportIndex][0] <= tick) {
+      const [, width, height] = viewports[this.viewportIndex++];
+      this.currentViewport = { width, height };
+    }
+
+    if (this.runIndex >= inputs.length) {
+      this.currentMask = 0;
+      this.currentAxis = null;
+      this.finished = true;
+      return;
+    }
+
+    const run = inputs[this.runIndex];
+    const [mask, count] = run;
+    this.currentMask = mask;
+    this.currentAxis = decodeAxis(run);
+    this.runOffset++;
+
+    if (this.runOffset >= count) {
+      this.runIndex++;
+      this.runOffset = 0;
+    }
+  }
+
+  /**
+   * 检查动作是否激活
+   *
+   * @param {string} action - 动作名称
+   * @returns {boolean}
+   */
+  isActionActive(action) {
+    const bit = ACTION_BITS[action];
+    return bit !== undefined && (this.currentMask & bit) !== 0;
+  }
+
+  /**
+   * 获取录制时本步的摇杆值
+   *
+   * @returns {Object|null} { x, y }
+   */
+  getMoveAxis() {
+    return this.currentAxis;
+  }
+
+  /**
+   * 获取录制时本步的视口
+   *
+   * @returns {Object} { width, height }
+   */
+  getViewport() {
+    return this.currentViewport;
+  }
+
+  /**
+   * 录制数据是否已全部回放
+   *
+   * @returns {boolean}
+   */
+  isFinished() {
+    return this.finished;
+  }
+}
+
+/**
+ * 使用录制数据启动回放
+ *
+ * 以录制时的种子、难度和配置重新初始化引擎，并以回放输入源替换实时输入
+ *
+ * @param {GameEngine} engine - 游戏引擎
+ * @param {Object} recording - 录制数据
+ * @returns {ReplayInput} 回放输入源
+ */
+export function startReplay(engine, recording) {
+  const replay = new ReplayInput(recording);
+  replay.applyConfig(0);
+  engine.setInputManager(replay);
+  engine.initialize(recording.seed, normalizeDifficulty(recording.difficulty));
+  return replay;
+}
+
+/**
+ * 序列化录制数据
+ *
+ * @param {Object} recording - 录制数据
+ * @returns {string} JSON 字符串
+ */
+export function serializeRecording(recording) {
+  return JSON.stringify(recording);
+}
+
+/**
+ * 解析并校验录制数据
+ *
+ * @param {string} json - JSON 字符串
+ * @returns {Object} 录制数据
+ * @throws {Error} 格式无效或版本不支持时抛出
+ */
+export function parseRecording(json) {
+  const recording = JSON.parse(json);
+
+  if (!recording || !Array.isArray(recording.inputs)) {
+    throw new Error('Invalid recording: missing inputs');
+  }
+  if (recording.version === 1) {
+    return { ...recording, version: RECORDING_VERSION, viewports: [], difficulty: normalizeDifficulty(null), configs: DEFAULT_CONFIGS };
+  }
+  if (recording.version === 2) {
+    return { ...recording, version: RECORDING_VERSION, difficulty: normalizeDifficulty(null), configs: DEFAULT_CONFIGS };
+  }
+  if (recording.version === 3 || recording.version === 4) {
+    return { ...recording, version: RECORDING_VERSION, configs: DEFAULT_CONFIGS };
+  }
+  if (recording.version !== RECORDING_VERSION) {
+    throw new Error(`Unsupported recording version: ${recording.version}`);
+  }
+  if (!Array.isArray(recording.configs)) {
+    throw new Error('Invalid recording: missing configs');
+  }
+  for (const [, overrides] of recording.configs) {
+    validateConfigOverrides(overrides);
+  }
+
+  return recording;
+}
+
+export default {
+  RECORDING_VERSION,
+  InputRecorder,
+  ReplayInput,
+  startReplay,
+  serializeRecording,
+  parseRecording,
+};
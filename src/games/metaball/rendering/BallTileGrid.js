@@ -0,0 +1,148 @@
+/**
+ * BallTileGrid.js - 屏幕分块球体索引
+ *
+ * 设计哲学：只算附近的 (Locality)
+ *
+ * 核心职责：
+ * 1. 把屏幕划分为 TILE_SIZE 像素的分块
+ * 2. 按每个球体的影响半径，把它的索引登记到覆盖的分块
+ * 3. 输出可直接上传为浮点纹理的分块表和索引表
+ *
+ * 片段着色器只累加所在分块的球体，每像素开销与全场球体总数无关。
+ * 每个分块最多登记 MAX_BALLS_PER_TILE 个球体，超出的按球体顺序丢弃
+ *
+ * 纯 JS 实现，不依赖 WebGL，便于在无头环境中检查
+ */
+
+// 索引纹理宽度（纹素），每个纹素打包 4 个索引
+const INDEX_TEXTURE_WIDTH = 256;
+
+/**
+ * 屏幕分块网格类
+ */
+export class BallTileGrid {
+  /**
+   * @param {number} tileSize - 分块大小（像素）
+   * @param {number} maxBallsPerTile - 每个分块最多登记的球体数
+   */
+  constructor(tileSize, maxBallsPerTile) {
+    this.tileSize = tileSize;
+    this.maxBallsPerTile = maxBallsPerTile;
+    this.width = 0;
+    this.height = 0;
+    this.tilesX = 0;
+    this.tilesY = 0;
+    this.tileCounts = null;
+    this.tileCursors = null;
+    // 分块表：每个分块 (索引起点, 球体数, 0, 0)
+    this.tileData = null;
+    // 索引表：每个纹素 4 个球体索引
+    this.indexData = null;
+    this.indexTextureWidth = INDEX_TEXTURE_WIDTH;
+    this.indexTextureHeight = 0;
+    // 最近一次构建中因分块已满被丢弃的登记数
+    this.droppedEntries = 0;
+  }
+
+  /**
+   * 按画布尺寸重建分块网格
+   *
+   * @param {number} width - 画布宽度（像素）
+   * @param {number} height - 画布高度（像素）
+   */
+  resize(width, height) {
+    if (width === this.width && height === this.height) return;
+
+    this.width = width;
+    this.height = height;
+    this.tilesX = Math.max(1, Math.ceil(width / this.tileSize));
+    this.tilesY = Math.max(1, Math.ceil(height / this.tileSize));
+
+    const tileCount = this.tilesX * this.tilesY;
+    this.tileCounts = new Uint32Array(tileCount);
+    this.tileCursors = new Uint32Array(tileCount);
+    this.tileData = new Float32Array(tileCount * 4);
+
+    const maxEntries = tileCount * this.maxBallsPerTile;
+    this.indexTextureHeight = Math.max(1, Math.ceil(maxEntries / 4 / INDEX_TEXTURE_WIDTH));
+    this.indexData = new Float32Array(INDEX_TEXTURE_WIDTH * this.indexTextureHeight * 4);
+  }
+
+  /**
+   * 遍历球体覆盖的分块范围
+   *
+   * @param {Float32Array} ballData - 球体数据 (x, y, r, hue) * n
+   * @param {number} i - 球体序号
+   * @param {Object} view - { cameraX, cameraY, zoom, influence }
+   * @param {Function} visit - 回调 (tileIndex) => void
+   */
+  forEachCoveredTile(ballData, i, view, visit) {
+    const { cameraX, cameraY, zoom, influence } = view;
+    const screenX = (ballData[i * 4] - cameraX) * zoom + this.width / 2;
+    const screenY = (ballData[i * 4 + 1] - cameraY) * zoom + this.height / 2;
+    const reach = ballData[i * 4 + 2] * influence * zoom;
+
+    const minTx = Math.max(0, Math.floor((screenX - reach) / this.tileSize));
+    const maxTx = Math.min(this.tilesX - 1, Math.floor((screenX + reach) / this.tileSize));
+    const minTy = Math.max(0, Math.floor((screenY - reach) / this.tileSize));
+    const maxTy = Math.min(this.tilesY - 1, Math.floor((screenY + reach) / this.tileSize));
+
+    for (let ty = minTy; ty <= maxTy; ty++) {
+      for (let tx = minTx; tx <= maxTx; tx++) {
+        visit(ty * this.tilesX + tx);
+      }
+    }
+  }
+
+  /**
+   * 构建分块表和索引表
+   *
+   * 两遍：先统计每个分块的球体数并计算起点，再写入索引
+   *
+   * @param {Float32Array} ballData - 球体数据 (x, y, r, hue) * n
+   * @param {number} ballCount - 球体数量
+   * @param {number} cameraX - 摄像机 X 坐标
+   * @param {number} cameraY - 摄像机 Y 坐标
+   * @param {number} zoom - 缩放级别
+   * @param {number} influence - 影响半径倍数（相对球体半径）
+   */
+  build(ballData, ballCount, cameraX, cameraY, zoom, influence) {
+    const { tileCounts, tileCursors, tileData, indexData, maxBallsPerTile } = this;
+    const view = { cameraX, cameraY, zoom, influence };
+
+    let ballIndex = 0;
+    const countTile = (tile) => {
+      tileCounts[tile]++;
+    };
+    const writeTile = (tile) => {
+      const end = tileData[tile * 4] + tileData[tile * 4 + 1];
+      if (tileCursors[tile] < end) {
+        indexData[tileCursors[tile]++] = ballIndex;
+      }
+    };
+
+    tileCounts.fill(0);
+    for (ballIndex = 0; ballIndex < ballCount; ballIndex++) {
+      this.forEachCoveredTile(ballData, ballIndex, view, countTile);
+    }
+
+    let offset = 0;
+    let dropped = 0;
+    for (let tile = 0; tile < tileCounts.length; tile++) {
+      const count = Math.min(tileCounts[tile], maxBallsPerTile);
+      dropped += tileCounts[tile] - count;
+      tileData[tile * 4] = offset;
+      tileData[tile * 4 + 1] = count;
+      tileCursors[tile] = offset;
+      offset += count;
+    }
+
+    for (ballIndex = 0; ballIndex < ballCount; ballIndex++) {
+      this.forEachCoveredTile(ballData, ballIndex, view, writeTile);
+    }
+
+    this.droppedEntries = dropped;
+  }
+}
+
+export default BallTileGrid;
@@ -0,0 +1,426 @@
+/**
+ * Canvas2DRenderer.js - Canvas2D 回退渲染器
+ *
+ * 设计哲学：优雅降级 (Graceful Degradation)
+ *
+ * 核心职责：
+ * 1. 不支持 WebGL 时仍然画出 Metaball 世界
+ * 2. 与 WebGLRenderer 相同的接口：initialize / render(renderState) / resize / dispose
+ *
+ * 实现方式：低分辨率场采样
+ * - 每 CELL_SIZE 个 CSS 像素采样一次场值，结果写入小尺寸 ImageData
+ * - 按球体散射累加（只遍历影响半径覆盖的采样点），开销与球体覆盖面积成正比
+ * - 着色规则与片段着色器一致（Metaball 表面、边缘光晕、黑洞吸积盘）
+ * - 背景和网格直接用 2D API 绘制，采样图以透明背景平滑放大后叠加，网格线保持清晰
+ *
+ * 动态分辨率降级时采样间隔相应变大
+ */
+
+import { RENDERING } from '../core/GameConfig.js';
+
+/**
+ * HSL 转 RGB（与着色器中的 hsl2rgb 相同）
+ *
+ * @param {number} h - 色调 (0-360)
+ * @param {number} s - 饱和度 (0-100)
+ * @param {number} l - 亮度 (0-100)
+ * @param {Float32Array} out - 输出 [r, g, b]（0-1）
+ */
+function hslToRgb(h, s, l, out) {
+  h = (((h % 360) + 360) % 360) / 360;
+  s /= 100;
+  l /= 100;
+
+  const c = (1 - Math.abs(2 * l - 1)) * s;
+  const x = c * (1 - Math.abs(((h * 6) % 2) - 1));
+  const m = l - c / 2;
+  const hue6 = h * 6;
+
+  let r, g, b;
+  if (hue6 < 1) { r = c; g = x; b = 0; }
+  else if (hue6 < 2) { r = x; g = c; b = 0; }
+  else if (hue6 < 3) { r = 0; g = c; b = x; }
+  else if (hue6 < 4) { r = 0; g = x; b = c; }
+  else if (hue6 < 5) { r = x; g = 0; b = c; }
+  else { r = c; g = 0; b = x; }
+
+  out[0] = r + m;
+  out[1] = g + m;
+  out[2] = b + m;
+}
+
+/**
+ * 判断色调是否为黑洞（与着色器相同的约定）
+ *
+ * @param {number} hue - 色调
+ * @returns {boolean}
+ */
+function isBlackHoleHue(hue) {
+  return hue > 265 && hue < 275;
+}
+
+/**
+ * Canvas2D 渲染器类
+ */
+export class Canvas2DRenderer {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = null;
+    // 场采样图（离屏画布）
+    this.fieldCanvas = null;
+    this.fieldCtx = null;
+    this.imageData = null;
+    // 每个采样点的累加值
+    this.field = null;
+    this.weightedHue = null;
+    this.totalWeight = null;
+    this.blackHoleField = null;
+    this.cols = 0;
+    this.rows = 0;
+    this.cellSize = RENDERING.CANVAS2D.CELL_SIZE;
+    // 视口尺寸（CSS 像素）与画布像素比
+    this.width = canvas.width;
+    this.height = canvas.height;
+    this.pixelRatio = 1;
+    this.threshold = RENDERING.METABALL_THRESHOLD;
+    this.gridSize = RENDERING.GRID_SIZE;
+    this.color = new Float32Array(3);
+    this.ballColor = new Float32Array(3);
+    this.isInitialized = false;
+  }
+
+  /**
+   * 初始化 2D 上下文
+   *
+   * 画布已绑定 WebGL 上下文时无法获取 2D 上下文，返回 false
+   *
+   * @returns {boolean} 是否初始化成功
+   */
+  initialize() {
+    const ctx = this.canvas.getContext('2d');
+    if (!ctx) {
+      console.error('Canvas2D not supported');
+      return false;
+    }
+
+    this.ctx = ctx;
+    this.fieldCanvas = document.createElement('canvas');
+    this.fieldCtx = this.fieldCanvas.getContext('2d');
+    this.isInitialized = true;
+    this.allocateField();
+    this.applyTransform();
+
+    return true;
+  }
+
+  /**
+   * 按视口和像素比分配采样缓冲区
+   */
+  allocateField() {
+    if (!this.isInitialized) return;
+
+    // 像素比低于 1（动态分辨率降级）时采样更稀疏
+    this.cellSize = RENDERING.CANVAS2D.CELL_SIZE / Math.min(1, this.pixelRatio);
+    const cols = Math.ceil(this.width / this.cellSize) + 1;
+    const rows = Math.ceil(this.height / this.cellSize) + 1;
+    if (cols === this.cols && rows === this.rows) return;
+
+    const size = cols * rows;
+    this.cols = cols;
+    this.rows = rows;
+    this.field = new Float32Array(size);
+    this.weightedHue = new Float32Array(size);
+    this.totalWeight = new Float32Array(size);
+    this.blackHoleField = new Float32Array(size);
+    this.fieldCanvas.width = cols;
+    this.fieldCanvas.height = rows;
+    this.imageData = this.fieldCtx.createImageData(cols, rows);
+  }
+
+  /**
+   * 设置 CSS 像素到画布像素的变换
+   */
+  applyTransform() {
+    if (!this.ctx) return;
+    const ratio = this.canvas.width / this.width;
+    this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  }
+
+  /**
+   * 累加所有球体的场值
+   *
+   * @param {Object} renderState - 渲染状态
+   * @param {number} ballCount - 参与累加的球体数
+   */
+  accumulate(renderState, ballCount) {
+    const { cameraX, cameraY, zoom, time, ballData } = renderState;
+    const { cols, rows, cellSize, field, weightedHue, totalWeight, blackHoleField } = this;
+    const halfWidth = this.width / 2;
+    const halfHeight = this.height / 2;
+
+    field.fill(0);
+    weightedHue.fill(0);
+    totalWeight.fill(0);
+    blackHoleField.fill(0);
+
+    for (let b = 0; b < ballCount; b++) {
+      const bx = ballData[b * 4];
+      const by = ballData[b * 4 + 1];
+      const r = ballData[b * 4 + 2];
+      const hue = ballData[b * 4 + 3];
+      const isBlackHole = isBlackHoleHue(hue);
+
+      // 黑洞的透镜范围为 6r；普通球体超出影响半径的贡献忽略（与分块着色器一致）
+      const reach = r * (isBlackHole ? 6 : RENDERING.BALL_INFLUENCE);
+      const reachSq = reach * reach;
+
+      const centerX = (bx - cameraX) * zoom + halfWidth;
+      const centerY = (by - cameraY) * zoom + halfHeight;
+      const screenReach = reach * zoom;
+      const minI = Math.max(0, Math.floor((centerX - screenReach) / cellSize));
+      const maxI = Math.min(cols - 1, Math.ceil((centerX + screenReach) / cellSize));
+      const minJ = Math.max(0, Math.floor((centerY - screenReach) / cellSize));
+      const maxJ = Math.min(rows - 1, Math.ceil((centerY + screenReach) / cellSize));
+
+      for (let j = minJ; j <= maxJ; j++) {
+        const dy = (j * cellSize - halfHeight) / zoom + cameraY - by;
+        for (let i = minI; i <= maxI; i++) {
+          const dx = (i * cellSize - halfWidth) / zoom + cameraX - bx;
+          const distSq = dx * dx + dy * dy + 1;
+          if (distSq > reachSq) continue;
+
+          const k = j * cols + i;
+
+          if (!isBlackHole) {
+            const f = (r * r) / distSq;
+            field[k] += f;
+            if (f > 0.05) {
+              weightedHue[k] += hue * f;
+              totalWeight[k] += f;
+            }
+            continue;
+          }
+
+          // 黑洞：事件视界、吸积盘螺旋、引力透镜
+          const dist = Math.sqrt(distSq);
+          const bhRadius = r * 2;
+          let value = 0;
+          if (dist < bhRadius) {
+            const eventHorizon = r * 0.8;
+            if (dist < eventHorizon) {
+              value = 1;
+            } else {
+              const diskFactor = (dist - eventHorizon) / (bhRadius - eventHorizon);
+              const angle = Math.atan2(dy, dx) + time * 2 - dist * 0.1;
+              const spiral = Math.sin(angle * 3 + dist * 0.3) * 0.5 + 0.5;
+              value = (1 - diskFactor) * 0.9 * (0.5 + spiral * 0.5);
+            }
+          } else {
+            value = (1 - (dist - bhRadius) / (reach - bhRadius)) * 0.3 * 0.2;
+          }
+          if (value > blackHoleField[k]) blackHoleField[k] = value;
+        }
+      }
+    }
+  }
+
+  /**
+   * 根据场值着色写入采样图（背景透明）
+   */
+  shade() {
+    const { field, weightedHue, totalWeight, blackHoleField, threshold, color, ballColor } = this;
+    const pixels = this.imageData.data;
+
+    for (let k = 0; k < field.length; k++) {
+      const total = field[k];
+      const bh = blackHoleField[k];
+      const hue = totalWeight[k] > 0 ? weightedHue[k] / totalWeight[k] : 200;
+      let alpha = 255;
+
+      if (bh > 0.5) {
+        // 黑洞核心：紫色边缘过渡到纯黑
+        const edgeGlow = (bh - 0.5) * 2;
+        color[0] = 0.05 * (1 - edgeGlow);
+        color[1] = 0;
+        color[2] = 0.1 * (1 - edgeGlow);
+      } else if (bh > 0.1) {
+        // 吸积盘
+        hslToRgb(280 + bh * 40, 80, 30 + bh * 20, color);
+        if (total > threshold) {
+          const intensity = Math.min((total - threshold) / threshold, 1);
+          hslToRgb(hue, 65 + intensity * 25, 35 + intensity * 30, ballColor);
+          for (let c = 0; c < 3; c++) color[c] = ballColor[c] + (color[c] - ballColor[c]) * bh;
+        } else {
+          for (let c = 0; c < 3; c++) color[c] *= bh * 2;
+        }
+      } else if (total > threshold) {
+        // Metaball 表面
+        const intensity = Math.min((total - threshold) / threshold, 1);
+        hslToRgb(hue, 65 + intensity * 25, 35 + intensity * 30, color);
+      } else if (total > threshold * 0.6) {
+        // 边缘光晕
+        const edgeIntensity = (total - threshold * 0.6) / (threshold * 0.4);
+        hslToRgb(hue, 50, 25, color);
+        for (let c = 0; c < 3; c++) color[c] *= edgeIntensity * 0.7;
+      } else {
+        alpha = 0;
+      }
+
+      const p = k * 4;
+      pixels[p] = color[0] * 255;
+      pixels[p + 1] = color[1] * 255;
+      pixels[p + 2] = color[2] * 255;
+      pixels[p + 3] = alpha;
+    }
+  }
+
+  /**
+   * 绘制背景渐变和世界网格
+   *
+   * @param {number} cameraX - 摄像机 X 坐标
+   * @param {number} cameraY - 摄像机 Y 坐标
+   * @param {number} zoom - 屏幕缩放
+   */
+  drawBackground(cameraX, cameraY, zoom) {
+    const { ctx, width, height, gridSize } = this;
+
+    const gradient = ctx.createLinearGradient(0, 0, 0, height);
+    gradient.addColorStop(0, 'rgb(10, 10, 12)');
+    gradient.addColorStop(1, 'rgb(16, 16, 18)');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+
+    const step = gridSize * zoom;
+    if (step < 4) return;
+
+    const left = cameraX - width / 2 / zoom;
+    const top = cameraY - height / 2 / zoom;
+    const offsetX = (Math.ceil(left / gridSize) * gridSize - left) * zoom;
+    const offsetY = (Math.ceil(top / gridSize) * gridSize - top) * zoom;
+
+    ctx.strokeStyle = 'rgb(22, 22, 31)';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    for (let x = offsetX; x <= width; x += step) {
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+    }
+    for (let y = offsetY; y <= height; y += step) {
+      ctx.moveTo(0, y);
+      ctx.lineTo(width, y);
+    }
+    ctx.stroke();
+  }
+
+  /**
+   * 渲染一帧
+   *
+   * @param {Object} renderState - 渲染状态（同 WebGLRenderer.render）
+   */
+  render(renderState) {
+    if (!this.isInitialized) {
+      console.warn('Canvas2DRenderer not initialized');
+      return;
+    }
+
+    const { ctx, cellSize } = this;
+    const { cameraX, cameraY, zoom, ballCount } = renderState;
+
+    this.accumulate(renderState, Math.min(ballCount, this.getMaxBalls()));
+    this.shade();
+    this.fieldCtx.putImageData(this.imageData, 0, 0);
+
+    this.drawBackground(cameraX, cameraY, zoom);
+
+    // 采样点 (i, j) 位于 (i * cellSize, j * cellSize)，放大时对齐像素中心
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(
+      this.fieldCanvas,
+      -cellSize / 2,
+      -cellSize / 2,
+      this.cols * cellSize,
+      this.rows * cellSize
+    );
+  }
+
+  /**
+   * 调整画布大小
+   *
+   * @param {number} width - 视口宽度（CSS 像素）
+   * @param {number} height - 视口高度（CSS 像素）
+   * @param {number} pixelRatio - 画布像素 / CSS 像素
+   */
+  resize(width, height, pixelRatio = 1) {
+    this.width = width;
+    this.height = height;
+    this.pixelRatio = pixelRatio;
+    this.canvas.width = Math.max(1, Math.round(width * pixelRatio));
+    this.canvas.height = Math.max(1, Math.round(height * pixelRatio));
+
+    // 修改画布尺寸会重置上下文状态
+    this.applyTransform();
+    this.allocateField();
+  }
+
+  /**
+   * 设置 Metaball 阈值
+   *
+   * @param {number} threshold - 阈值
+   */
+  setThreshold(threshold) {
+    this.threshold = threshold;
+  }
+
+  /**
+   * 设置网格大小
+   *
+   * @param {number} size - 网格大小
+   */
+  setGridSize(size) {
+    this.gridSize = size;
+  }
+
+  /**
+   * 释放缓冲区
+   */
+  dispose() {
+    this.ctx = null;
+    this.fieldCanvas = null;
+    this.fieldCtx = null;
+    this.imageData = null;
+    this.field = null;
+    this.weightedHue = null;
+    this.totalWeight = null;
+    this.blackHoleField = null;
+    this.cols = 0;
+    this.rows = 0;
+    this.isInitialized = false;
+  }
+
+  /**
+   * 获取本渲染器每帧最多能绘制的球体数
+   *
+   * @returns {number}
+   */
+  getMaxBalls() {
+    return RENDERING.CANVAS2D.MAX_BALLS;
+  }
+
+  /**
+   * 获取渲染器信息（用于调试显示）
+   *
+   * @returns {Object} { renderer, maxBalls, width, height, pixelRatio, cellSize }
+   */
+  getInfo() {
+    return {
+      renderer: 'canvas2d',
+      maxBalls: this.getMaxBalls(),
+      width: this.canvas.width,
+      height: this.canvas.height,
+      pixelRatio: this.pixelRatio,
+      cellSize: this.cellSize,
+    };
+  }
+}
+
+export default Canvas2DRenderer;
@@ -0,0 +1,92 @@
+/**
+ * FrameStats.js - 帧时间统计
+ *
+ * 设计哲学：看趋势而不是瞬时值 (Trends over Snapshots)
+ *
+ * 核心职责：
+ * 1. 每秒更新一次 FPS
+ * 2. 用环形缓冲保留最近若干帧的帧间隔，供调试面板绘制曲线
+ * 3. 提供窗口内的平均和最大帧间隔
+ *
+ * 设计决策：
+ * - 预分配 Float32Array，采样不产生垃圾
+ * - 帧间隔取自 requestAnimationFrame 时间戳之差，包含渲染和浏览器自身的开销
+ */
+
+import { UI } from '../core/GameConfig.js';
+
+/**
+ * 帧时间统计类
+ */
+export class FrameStats {
+  constructor(capacity = UI.DEBUG.FRAME_GRAPH_SAMPLES) {
+    this.samples = new Float32Array(capacity);
+    this.reset();
+  }
+
+  /**
+   * 清空统计
+   */
+  reset() {
+    this.samples.fill(0);
+    this.head = 0;
+    this.count = 0;
+    this.fps = 0;
+    this.windowFrames = 0;
+    this.windowStart = null;
+  }
+
+  /**
+   * 记录一帧
+   *
+   * @param {number} currentTime - 当前帧时间戳（毫秒）
+   * @param {number} frameMs - 与上一帧的间隔（毫秒），首帧为 0 时不计入曲线
+   */
+  sample(currentTime, frameMs) {
+    if (this.windowStart === null) {
+      this.windowStart = currentTime;
+    }
+    this.windowFrames++;
+    if (currentTime - this.windowStart >= 1000) {
+      this.fps = Math.round((this.windowFrames * 1000) / (currentTime - this.windowStart));
+      this.windowFrames = 0;
+      this.windowStart = currentTime;
+    }
+
+    if (frameMs > 0) {
+      this.samples[this.head] = frameMs;
+      this.head = (this.head + 1) % this.samples.length;
+      this.count = Math.min(this.count + 1, this.samples.length);
+    }
+  }
+
+  /**
+   * 按时间顺序遍历保留的帧间隔（从旧到新）
+   *
+   * @param {Function} visit - 回调 (frameMs, i) => void
+   */
+  forEach(visit) {
+    const capacity = this.samples.length;
+    const start = (this.head - this.count + capacity) % capacity;
+    for (let i = 0; i < this.count; i++) {
+      visit(this.samples[(start + i) % capacity], i);
+    }
+  }
+
+  /**
+   * 获取窗口内的平均和最大帧间隔
+   *
+   * @returns {Object} { average, max }
+   */
+  getSummary() {
+    let sum = 0;
+    let max = 0;
+    this.forEach((frameMs) => {
+      sum += frameMs;
+      if (frameMs > max) max = frameMs;
+    });
+    return { average: this.count > 0 ? sum / this.count : 0, max };
+  }
+}
+
+export default FrameStats;
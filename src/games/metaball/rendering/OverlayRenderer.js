@@ -5,13 +5,19 @@
  *
  * 核心职责：
  * 1. 玩家眼睛动画
- * 2. HUD 信息显示
+ * 2. HUD 信息显示（含里程碑进度条）
  * 3. 小地图渲染
+ * 4. 事件提示横幅（由 ToastQueue 排队和计时）
+ * 5. 调试模式：遥测面板、帧时间曲线、分块/空间哈希/作用范围的世界叠加层
  *
  * 使用 Canvas 2D API，独立于 WebGL 渲染管道
+ *
+ * 布局以 CSS 像素计算，画布按设备像素比放大并通过变换矩阵缩放，
+ * 高分屏上文字和线条保持清晰（覆盖层开销小，不参与动态分辨率）
  */
 
-import { CANVAS, UI, COLORS, PLAYER } from '../core/GameConfig.js';
+import { CANVAS, UI, COLORS, PLAYER, getMilestoneProgress } from '../core/GameConfig.js';
+import { ToastKind } from './ToastQueue.js';
 
 /**
  * 覆盖层渲染器类
@@ -20,13 +26,61 @@ export class OverlayRenderer {
   constructor(canvas) {
     this.canvas = canvas;
     this.ctx = canvas.getContext('2d');
+    // 视口尺寸（CSS 像素）
+    this.width = canvas.width;
+    this.height = canvas.height;
+    this.pixelRatio = 1;
+  }
+
+  /**
+   * 调整画布大小
+   *
+   * @param {number} width - 视口宽度（CSS 像素）
+   * @param {number} height - 视口高度（CSS 像素）
+   * @param {number} pixelRatio - 设备像素比
+   */
+  resize(width, height, pixelRatio = 1) {
+    this.width = width;
+    this.height = height;
+    this.pixelRatio = pixelRatio;
+    this.canvas.width = Math.max(1, Math.round(width * pixelRatio));
+    this.canvas.height = Math.max(1, Math.round(height * pixelRatio));
+    // 修改画布尺寸会重置上下文状态，重新设置缩放
+    this.ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+  }
+
+  /**
+   * 世界坐标转屏幕坐标（CSS 像素）
+   *
+   * @param {number} x - 世界 X 坐标
+   * @param {number} y - 世界 Y 坐标
+   * @param {Object} camera - 摄像机 {x, y}
+   * @param {number} zoom - 屏幕缩放
+   * @returns {Object} { x, y }
+   */
+  worldToScreen(x, y, camera, zoom) {
+    return {
+      x: (x - camera.x) * zoom + this.width / 2,
+      y: (y - camera.y) * zoom + this.height / 2,
+    };
+  }
+
+  /**
+   * 获取小地图边长（随视口短边缩放，参考视口下为 MINIMAP.SIZE）
+   *
+   * @returns {number}
+   */
+  getMinimapSize() {
+    const { MINIMAP } = UI;
+    const scaled = MINIMAP.SIZE * Math.min(this.width, this.height) / CANVAS.SIZE;
+    return Math.round(Math.max(MINIMAP.SIZE, Math.min(MINIMAP.MAX_SIZE, scaled)));
   }
 
   /**
    * 清除画布
    */
   clear() {
-    this.ctx.clearRect(0, 0, CANVAS.SIZE, CANVAS.SIZE);
+    this.ctx.clearRect(0, 0, this.width, this.height);
   }
 
   /**
@@ -41,8 +95,7 @@ export class OverlayRenderer {
     const { PLAYER_EYES } = UI;
 
     // 计算屏幕坐标
-    const screenX = (player.x - camera.x) * zoom + CANVAS.SIZE / 2;
-    const screenY = (player.y - camera.y) * zoom + CANVAS.SIZE / 2;
+    const { x: screenX, y: screenY } = this.worldToScreen(player.x, player.y, camera, zoom);
     const screenR = player.r * zoom;
 
     // 太小时不渲染
@@ -93,15 +146,11 @@ export class OverlayRenderer {
   renderHUD(player) {
     const { ctx } = this;
     const { INFO_PANEL } = UI;
+    const panelY = this.height - INFO_PANEL.HEIGHT - INFO_PANEL.MARGIN;
 
     // 背景
     ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
-    ctx.fillRect(
-      INFO_PANEL.MARGIN,
-      CANVAS.SIZE - INFO_PANEL.HEIGHT - INFO_PANEL.MARGIN,
-      INFO_PANEL.WIDTH,
-      INFO_PANEL.HEIGHT
-    );
+    ctx.fillRect(INFO_PANEL.MARGIN, panelY, INFO_PANEL.WIDTH, INFO_PANEL.HEIGHT);
 
     // 半径显示
     ctx.fillStyle = '#fff';
@@ -109,7 +158,7 @@ export class OverlayRenderer {
     ctx.fillText(
       `r = ${player.r.toFixed(1)}`,
       INFO_PANEL.MARGIN + 8,
-      CANVAS.SIZE - INFO_PANEL.HEIGHT - INFO_PANEL.MARGIN + 18
+      panelY + 18
     );
 
     // 坐标显示
@@ -117,8 +166,57 @@ export class OverlayRenderer {
     ctx.fillText(
       `(${Math.round(player.x)}, ${Math.round(player.y)})`,
       INFO_PANEL.MARGIN + 8,
-      CANVAS.SIZE - INFO_PANEL.HEIGHT - INFO_PANEL.MARGIN + 35
+      panelY + 35
     );
+
+    // 里程碑进度条
+    const { next, progress } = getMilestoneProgress(player.r);
+    const barX = INFO_PANEL.MARGIN + 8;
+    const barWidth = INFO_PANEL.WIDTH - 16;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.fillRect(barX, panelY + 43, barWidth, 5);
+    ctx.fillStyle = next ? '#fc6' : '#6cf';
+    ctx.fillRect(barX, panelY + 43, barWidth * progress, 5);
+
+    ctx.fillStyle = '#aaa';
+    ctx.font = '10px monospace';
+    ctx.fillText(
+      next ? `→ ${next.icon} ${next.title} r${next.radius}` : '全部里程碑已达成',
+      barX,
+      panelY + 62
+    );
+  }
+
+  /**
+   * 渲染提示横幅
+   *
+   * @param {Object} toast - ToastQueue.getVisible() 的返回值
+   */
+  renderToast(toast) {
+    const { ctx } = this;
+    const { TOAST } = UI;
+    const width = Math.min(TOAST.WIDTH, this.width - 20);
+    const x = (this.width - width) / 2;
+    const y = TOAST.TOP + toast.offset;
+    const accent = toast.kind === ToastKind.GRAVITY ? '100, 200, 255' : '255, 204, 102';
+
+    ctx.save();
+    ctx.globalAlpha = toast.opacity;
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    ctx.fillRect(x, y, width, TOAST.HEIGHT);
+    ctx.fillStyle = `rgb(${accent})`;
+    ctx.fillRect(x, y, 3, TOAST.HEIGHT);
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = `rgb(${accent})`;
+    ctx.font = 'bold 15px sans-serif';
+    ctx.fillText(`${toast.icon} ${toast.title}`, this.width / 2, y + 21);
+    ctx.fillStyle = '#ddd';
+    ctx.font = '12px sans-serif';
+    ctx.fillText(toast.message, this.width / 2, y + 40, width - 16);
+
+    ctx.restore();
   }
 
   /**
@@ -131,25 +229,28 @@ export class OverlayRenderer {
     const { ctx } = this;
     const { MINIMAP } = UI;
 
-    const minimapX = CANVAS.SIZE - MINIMAP.SIZE - MINIMAP.MARGIN;
-    const minimapY = CANVAS.SIZE - MINIMAP.SIZE - MINIMAP.MARGIN;
+    // 小地图变大时覆盖的世界范围不变
+    const size = this.getMinimapSize();
+    const scale = MINIMAP.SCALE * size / MINIMAP.SIZE;
+    const minimapX = this.width - size - MINIMAP.MARGIN;
+    const minimapY = this.height - size - MINIMAP.MARGIN;
 
     // 背景
     ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
-    ctx.fillRect(minimapX, minimapY, MINIMAP.SIZE, MINIMAP.SIZE);
+    ctx.fillRect(minimapX, minimapY, size, size);
 
     // 边框
     ctx.strokeStyle = 'rgba(100, 100, 100, 0.5)';
-    ctx.strokeRect(minimapX, minimapY, MINIMAP.SIZE, MINIMAP.SIZE);
+    ctx.strokeRect(minimapX, minimapY, size, size);
 
     // 渲染实体点
     for (const entity of entities) {
-      const mx = minimapX + MINIMAP.SIZE / 2 + (entity.x - player.x) * MINIMAP.SCALE;
-      const my = minimapY + MINIMAP.SIZE / 2 + (entity.y - player.y) * MINIMAP.SCALE;
+      const mx = minimapX + size / 2 + (entity.x - player.x) * scale;
+      const my = minimapY + size / 2 + (entity.y - player.y) * scale;
 
       // 边界检查
-      if (mx < minimapX || mx > minimapX + MINIMAP.SIZE ||
-          my < minimapY || my > minimapY + MINIMAP.SIZE) {
+      if (mx < minimapX || mx > minimapX + size ||
+          my < minimapY || my > minimapY + size) {
         continue;
       }
 
@@ -193,8 +294,7 @@ export class OverlayRenderer {
     }
 
     // 计算屏幕坐标
-    const screenX = (player.x - camera.x) * zoom + CANVAS.SIZE / 2;
-    const screenY = (player.y - camera.y) * zoom + CANVAS.SIZE / 2;
+    const { x: screenX, y: screenY } = this.worldToScreen(player.x, player.y, camera, zoom);
 
     // 引力范围
     const gravityRange = player.r * GRAVITY.RANGE_MULTIPLIER * zoom;
@@ -218,22 +318,167 @@ export class OverlayRenderer {
   }
 
   /**
-   * 渲染调试信息（可选）
+   * 渲染调试用的世界几何：已加载分块、空间哈希单元格、引力/追击/黑洞范围
+   *
+   * @param {Object} engineDebug - GameEngine.getDebugInfo() 的返回值
+   * @param {Object} player - 玩家实体（插值后）
+   * @param {Object} camera - 摄像机 {x, y}
+   * @param {number} zoom - 屏幕缩放
+   */
+  renderDebugWorld(engineDebug, player, camera, zoom) {
+    const { ctx } = this;
+    const { chunks, cells, gravityRange, chaseRange, blackHoles } = engineDebug;
+
+    ctx.save();
+    ctx.lineWidth = 1;
+
+    // 空间哈希单元格（实体越多越不透明）
+    for (const cell of cells) {
+      const { x, y } = this.worldToScreen(cell.x, cell.y, camera, zoom);
+      const size = cell.size * zoom;
+      ctx.fillStyle = `rgba(0, 255, 0, ${Math.min(0.3, cell.count * 0.04)})`;
+      ctx.fillRect(x, y, size, size);
+      ctx.strokeStyle = 'rgba(0, 255, 0, 0.15)';
+      ctx.strokeRect(x, y, size, size);
+    }
+
+    // 已加载分块
+    ctx.strokeStyle = 'rgba(255, 255, 0, 0.5)';
+    ctx.setLineDash([8, 4]);
+    for (const chunk of chunks) {
+      const { x, y } = this.worldToScreen(chunk.x, chunk.y, camera, zoom);
+      ctx.strokeRect(x, y, chunk.size * zoom, chunk.size * zoom);
+    }
+    ctx.setLineDash([]);
+
+    const circle = (x, y, radius, color) => {
+      const center = this.worldToScreen(x, y, camera, zoom);
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      ctx.arc(center.x, center.y, radius * zoom, 0, Math.PI * 2);
+      ctx.stroke();
+    };
+
+    // 黑洞引力范围和吸取范围
+    for (const bh of blackHoles) {
+      circle(bh.x, bh.y, bh.pullRadius, 'rgba(200, 100, 255, 0.7)');
+      circle(bh.x, bh.y, bh.drainRadius, 'rgba(255, 60, 200, 0.9)');
+    }
+
+    // 玩家引力范围和敌人追击范围
+    if (gravityRange > 0) {
+      circle(player.x, player.y, gravityRange, 'rgba(100, 200, 255, 0.9)');
+    }
+    circle(player.x, player.y, chaseRange, 'rgba(255, 80, 80, 0.6)');
+
+    ctx.restore();
+  }
+
+  /**
+   * 渲染调试面板
    *
-   * @param {Object} debugInfo - 调试信息
+   * @param {Object} debugInfo - 调试信息 { fps, frameStats, visibleCount, culledCount, resolutionScale, renderer, engine }
    */
   renderDebugInfo(debugInfo) {
     const { ctx } = this;
-    const { fps, entityCount, chunkCount } = debugInfo;
+    const { DEBUG } = UI;
+    const {
+      fps,
+      frameStats = null,
+      visibleCount = 0,
+      culledCount = 0,
+      resolutionScale = 1,
+      renderer = '',
+      engine: engineDebug = null,
+    } = debugInfo;
+
+    const lines = [];
+    const line = (text, color = '#0f0') => lines.push({ text, color });
+
+    line(`FPS: ${fps} ${renderer}`);
+    const summary = frameStats ? frameStats.getSummary() : null;
+    if (summary) {
+      line(`Frame: ${summary.average.toFixed(1)} / ${summary.max.toFixed(1)} ms`, summary.max > DEBUG.FRAME_GRAPH_MAX_MS / 2 ? '#ff0' : '#0f0');
+    }
+    const graphIndex = lines.length;
+
+    if (engineDebug) {
+      const { stats, profile } = engineDebug;
+      if (profile.enabled) {
+        line(`Step: ${profile.stepTime.toFixed(2)} ms`);
+        const phases = Object.entries(profile.timings);
+        for (let i = 0; i < phases.length; i += 2) {
+          const cell = ([name, ms]) => `${name.slice(0, 7).padEnd(7)} ${ms.toFixed(2)}`;
+          line(phases.slice(i, i + 2).map(cell).join('  '), '#8f8');
+        }
+      }
+      line(`Entities: ${stats.total} F${stats.food} E${stats.enemies} B${stats.blackHoles}`);
+      line(`Chunks: ${stats.chunks} Deltas: ${stats.chunkDeltas}`);
+      line(`Hash cells: ${stats.spatialCells}`);
+      const { director } = engineDebug;
+      if (director.enabled) {
+        line(`DDA: ${director.level.toFixed(2)} S×${director.spawn.toFixed(2)} C×${director.chase.toFixed(2)}`, director.level < 0 ? '#8cf' : '#f96');
+      }
+      const { counters } = profile;
+      if (counters.collisionPairs !== undefined) {
+        line(`Pairs: ${counters.collisionPairs} Eaten: ${counters.absorptions}`);
+        line(`BH: ${counters.nearbyBlackHoles} (all ${counters.blackHoleVictims}) Pull: ${counters.gravityTargets}`);
+        line(`Chase: ${counters.chasingEnemies} (pack ${counters.packHunters}) Flee: ${counters.fleeingEnemies} Avoid: ${counters.avoidingEnemies}`);
+        line(`Forage: ${counters.foragingEnemies} Ambush: ${counters.ambushingEnemies}`);
+      }
+    }
+
+    line(`Culled: ${culledCount}/${visibleCount}`, culledCount > 0 ? '#ff0' : '#0f0');
+    line(`Res: ${Math.round(resolutionScale * 100)}%`, resolutionScale < 1 ? '#ff0' : '#0f0');
+
+    const graphHeight = frameStats ? DEBUG.FRAME_GRAPH_HEIGHT + 6 : 0;
+    const width = DEBUG.PANEL_WIDTH;
+    const left = this.width - width - 10;
+    const top = DEBUG.TOP;
+    const height = lines.length * DEBUG.LINE_HEIGHT + graphHeight + 8;
 
     ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
-    ctx.fillRect(CANVAS.SIZE - 100, 10, 90, 55);
+    ctx.fillRect(left, top, width, height);
 
-    ctx.fillStyle = '#0f0';
     ctx.font = '10px monospace';
-    ctx.fillText(`FPS: ${fps}`, CANVAS.SIZE - 95, 25);
-    ctx.fillText(`Entities: ${entityCount}`, CANVAS.SIZE - 95, 40);
-    ctx.fillText(`Chunks: ${chunkCount}`, CANVAS.SIZE - 95, 55);
+    let y = top + 4;
+    lines.forEach(({ text, color }, i) => {
+      if (i === graphIndex && frameStats) {
+        this.renderFrameGraph(frameStats, left + 5, y + 2, width - 10, DEBUG.FRAME_GRAPH_HEIGHT);
+        y += graphHeight;
+      }
+      y += DEBUG.LINE_HEIGHT;
+      ctx.fillStyle = color;
+      ctx.fillText(text, left + 5, y - 2);
+    });
+  }
+
+  /**
+   * 渲染帧时间曲线（每帧一根竖条，参考线为 60Hz 的帧间隔）
+   *
+   * @param {FrameStats} frameStats - 帧时间统计
+   * @param {number} x - 左上角 X
+   * @param {number} y - 左上角 Y
+   * @param {number} width - 宽度
+   * @param {number} height - 高度
+   */
+  renderFrameGraph(frameStats, x, y, width, height) {
+    const { ctx } = this;
+    const maxMs = UI.DEBUG.FRAME_GRAPH_MAX_MS;
+    const barWidth = width / frameStats.samples.length;
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+    ctx.fillRect(x, y, width, height);
+
+    frameStats.forEach((frameMs, i) => {
+      const barHeight = Math.min(1, frameMs / maxMs) * height;
+      ctx.fillStyle = frameMs > 33.4 ? '#f44' : frameMs > 17.5 ? '#ff0' : '#0f0';
+      ctx.fillRect(x + i * barWidth, y + height - barHeight, Math.max(1, barWidth), barHeight);
+    });
+
+    const targetY = y + height - (1000 / 60 / maxMs) * height;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+    ctx.fillRect(x, targetY, width, 1);
   }
 
   /**
@@ -242,7 +487,7 @@ export class OverlayRenderer {
    * @param {Object} state - 渲染状态
    */
   render(state) {
-    const { player, camera, zoom, entities, showDebug, debugInfo, showGravityField = true } = state;
+    const { player, camera, zoom, entities, showDebug, debugInfo, showGravityField = true, toast = null } = state;
 
     this.clear();
 
@@ -252,9 +497,18 @@ export class OverlayRenderer {
     }
 
     this.renderPlayerEyes(player, camera, zoom);
+
+    if (showDebug && debugInfo && debugInfo.engine) {
+      this.renderDebugWorld(debugInfo.engine, player, camera, zoom);
+    }
+
     this.renderHUD(player);
     this.renderMinimap(entities, player);
 
+    if (toast) {
+      this.renderToast(toast);
+    }
+
     if (showDebug && debugInfo) {
       this.renderDebugInfo(debugInfo);
     }
@@ -0,0 +1,41 @@
+/**
+ * RendererFactory.js - 渲染器选择
+ *
+ * 设计哲学：优雅降级 (Graceful Degradation)
+ *
+ * 优先使用 WebGLRenderer；浏览器不支持 WebGL 时自动回退到 Canvas2DRenderer。
+ * 两者接口相同：initialize / render(renderState) / resize / getMaxBalls / getInfo / dispose
+ */
+
+import { WebGLRenderer } from './WebGLRenderer.js';
+import { Canvas2DRenderer } from './Canvas2DRenderer.js';
+
+/**
+ * 为画布创建可用的渲染器
+ *
+ * 画布一旦绑定 WebGL 上下文（如着色器编译失败）就无法再取得 2D 上下文，此时返回 null
+ *
+ * @param {HTMLCanvasElement} canvas - 目标画布
+ * @param {Object} options
+ * @param {Function|null} options.onContextFailure - WebGL 上下文恢复失败时调用（Canvas2D 不会触发）
+ * @returns {WebGLRenderer|Canvas2DRenderer|null} 已初始化的渲染器
+ */
+export function createRenderer(canvas, { onContextFailure = null } = {}) {
+  const webgl = new WebGLRenderer(canvas, { onContextFailure });
+  if (webgl.initialize()) {
+    return webgl;
+  }
+  webgl.dispose();
+
+  const fallback = new Canvas2DRenderer(canvas);
+  if (fallback.initialize()) {
+    console.warn('WebGL unavailable, falling back to Canvas2D renderer');
+    return fallback;
+  }
+
+  return null;
+}
+
+export default {
+  createRenderer,
+};
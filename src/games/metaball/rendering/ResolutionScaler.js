@@ -0,0 +1,91 @@
+/**
+ * ResolutionScaler.js - 动态分辨率
+ *
+ * 设计哲学：帧率优先 (Frame Rate First)
+ *
+ * 核心职责：
+ * 1. 统计一段窗口内的平均帧间隔
+ * 2. 持续掉帧时降低渲染比例，持续流畅时逐步恢复
+ *
+ * Metaball 着色器的开销与像素数成正比，降低渲染比例是最直接的减负手段。
+ *
+ * 设计决策：
+ * - 以 requestAnimationFrame 的帧间隔为准（GPU 耗时无法直接测量）；
+ *   间隔不会低于显示器刷新周期，所以「流畅」阈值略高于 60Hz 的 16.7ms
+ * - 降级看一个窗口，升级要求连续多个窗口，避免在临界点来回切换
+ * - 切后台等造成的超长帧间隔不计入统计
+ * - 参数每次采样时从 RENDERING.DYNAMIC_RESOLUTION 读取，可运行时调整
+ */
+
+import { RENDERING } from '../core/GameConfig.js';
+
+/**
+ * 动态分辨率控制器
+ */
+export class ResolutionScaler {
+  constructor() {
+    this.scale = RENDERING.DYNAMIC_RESOLUTION.MAX_SCALE;
+    this.frameCount = 0;
+    this.frameTimeSum = 0;
+    this.fastWindows = 0;
+  }
+
+  /**
+   * 重置为最高渲染比例并清空统计
+   */
+  reset() {
+    this.scale = RENDERING.DYNAMIC_RESOLUTION.MAX_SCALE;
+    this.frameCount = 0;
+    this.frameTimeSum = 0;
+    this.fastWindows = 0;
+  }
+
+  /**
+   * 记录一帧的帧间隔
+   *
+   * @param {number} frameMs - 与上一帧的间隔（毫秒）
+   * @returns {boolean} 渲染比例是否发生变化
+   */
+  sample(frameMs) {
+    const config = RENDERING.DYNAMIC_RESOLUTION;
+
+    if (!config.ENABLED) {
+      const changed = this.scale !== config.MAX_SCALE;
+      this.scale = config.MAX_SCALE;
+      return changed;
+    }
+
+    if (!(frameMs > 0) || frameMs > config.MAX_FRAME_MS) return false;
+
+    this.frameTimeSum += frameMs;
+    this.frameCount++;
+    if (this.frameCount < config.SAMPLE_FRAMES) return false;
+
+    const average = this.frameTimeSum / this.frameCount;
+    this.frameTimeSum = 0;
+    this.frameCount = 0;
+
+    let target = this.scale;
+    if (average > config.SLOW_FRAME_MS) {
+      this.fastWindows = 0;
+      target = this.scale - config.STEP;
+    } else if (average < config.FAST_FRAME_MS) {
+      this.fastWindows++;
+      if (this.fastWindows >= config.FAST_WINDOWS) {
+        this.fastWindows = 0;
+        target = this.scale + config.STEP;
+      }
+    } else {
+      this.fastWindows = 0;
+    }
+
+    // 保留两位小数，避免步进累积浮点误差
+    target = Math.round(Math.max(config.MIN_SCALE, Math.min(config.MAX_SCALE, target)) * 100) / 100;
+    if (target === this.scale) return false;
+
+    this.scale = target;
+    return true;
+  }
+}
+
+export default ResolutionScaler;
@@ -0,0 +1,111 @@
+/**
+ * ToastQueue.js - 提示横幅队列
+ *
+ * 设计哲学：一次只说一件事 (One Message at a Time)
+ *
+ * 核心职责：
+ * 1. 排队游戏事件产生的提示（里程碑、引力激活）
+ * 2. 按帧间隔推进当前提示的淡入 → 停留 → 淡出
+ * 3. 给出当前提示的透明度和位移，供 OverlayRenderer 绘制
+ *
+ * 设计决策：
+ * - 时间由渲染循环传入的帧间隔推进，而不是读取系统时钟：
+ *   暂停时渲染循环停止，提示也随之冻结，不会在暂停期间悄悄播完
+ * - 同一步可能同时触发多个事件（如半径 30 同时达成里程碑并激活引力），
+ *   逐个播放而不是叠在一起
+ * - 队列有上限，超出时丢弃最早等待的提示，避免积压过久的过期消息
+ */
+
+import { UI } from '../core/GameConfig.js';
+
+/**
+ * 提示类型
+ */
+export const ToastKind = {
+  MILESTONE: 'milestone',
+  GRAVITY: 'gravity',
+};
+
+// 单帧推进上限（毫秒），切后台回来时不会一次跳过整条提示
+const MAX_STEP_MS = 100;
+
+/**
+ * 提示横幅队列
+ */
+export class ToastQueue {
+  constructor() {
+    this.pending = [];
+    this.current = null;
+    this.elapsed = 0;
+  }
+
+  /**
+   * 加入一条提示
+   *
+   * @param {Object} toast - { kind, icon, title, message }
+   */
+  push(toast) {
+    this.pending.push(toast);
+    while (this.pending.length > UI.TOAST.MAX_QUEUE) {
+      this.pending.shift();
+    }
+  }
+
+  /**
+   * 清空所有提示（开始新游戏时调用）
+   */
+  clear() {
+    this.pending.length = 0;
+    this.current = null;
+    this.elapsed = 0;
+  }
+
+  /**
+   * 推进动画
+   *
+   * @param {number} deltaMs - 帧间隔（毫秒）
+   */
+  advance(deltaMs) {
+    const { DURATION, FADE } = UI.TOAST;
+
+    if (this.current) {
+      this.elapsed += Math.max(0, Math.min(MAX_STEP_MS, deltaMs || 0));
+      if (this.elapsed >= DURATION + FADE * 2) {
+        this.current = null;
+      }
+    }
+
+    if (!this.current && this.pending.length > 0) {
+      this.current = this.pending.shift();
+      this.elapsed = 0;
+    }
+  }
+
+  /**
+   * 获取当前可见的提示
+   *
+   * @returns {Object|null} { kind, icon, title, message, opacity, offset } offset 为纵向位移（CSS 像素）
+   */
+  getVisible() {
+    if (!this.current) return null;
+
+    const { DURATION, FADE } = UI.TOAST;
+    let t = 1;
+    if (this.elapsed < FADE) {
+      t = this.elapsed / FADE;
+    } else if (this.elapsed > FADE + DURATION) {
+      t = 1 - (this.elapsed - FADE - DURATION) / FADE;
+    }
+    t = Math.max(0, Math.min(1, t));
+
+    // easeOutCubic：滑入时先快后慢
+    const eased = 1 - Math.pow(1 - t, 3);
+    return {
+      ...this.current,
+      opacity: eased,
+      offset: (eased - 1) * 16,
+    };
+  }
+}
+
+export default ToastQueue;
@@ -4,19 +4,57 @@
  * 设计哲学：单一职责 (Single Responsibility)
  *
  * 核心职责：
- * 1. WebGL 上下文管理
+ * 1. WebGL 上下文管理（优先 WebGL2）
  * 2. 着色器编译和链接
- * 3. 缓冲区管理
+ * 3. 缓冲区和纹理管理
  * 4. 渲染调用
  *
+ * 球体数据传输：
+ * - 分块模式（BallDataMode.TILED）：支持浮点纹理时（WebGL2 或 OES_texture_float），
+ *   球体数据、分块表、索引表作为浮点纹理上传，可渲染上千个球体
+ * - Uniform 模式（BallDataMode.UNIFORM）：回退方案，uniform 数组最多 64 个球体
+ *
+ * 上下文丢失（移动端切后台、GPU 重置）：
+ * - webglcontextlost 时阻止默认行为并停止绘制，webglcontextrestored 时重建着色器、缓冲区和纹理
+ * - 恢复后重建失败时通过 onContextFailure 通知调用方（同一画布无法再取得新上下文，需要换画布重建渲染器）
+ * - 阈值、网格大小和画布尺寸保存在渲染器上，恢复后沿用
+ *
+ * 分辨率：
+ * - 调用方以 CSS 像素传入视口尺寸和缩放，画布实际像素 = CSS 尺寸 × pixelRatio
+ *   （设备像素比 × 动态分辨率比例），着色器内的缩放相应乘以 pixelRatio
+ *
  * 不负责：
  * - 游戏逻辑
  * - 实体管理
  * - 输入处理
  */
 
-import { VERTEX_SHADER, FRAGMENT_SHADER } from './shaders/index.js';
-import { CANVAS, RENDERING } from '../core/GameConfig.js';
+import {
+  VERTEX_SHADER,
+  FRAGMENT_SHADER,
+  UNIFORM_MAX_BALLS,
+  createTiledFragmentShader,
+} from './shaders/index.js';
+import { BallTileGrid } from './BallTileGrid.js';
+import { RENDERING } from '../core/GameConfig.js';
+
+// 球体纹理宽度（纹素），每个纹素一个球体
+const BALL_TEXTURE_WIDTH = 256;
+
+// 纹理单元分配
+const TEXTURE_UNIT = {
+  BALLS: 0,
+  TILES: 1,
+  INDICES: 2,
+};
+
+/**
+ * 球体数据传输模式
+ */
+export const BallDataMode = {
+  TILED: 'tiled',
+  UNIFORM: 'uniform',
+};
 
 /**
  * 编译着色器
@@ -63,19 +101,84 @@ function createProgram(gl, vertexShader, fragmentShader) {
   return program;
 }
 
+/**
+ * 创建浮点数据纹理（最近邻采样，不重复）
+ *
+ * @param {WebGLRenderingContext} gl - WebGL 上下文
+ * @returns {WebGLTexture}
+ */
+function createDataTexture(gl) {
+  const texture = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  return texture;
+}
+
 /**
  * WebGL 渲染器类
  *
  * 封装所有 WebGL 相关操作
  */
 export class WebGLRenderer {
-  constructor(canvas) {
+  /**
+   * @param {HTMLCanvasElement} canvas - 目标画布
+   * @param {Object} options
+   * @param {Function|null} options.onContextFailure - 上下文恢复后重建资源失败时调用
+   */
+  constructor(canvas, { onContextFailure = null } = {}) {
     this.canvas = canvas;
+    this.onContextFailure = onContextFailure;
     this.gl = null;
     this.program = null;
     this.uniforms = null;
     this.positionBuffer = null;
+    this.isWebGL2 = false;
+    this.ballMode = BallDataMode.UNIFORM;
+    // 分块模式资源
+    this.textures = null;
+    this.tileGrid = null;
+    this.ballTextureData = null;
+    // 视口尺寸（CSS 像素）与画布像素比
+    this.width = canvas.width;
+    this.height = canvas.height;
+    this.pixelRatio = 1;
+    this.threshold = RENDERING.METABALL_THRESHOLD;
+    this.gridSize = RENDERING.GRID_SIZE;
+    this.isContextLost = false;
     this.isInitialized = false;
+
+    this.handleContextLost = this.handleContextLost.bind(this);
+    this.handleContextRestored = this.handleContextRestored.bind(this);
+  }
+
+  /**
+   * 检测是否可以使用浮点数据纹理
+   *
+   * @param {WebGLRenderingContext} gl - WebGL 上下文
+   * @returns {boolean}
+   */
+  supportsFloatTextures(gl) {
+    return this.isWebGL2 || !!gl.getExtension('OES_texture_float');
+  }
+
+  /**
+   * 上传 RGBA 浮点纹理数据
+   *
+   * @param {number} unit - 纹理单元
+   * @param {WebGLTexture} texture - 纹理
+   * @param {number} width - 宽度
+   * @param {number} height - 高度
+   * @param {Float32Array} data - 数据（长度 width * height * 4）
+   */
+  uploadDataTexture(unit, texture, width, height, data) {
+    const { gl } = this;
+    const internalFormat = this.isWebGL2 ? gl.RGBA32F : gl.RGBA;
+    gl.activeTexture(gl.TEXTURE0 + unit);
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, width, height, 0, gl.RGBA, gl.FLOAT, data);
   }
 
   /**
@@ -84,20 +187,47 @@ export class WebGLRenderer {
    * @returns {boolean} 是否初始化成功
    */
   initialize() {
-    const gl = this.canvas.getContext('webgl', {
-      antialias: true,
-      preserveDrawingBuffer: false,
-      powerPreference: 'high-performance',
-    });
-
-    if (!gl) {
-      console.error('WebGL not supported');
-      return false;
+    if (!this.gl) {
+      const contextOptions = {
+        antialias: true,
+        preserveDrawingBuffer: false,
+        powerPreference: 'high-performance',
+      };
+      const gl2 = this.canvas.getContext('webgl2', contextOptions);
+      const gl = gl2 || this.canvas.getContext('webgl', contextOptions);
+
+      if (!gl) {
+        console.warn('WebGL not supported');
+        return false;
+      }
+
+      this.gl = gl;
+      this.isWebGL2 = !!gl2;
+      this.canvas.addEventListener('webglcontextlost', this.handleContextLost);
+      this.canvas.addEventListener('webglcontextrestored', this.handleContextRestored);
     }
 
+    return this.createResources();
+  }
+
+  /**
+   * 创建着色器程序、缓冲区和纹理
+   *
+   * 首次初始化和上下文恢复时调用
+   *
+   * @returns {boolean} 是否创建成功
+   */
+  createResources() {
+    const { gl } = this;
+
+    this.ballMode = this.supportsFloatTextures(gl) ? BallDataMode.TILED : BallDataMode.UNIFORM;
+
     // 编译着色器
+    const fragmentSource = this.ballMode === BallDataMode.TILED
+      ? createTiledFragmentShader(RENDERING.MAX_BALLS_PER_TILE)
+      : FRAGMENT_SHADER;
     const vertexShader = createShader(gl, gl.VERTEX_SHADER, VERTEX_SHADER);
-    const fragmentShader = createShader(gl, gl.FRAGMENT_SHADER, FRAGMENT_SHADER);
+    const fragmentShader = createShader(gl, gl.FRAGMENT_SHADER, fragmentSource);
 
     if (!vertexShader || !fragmentShader) {
       return false;
@@ -133,53 +263,174 @@ export class WebGLRenderer {
       zoom: gl.getUniformLocation(program, 'u_zoom'),
       threshold: gl.getUniformLocation(program, 'u_threshold'),
       gridSize: gl.getUniformLocation(program, 'u_gridSize'),
+      time: gl.getUniformLocation(program, 'u_time'),
+      // Uniform 模式
       ballCount: gl.getUniformLocation(program, 'u_ballCount'),
       balls: gl.getUniformLocation(program, 'u_balls'),
-      time: gl.getUniformLocation(program, 'u_time'),
+      // 分块模式
+      ballTexture: gl.getUniformLocation(program, 'u_ballTexture'),
+      ballTextureSize: gl.getUniformLocation(program, 'u_ballTextureSize'),
+      tileTexture: gl.getUniformLocation(program, 'u_tileTexture'),
+      tileGrid: gl.getUniformLocation(program, 'u_tileGrid'),
+      tileSize: gl.getUniformLocation(program, 'u_tileSize'),
+      indexTexture: gl.getUniformLocation(program, 'u_indexTexture'),
+      indexTextureSize: gl.getUniformLocation(program, 'u_indexTextureSize'),
+      influence: gl.getUniformLocation(program, 'u_influence'),
     };
 
     // 激活程序并设置默认值
     gl.useProgram(program);
-    gl.uniform2f(uniforms.resolution, CANVAS.SIZE, CANVAS.SIZE);
-    gl.uniform1f(uniforms.threshold, RENDERING.METABALL_THRESHOLD);
-    gl.uniform1f(uniforms.gridSize, RENDERING.GRID_SIZE);
+    gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+    gl.uniform2f(uniforms.resolution, this.canvas.width, this.canvas.height);
+    gl.uniform1f(uniforms.threshold, this.threshold);
+    gl.uniform1f(uniforms.gridSize, this.gridSize);
 
     // 保存引用
-    this.gl = gl;
     this.program = program;
     this.uniforms = uniforms;
     this.positionBuffer = positionBuffer;
+
+    if (this.ballMode === BallDataMode.TILED) {
+      this.initializeTiledResources(this.canvas.width, this.canvas.height);
+    }
+
     this.isInitialized = true;
 
     return true;
   }
 
+  /**
+   * 上下文丢失：阻止默认行为（否则浏览器不会尝试恢复），停止绘制
+   *
+   * @param {Event} e - webglcontextlost 事件
+   */
+  handleContextLost(e) {
+    e.preventDefault();
+    console.warn('WebGL context lost');
+
+    // 旧上下文的资源已全部失效，只丢弃引用
+    this.isContextLost = true;
+    this.isInitialized = false;
+    this.program = null;
+    this.uniforms = null;
+    this.positionBuffer = null;
+    this.textures = null;
+    this.tileGrid = null;
+    this.ballTextureData = null;
+  }
+
+  /**
+   * 上下文恢复：重建所有 GPU 资源
+   *
+   * 失败时画布会一直黑屏，交给调用方换画布重建
+   */
+  handleContextRestored() {
+    this.isContextLost = false;
+    if (!this.createResources()) {
+      console.error('Failed to restore WebGL resources');
+      if (this.onContextFailure) {
+        this.onContextFailure(this);
+      }
+    }
+  }
+
+  /**
+   * 创建分块模式的纹理和分块网格
+   *
+   * @param {number} width - 画布宽度
+   * @param {number} height - 画布高度
+   */
+  initializeTiledResources(width, height) {
+    const { gl, uniforms } = this;
+
+    this.textures = {
+      balls: createDataTexture(gl),
+      tiles: createDataTexture(gl),
+      indices: createDataTexture(gl),
+    };
+    this.tileGrid = new BallTileGrid(RENDERING.TILE_SIZE, RENDERING.MAX_BALLS_PER_TILE);
+    this.tileGrid.resize(width, height);
+    this.ballTextureData = new Float32Array(BALL_TEXTURE_WIDTH * 4);
+
+    gl.uniform1i(uniforms.ballTexture, TEXTURE_UNIT.BALLS);
+    gl.uniform1i(uniforms.tileTexture, TEXTURE_UNIT.TILES);
+    gl.uniform1i(uniforms.indexTexture, TEXTURE_UNIT.INDICES);
+    gl.uniform1f(uniforms.tileSize, RENDERING.TILE_SIZE);
+  }
+
+  /**
+   * 上传分块模式的球体数据
+   *
+   * @param {Float32Array} ballData - 球体数据
+   * @param {number} ballCount - 球体数量
+   * @param {number} cameraX - 摄像机 X 坐标
+   * @param {number} cameraY - 摄像机 Y 坐标
+   * @param {number} zoom - 缩放级别（画布像素 / 世界单位）
+   */
+  uploadTiledBalls(ballData, ballCount, cameraX, cameraY, zoom) {
+    const { gl, uniforms, textures, tileGrid } = this;
+
+    // 球体纹理：行数随球体数量增长
+    const rows = Math.max(1, Math.ceil(ballCount / BALL_TEXTURE_WIDTH));
+    const length = BALL_TEXTURE_WIDTH * rows * 4;
+    if (this.ballTextureData.length < length) {
+      this.ballTextureData = new Float32Array(length);
+    }
+    const ballTextureData = this.ballTextureData.subarray(0, length);
+    ballTextureData.set(ballData.subarray(0, ballCount * 4));
+    this.uploadDataTexture(TEXTURE_UNIT.BALLS, textures.balls, BALL_TEXTURE_WIDTH, rows, ballTextureData);
+    gl.uniform2f(uniforms.ballTextureSize, BALL_TEXTURE_WIDTH, rows);
+
+    // 分块表和索引表
+    tileGrid.build(ballData, ballCount, cameraX, cameraY, zoom, RENDERING.BALL_INFLUENCE);
+    this.uploadDataTexture(TEXTURE_UNIT.TILES, textures.tiles, tileGrid.tilesX, tileGrid.tilesY, tileGrid.tileData);
+    this.uploadDataTexture(
+      TEXTURE_UNIT.INDICES,
+      textures.indices,
+      tileGrid.indexTextureWidth,
+      tileGrid.indexTextureHeight,
+      tileGrid.indexData
+    );
+    gl.uniform2f(uniforms.tileGrid, tileGrid.tilesX, tileGrid.tilesY);
+    gl.uniform2f(uniforms.indexTextureSize, tileGrid.indexTextureWidth, tileGrid.indexTextureHeight);
+    gl.uniform1f(uniforms.influence, RENDERING.BALL_INFLUENCE);
+  }
+
   /**
    * 渲染一帧
    *
    * @param {Object} renderState - 渲染状态
    * @param {number} renderState.cameraX - 摄像机 X 坐标
    * @param {number} renderState.cameraY - 摄像机 Y 坐标
-   * @param {number} renderState.zoom - 缩放级别
+   * @param {number} renderState.zoom - 屏幕缩放（CSS 像素 / 世界单位）
    * @param {number} renderState.time - 游戏时间
    * @param {Float32Array} renderState.ballData - 球体数据
    * @param {number} renderState.ballCount - 球体数量
    */
   render(renderState) {
     if (!this.isInitialized) {
-      console.warn('WebGLRenderer not initialized');
+      // 上下文丢失期间静默跳过，等待恢复
+      if (!this.isContextLost) {
+        console.warn('WebGLRenderer not initialized');
+      }
       return;
     }
 
     const { gl, uniforms } = this;
-    const { cameraX, cameraY, zoom, time, ballData, ballCount } = renderState;
+    const { cameraX, cameraY, time, ballData, ballCount } = renderState;
+    const zoom = renderState.zoom * this.pixelRatio;
 
     // 更新 uniforms
     gl.uniform2f(uniforms.camera, cameraX, cameraY);
     gl.uniform1f(uniforms.zoom, zoom);
     gl.uniform1f(uniforms.time, time);
-    gl.uniform1i(uniforms.ballCount, ballCount);
-    gl.uniform4fv(uniforms.balls, ballData);
+
+    if (this.ballMode === BallDataMode.TILED) {
+      this.uploadTiledBalls(ballData, ballCount, cameraX, cameraY, zoom);
+    } else {
+      gl.uniform1i(uniforms.ballCount, Math.min(ballCount, UNIFORM_MAX_BALLS));
+      gl.uniform4fv(uniforms.balls, ballData.subarray(0, UNIFORM_MAX_BALLS * 4));
+    }
 
     // 绘制全屏四边形
     gl.drawArrays(gl.TRIANGLES, 0, 6);
@@ -188,16 +439,31 @@ export class WebGLRenderer {
   /**
    * 调整画布大小
    *
-   * @param {number} width - 新宽度
-   * @param {number} height - 新高度
+   * 初始化前也可调用，initialize() 会沿用画布当前尺寸
+   *
+   * @param {number} width - 视口宽度（CSS 像素）
+   * @param {number} height - 视口高度（CSS 像素）
+   * @param {number} pixelRatio - 画布像素 / CSS 像素
    */
-  resize(width, height) {
+  resize(width, height, pixelRatio = 1) {
+    const canvasWidth = Math.max(1, Math.round(width * pixelRatio));
+    const canvasHeight = Math.max(1, Math.round(height * pixelRatio));
+
+    this.width = width;
+    this.height = height;
+    // 以取整后的实际像素比为准，保证着色器中的缩放与画布一致
+    this.pixelRatio = canvasWidth / width;
+    this.canvas.width = canvasWidth;
+    this.canvas.height = canvasHeight;
+
     if (!this.isInitialized) return;
 
-    this.canvas.width = width;
-    this.canvas.height = height;
-    this.gl.viewport(0, 0, width, height);
-    this.gl.uniform2f(this.uniforms.resolution, width, height);
+    this.gl.viewport(0, 0, canvasWidth, canvasHeight);
+    this.gl.uniform2f(this.uniforms.resolution, canvasWidth, canvasHeight);
+
+    if (this.tileGrid) {
+      this.tileGrid.resize(canvasWidth, canvasHeight);
+    }
   }
 
   /**
@@ -206,6 +472,7 @@ export class WebGLRenderer {
    * @param {number} threshold - 阈值
    */
   setThreshold(threshold) {
+    this.threshold = threshold;
     if (!this.isInitialized) return;
     this.gl.uniform1f(this.uniforms.threshold, threshold);
   }
@@ -216,6 +483,7 @@ export class WebGLRenderer {
    * @param {number} size - 网格大小
    */
   setGridSize(size) {
+    this.gridSize = size;
     if (!this.isInitialized) return;
     this.gl.uniform1f(this.uniforms.gridSize, size);
   }
@@ -224,25 +492,67 @@ export class WebGLRenderer {
    * 清理 WebGL 资源
    */
   dispose() {
-    if (!this.isInitialized) return;
-
-    const { gl, program, positionBuffer } = this;
-
-    if (positionBuffer) {
-      gl.deleteBuffer(positionBuffer);
-    }
-
-    if (program) {
-      gl.deleteProgram(program);
+    const { gl, program, positionBuffer, textures } = this;
+    if (!gl) return;
+
+    this.canvas.removeEventListener('webglcontextlost', this.handleContextLost);
+    this.canvas.removeEventListener('webglcontextrestored', this.handleContextRestored);
+
+    if (this.isInitialized) {
+      if (positionBuffer) {
+        gl.deleteBuffer(positionBuffer);
+      }
+
+      if (textures) {
+        gl.deleteTexture(textures.balls);
+        gl.deleteTexture(textures.tiles);
+        gl.deleteTexture(textures.indices);
+      }
+
+      if (program) {
+        gl.deleteProgram(program);
+      }
     }
 
     this.gl = null;
     this.program = null;
     this.uniforms = null;
     this.positionBuffer = null;
+    this.textures = null;
+    this.tileGrid = null;
+    this.ballTextureData = null;
+    this.isContextLost = false;
     this.isInitialized = false;
   }
 
+  /**
+   * 获取本渲染器每帧最多能绘制的球体数
+   *
+   * @returns {number}
+   */
+  getMaxBalls() {
+    return this.ballMode === BallDataMode.TILED ? RENDERING.MAX_VISIBLE_BALLS : UNIFORM_MAX_BALLS;
+  }
+
+  /**
+   * 获取渲染器信息（用于调试显示）
+   *
+   * @returns {Object} { renderer, webgl2, ballMode, maxBalls, width, height, pixelRatio, contextLost, droppedTileEntries }
+   */
+  getInfo() {
+    return {
+      renderer: 'webgl',
+      webgl2: this.isWebGL2,
+      ballMode: this.ballMode,
+      maxBalls: this.getMaxBalls(),
+      width: this.canvas.width,
+      height: this.canvas.height,
+      pixelRatio: this.pixelRatio,
+      contextLost: this.isContextLost,
+      droppedTileEntries: this.tileGrid ? this.tileGrid.droppedEntries : 0,
+    };
+  }
+
   /**
    * 检查 WebGL 支持
    *
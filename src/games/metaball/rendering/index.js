@@ -2,6 +2,12 @@
  * Rendering Module Index - 渲染模块导出
  */
 
-export { WebGLRenderer } from './WebGLRenderer.js';
+export { WebGLRenderer, BallDataMode } from './WebGLRenderer.js';
+export { Canvas2DRenderer } from './Canvas2DRenderer.js';
+export { createRenderer } from './RendererFactory.js';
+export { BallTileGrid } from './BallTileGrid.js';
 export { OverlayRenderer } from './OverlayRenderer.js';
-export { VERTEX_SHADER, FRAGMENT_SHADER } from './shaders/index.js';
+export { ResolutionScaler } from './ResolutionScaler.js';
+export { ToastQueue, ToastKind } from './ToastQueue.js';
+export { FrameStats } from './FrameStats.js';
+export { VERTEX_SHADER, FRAGMENT_SHADER, createTiledFragmentShader } from './shaders/index.js';
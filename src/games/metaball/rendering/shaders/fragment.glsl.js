@@ -8,13 +8,23 @@
  * 2. HSL 色彩空间 - 直观的颜色混合
  * 3. 黑洞特效 - 吸积盘螺旋和引力透镜暗示
  *
+ * 两个版本：
+ * - 分块版（createTiledFragmentShader）：球体数据存放在浮点纹理中，
+ *   屏幕划分为若干分块，每个像素只累加所在分块登记的球体，可支持上千个球体
+ * - Uniform 版（FRAGMENT_SHADER）：不支持浮点纹理时的回退方案，最多 64 个球体
+ *
  * 性能考虑：
- * - 最大支持 64 个球体
  * - 使用早期退出优化循环
  * - 距离平方避免 sqrt（除非必要）
  */
 
-export const FRAGMENT_SHADER = `
+/**
+ * Uniform 版最多支持的球体数
+ */
+export const UNIFORM_MAX_BALLS = 64;
+
+// 两个版本共用的头部
+const COMMON_HEADER = `
   precision highp float;
   varying vec2 v_uv;
 
@@ -23,10 +33,10 @@ export const FRAGMENT_SHADER = `
   uniform float u_zoom;
   uniform float u_threshold;
   uniform float u_gridSize;
-  uniform int u_ballCount;
-  uniform vec4 u_balls[64];  // x, y, r, hue
   uniform float u_time;
+`;
 
+const HSL_FUNCTION = `
   /**
    * HSL 到 RGB 色彩空间转换
    *
@@ -55,7 +65,72 @@ export const FRAGMENT_SHADER = `
 
     return rgb + m;
   }
+`;
 
+const ACCUMULATE_BALL = `
+  /**
+   * 累加单个球体对当前像素的贡献
+   *
+   * ball: x, y, r, hue
+   */
+  void accumulateBall(vec4 ball, vec2 worldPos,
+                      inout float totalField, inout float weightedHue,
+                      inout float totalWeight, inout float blackHoleField) {
+    vec2 ballPos = ball.xy;
+    float r = ball.z;
+    float hue = ball.w;
+
+    float dx = worldPos.x - ballPos.x;
+    float dy = worldPos.y - ballPos.y;
+    float distSq = dx * dx + dy * dy + 1.0;  // +1 防止除零
+    float dist = sqrt(distSq);
+
+    // ============================================================
+    // 黑洞特殊渲染
+    //
+    // 视觉元素：
+    // 1. 事件视界 - 纯黑核心
+    // 2. 吸积盘 - 发光的螺旋结构
+    // 3. 引力透镜 - 边缘光晕暗示
+    // ============================================================
+    if (hue > 265.0 && hue < 275.0) {
+      float bhRadius = r * 2.0;
+      if (dist < bhRadius) {
+        float eventHorizon = r * 0.8;
+        if (dist < eventHorizon) {
+          // 事件视界内 - 纯黑
+          blackHoleField = 1.0;
+        } else {
+          // 吸积盘效果 - 动态螺旋
+          float diskFactor = (dist - eventHorizon) / (bhRadius - eventHorizon);
+          float angle = atan(dy, dx) + u_time * 2.0 - dist * 0.1;
+          float spiral = sin(angle * 3.0 + dist * 0.3) * 0.5 + 0.5;
+          blackHoleField = max(blackHoleField, (1.0 - diskFactor) * 0.9 * (0.5 + spiral * 0.5));
+        }
+      }
+      // 引力透镜暗示
+      float pullRange = r * 6.0;
+      if (dist < pullRange && dist > bhRadius) {
+        float lensing = (1.0 - (dist - bhRadius) / (pullRange - bhRadius)) * 0.3;
+        blackHoleField = max(blackHoleField, lensing * 0.2);
+      }
+    } else {
+      // ============================================================
+      // 普通 Metaball
+      // ============================================================
+      float field = (r * r) / distSq;
+      totalField += field;
+
+      // 权重混合颜色（场强越大，贡献越大）
+      if (field > 0.05) {
+        weightedHue += hue * field;
+        totalWeight += field;
+      }
+    }
+  }
+`;
+
+const MAIN_PREFIX = `
   void main() {
     // ============================================================
     // 坐标变换：屏幕空间 -> 世界空间
@@ -87,63 +162,9 @@ export const FRAGMENT_SHADER = `
     float weightedHue = 0.0;
     float totalWeight = 0.0;
     float blackHoleField = 0.0;
+`;
 
-    for (int i = 0; i < 64; i++) {
-      if (i >= u_ballCount) break;
-
-      vec2 ballPos = u_balls[i].xy;
-      float r = u_balls[i].z;
-      float hue = u_balls[i].w;
-
-      float dx = worldPos.x - ballPos.x;
-      float dy = worldPos.y - ballPos.y;
-      float distSq = dx * dx + dy * dy + 1.0;  // +1 防止除零
-      float dist = sqrt(distSq);
-
-      // ============================================================
-      // 黑洞特殊渲染
-      //
-      // 视觉元素：
-      // 1. 事件视界 - 纯黑核心
-      // 2. 吸积盘 - 发光的螺旋结构
-      // 3. 引力透镜 - 边缘光晕暗示
-      // ============================================================
-      if (hue > 265.0 && hue < 275.0) {
-        float bhRadius = r * 2.0;
-        if (dist < bhRadius) {
-          float eventHorizon = r * 0.8;
-          if (dist < eventHorizon) {
-            // 事件视界内 - 纯黑
-            blackHoleField = 1.0;
-          } else {
-            // 吸积盘效果 - 动态螺旋
-            float diskFactor = (dist - eventHorizon) / (bhRadius - eventHorizon);
-            float angle = atan(dy, dx) + u_time * 2.0 - dist * 0.1;
-            float spiral = sin(angle * 3.0 + dist * 0.3) * 0.5 + 0.5;
-            blackHoleField = max(blackHoleField, (1.0 - diskFactor) * 0.9 * (0.5 + spiral * 0.5));
-          }
-        }
-        // 引力透镜暗示
-        float pullRange = r * 6.0;
-        if (dist < pullRange && dist > bhRadius) {
-          float lensing = (1.0 - (dist - bhRadius) / (pullRange - bhRadius)) * 0.3;
-          blackHoleField = max(blackHoleField, lensing * 0.2);
-        }
-      } else {
-        // ============================================================
-        // 普通 Metaball
-        // ============================================================
-        float field = (r * r) / distSq;
-        totalField += field;
-
-        // 权重混合颜色（场强越大，贡献越大）
-        if (field > 0.05) {
-          weightedHue += hue * field;
-          totalWeight += field;
-        }
-      }
-    }
-
+const MAIN_SUFFIX = `
     // ============================================================
     // 最终颜色计算
     // ============================================================
@@ -187,4 +208,82 @@ export const FRAGMENT_SHADER = `
   }
 `;
 
+/**
+ * Uniform 版片段着色器（回退方案）
+ */
+export const FRAGMENT_SHADER = `${COMMON_HEADER}
+  uniform int u_ballCount;
+  uniform vec4 u_balls[${UNIFORM_MAX_BALLS}];  // x, y, r, hue
+${HSL_FUNCTION}${ACCUMULATE_BALL}${MAIN_PREFIX}
+    for (int i = 0; i < ${UNIFORM_MAX_BALLS}; i++) {
+      if (i >= u_ballCount) break;
+      accumulateBall(u_balls[i], worldPos, totalField, weightedHue, totalWeight, blackHoleField);
+    }
+${MAIN_SUFFIX}`;
+
+/**
+ * 创建分块版片段着色器
+ *
+ * 纹理布局（均为 RGBA 浮点纹理，按行优先存放）：
+ * - u_ballTexture：每个纹素一个球体 (x, y, r, hue)
+ * - u_tileTexture：每个分块一个纹素 (索引起点, 球体数, 0, 0)，尺寸等于分块网格
+ * - u_indexTexture：分块内的球体索引，每个纹素打包 4 个
+ *
+ * GLSL ES 1.0 的循环上限必须是常量，所以每个分块的球体上限在生成时写入
+ *
+ * @param {number} maxBallsPerTile - 每个分块最多累加的球体数
+ * @returns {string} 着色器源码
+ */
+export function createTiledFragmentShader(maxBallsPerTile) {
+  return `${COMMON_HEADER}
+  uniform sampler2D u_ballTexture;
+  uniform vec2 u_ballTextureSize;
+  uniform sampler2D u_tileTexture;
+  uniform vec2 u_tileGrid;
+  uniform float u_tileSize;
+  uniform sampler2D u_indexTexture;
+  uniform vec2 u_indexTextureSize;
+  uniform float u_influence;  // 影响半径 = r * u_influence
+
+  /**
+   * 读取行优先纹理中的第 i 个纹素（+0.5 避免浮点除法误差）
+   */
+  vec4 fetchTexel(sampler2D tex, vec2 size, float i) {
+    float row = floor((i + 0.5) / size.x);
+    float col = i - row * size.x;
+    return texture2D(tex, (vec2(col, row) + 0.5) / size);
+  }
+
+  /**
+   * 读取第 k 个球体索引（每个纹素打包 4 个）
+   */
+  float fetchBallIndex(float k) {
+    float texel = floor((k + 0.5) / 4.0);
+    float channel = k - texel * 4.0;
+    vec4 indices = fetchTexel(u_indexTexture, u_indexTextureSize, texel);
+    if (channel < 0.5) return indices.r;
+    if (channel < 1.5) return indices.g;
+    if (channel < 2.5) return indices.b;
+    return indices.a;
+  }
+${HSL_FUNCTION}${ACCUMULATE_BALL}${MAIN_PREFIX}
+    // 只累加当前像素所在分块登记的球体
+    vec2 tile = min(floor(screenPos / u_tileSize), u_tileGrid - 1.0);
+    vec4 tileInfo = fetchTexel(u_tileTexture, u_tileGrid, tile.y * u_tileGrid.x + tile.x);
+
+    for (int i = 0; i < ${maxBallsPerTile}; i++) {
+      if (float(i) >= tileInfo.y) break;
+
+      vec4 ball = fetchTexel(u_ballTexture, u_ballTextureSize, fetchBallIndex(tileInfo.x + float(i)));
+
+      // 影响半径外的贡献一律忽略，保证分块边界两侧结果一致
+      vec2 offset = worldPos - ball.xy;
+      float influence = ball.z * u_influence;
+      if (dot(offset, offset) > influence * influence) continue;
+
+      accumulateBall(ball, worldPos, totalField, weightedHue, totalWeight, blackHoleField);
+    }
+${MAIN_SUFFIX}`;
+}
+
 export default FRAGMENT_SHADER;
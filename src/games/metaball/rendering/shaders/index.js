@@ -3,4 +3,4 @@
  */
 
 export { VERTEX_SHADER } from './vertex.glsl.js';
-export { FRAGMENT_SHADER } from './fragment.glsl.js';
+export { FRAGMENT_SHADER, UNIFORM_MAX_BALLS, createTiledFragmentShader } from './fragment.glsl.js';